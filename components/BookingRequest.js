@@ -0,0 +1,67 @@
+/**
+ * "Request this room" form on free-room cards
+ * Notes: posts a booking request (`/api/bookings`) for the next date that
+ * falls on the card's weekday. A moderator approves it; after that the room
+ * shows as Reserved and drops out of the finder.
+ */
+
+import React, { useState } from 'react';
+import styles from './StudentTimetable.module.css';
+import { withCampus } from '../lib/campusClient';
+import { nextDateForDay } from '../lib/bookings';
+
+export default function BookingRequest({ room, dayName, start, end, campus = '' }) {
+  const [open, setOpen] = useState(false);
+  const [purpose, setPurpose] = useState('');
+  const [requester, setRequester] = useState('');
+  const [contact, setContact] = useState('');
+  const [sending, setSending] = useState(false);
+  const [result, setResult] = useState(null); // { ok, text }
+
+  const date = nextDateForDay(dayName);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      const response = await fetch(withCampus('/api/bookings', campus), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ room, date, start, end, purpose, requester, contact })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setResult({ ok: true, text: `Request sent for ${date} (id ${data.booking.id}) — it shows as Reserved once a moderator approves it` });
+        setOpen(false);
+      } else {
+        setResult({ ok: false, text: data.error || 'Request failed' });
+      }
+    } catch (err) {
+      setResult({ ok: false, text: 'Network error: ' + err.message });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!date) return null;
+
+  return (
+    <div className={styles.bookingRequest}>
+      {!open && (
+        <button className={styles.roomFilterClear} onClick={() => { setOpen(true); setResult(null); }}>
+          📝 Request this room
+        </button>
+      )}
+      {open && (
+        <form className={styles.roomFilters} onSubmit={submit}>
+          <input className={styles.roomFilterInput} placeholder="Purpose" value={purpose} onChange={(e) => setPurpose(e.target.value)} required minLength={3} maxLength={200} />
+          <input className={styles.roomFilterInput} placeholder="Your name" value={requester} onChange={(e) => setRequester(e.target.value)} required maxLength={80} />
+          <input className={styles.roomFilterInput} placeholder="Contact (optional)" value={contact} onChange={(e) => setContact(e.target.value)} maxLength={120} />
+          <button className={styles.roomFilterClear} type="submit" disabled={sending}>{sending ? 'Sending…' : `Send for ${date}`}</button>
+          <button className={styles.roomFilterClear} type="button" onClick={() => setOpen(false)}>Cancel</button>
+        </form>
+      )}
+      {result && <div className={styles.watchedInfo}>{result.ok ? '✓' : '⚠️'} {result.text}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * "What changed" panel
+ * Notes: shows the sheet changes the server detected between fetches
+ * (`/api/schedule?action=changes`) — room swaps, cancellations, new
+ * reservations. Changes touching your saved/watched codes are highlighted.
+ */
+
+import React, { useState, useEffect } from 'react';
+import styles from './StudentTimetable.module.css';
+import { withCampus } from '../lib/campusClient';
+
+// How far back to look when the panel first loads
+const LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ICONS = {
+  moved: '🚪',
+  rescheduled: '🕐',
+  cancelled: '✗',
+  added: '➕',
+  reserved: '🔒',
+  unreserved: '🔓'
+};
+
+function describeChange(c) {
+  switch (c.type) {
+    case 'moved': return `${c.class} moved ${c.fromRoom} → ${c.toRoom}`;
+    case 'rescheduled': return `${c.class} moved ${c.fromTime} → ${c.toTime} (${c.room})`;
+    case 'cancelled': return `${c.class} cancelled (${c.room})`;
+    case 'added': return `New: ${c.class} in ${c.room}`;
+    case 'reserved': return `${c.room} reserved — ${c.class}`;
+    case 'unreserved': return `${c.room} no longer reserved`;
+    default: return c.class;
+  }
+}
+
+export default function ChangesPanel({ highlightCodes = [], campus = '' }) {
+  const [open, setOpen] = useState(false);
+  const [changes, setChanges] = useState([]);
+  const [latestSnapshotAt, setLatestSnapshotAt] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const since = Date.now() - LOOKBACK_MS;
+        const response = await fetch(withCampus(`/api/schedule?action=changes&since=${since}`, campus));
+        const data = await response.json();
+        if (cancelled) return;
+        if (data.success) {
+          setChanges(data.changes || []);
+          setLatestSnapshotAt(data.latestSnapshotAt);
+          setError(null);
+        } else {
+          setError(data.error || 'Failed to load changes');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Network error: ' + err.message);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [campus]);
+
+  const watched = new Set(highlightCodes.map(c => String(c).toUpperCase()));
+  const sorted = changes.slice().sort((a, b) => b.detectedAt - a.detectedAt);
+  const touchesWatched = (c) => (c.codes && c.codes.length ? c.codes : [c.code]).some(code => code && watched.has(code.toUpperCase()));
+  const relevantCount = sorted.filter(touchesWatched).length;
+
+  return (
+    <div className={styles.changesPanel}>
+      <button className={styles.changesToggle} onClick={() => setOpen(!open)} aria-expanded={open}>
+        🔔 What changed {changes.length > 0 ? `(${changes.length})` : ''}
+        {relevantCount > 0 && <span className={styles.clashBadge}>{relevantCount} affect your classes</span>}
+        <span style={{ marginLeft: 'auto' }}>{open ? '▲' : '▼'}</span>
+      </button>
+
+      {open && (
+        <div className={styles.changesBody}>
+          {error && <div className={styles.watchedInfo}>⚠️ {error}</div>}
+          {!error && sorted.length === 0 && (
+            <div className={styles.watchedInfo}>
+              No changes detected{latestSnapshotAt ? ` since tracking started (last checked ${new Date(latestSnapshotAt).toLocaleString()})` : ''}.
+            </div>
+          )}
+          {sorted.map((c, idx) => {
+            const relevant = touchesWatched(c);
+            return (
+              <div key={`change-${idx}`} className={`${styles.changeItem} ${relevant ? styles.changeItemRelevant : ''}`}>
+                <span className={styles.changeIcon}>{ICONS[c.type] || '•'}</span>
+                <div>
+                  <div>{describeChange(c)}</div>
+                  <div className={styles.watchedInfo}>
+                    📅 {c.day} • 🕐 {c.time} • detected {new Date(c.detectedAt).toLocaleString()}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,8 @@ export default function Notification({ message, type = 'info', duration = 3000 }
   const [visible, setVisible] = useState(true)
 
   useEffect(() => {
+    // duration 0 keeps the notification up until the parent unmounts it
+    if (!duration) return
     const timer = setTimeout(() => setVisible(false), duration)
     return () => clearTimeout(timer)
   }, [duration])
@@ -0,0 +1,160 @@
+/**
+ * Semester planner tab
+ * Notes: list the courses you want, and this asks `/api/schedule?action=plan`
+ * for every clash-free section combination (best ranked first). A combo can
+ * be saved straight into "My Classes".
+ */
+
+import React, { useState, useEffect } from 'react';
+import styles from './StudentTimetable.module.css';
+
+export default function SemesterPlanner({ onSaveCombo, campus = '' }) {
+  const [courseInput, setCourseInput] = useState('');
+  const [courses, setCourses] = useState([]);
+  const [noEarly, setNoEarly] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // sections differ per campus, so a plan from another campus is meaningless
+  useEffect(() => { setPlan(null); }, [campus]);
+
+  const addCourse = () => {
+    const name = courseInput.trim();
+    if (!name) return;
+    if (!courses.find(c => c.toLowerCase() === name.toLowerCase())) setCourses([...courses, name]);
+    setCourseInput('');
+  };
+
+  const removeCourse = (name) => {
+    setCourses(courses.filter(c => c !== name));
+  };
+
+  const generate = async () => {
+    if (courses.length === 0) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ action: 'plan', courses: courses.join(','), limit: '20' });
+      if (noEarly) params.set('noEarly', '1');
+      if (campus) params.set('campus', campus);
+      const response = await fetch(`/api/schedule?${params.toString()}`);
+      const data = await response.json();
+      if (data.success) {
+        setPlan(data);
+      } else {
+        setError(data.error || 'Failed to build plan');
+      }
+    } catch (err) {
+      setError('Network error: ' + err.message);
+      console.error('[SemesterPlanner] Plan error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className={styles.searchBox} style={{ marginBottom: 12 }}>
+        <input
+          type="text"
+          className={styles.searchInput}
+          placeholder="Add a course (e.g., Database Systems, COAL)"
+          value={courseInput}
+          onChange={(e) => setCourseInput(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addCourse(); }}
+        />
+        <span className={styles.searchIcon}>➕</span>
+      </div>
+
+      {courses.length > 0 && (
+        <div className={styles.daySelector}>
+          {courses.map(c => (
+            <button key={`course-${c}`} className={styles.dayButton} onClick={() => removeCourse(c)} title="Remove course">
+              {c} ✕
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className={styles.resultActions} style={{ alignItems: 'center', marginBottom: 20 }}>
+        <label className={styles.watchedInfo} style={{ marginTop: 0 }}>
+          <input type="checkbox" checked={noEarly} onChange={(e) => setNoEarly(e.target.checked)} /> No 8am classes
+        </label>
+        <button className={styles.saveAllBtn} onClick={generate} disabled={courses.length === 0 || loading}>
+          {loading ? '⏳ Planning...' : '🧩 Generate Combinations'}
+        </button>
+      </div>
+
+      {error && (
+        <div className={styles.errorBox}>
+          <span>⚠️ {error}</span>
+        </div>
+      )}
+
+      {!plan && !error && (
+        <div className={styles.noResults}>
+          <div className={styles.noResultsIcon}>🧩</div>
+          <p>Add the courses you want to take and generate clash-free section combinations.</p>
+        </div>
+      )}
+
+      {plan && plan.missing && plan.missing.length > 0 && (
+        <div className={styles.noResults}>
+          <p>No sections found for: <strong>{plan.missing.join(', ')}</strong></p>
+        </div>
+      )}
+
+      {plan && plan.missing.length === 0 && plan.combinations.length === 0 && (
+        <div className={styles.noResults}>
+          <div className={styles.noResultsIcon}>✗</div>
+          <p>{plan.partial
+            ? 'The search stopped before finding a clash-free combination — try fewer courses.'
+            : 'Every combination of these sections has a clash.'}</p>
+        </div>
+      )}
+
+      {plan && plan.combinations.length > 0 && (
+        <div className={styles.resultsContainer}>
+          <div className={styles.resultsSummary}>
+            <div>
+              <strong>{plan.totalCombinations}{plan.partial ? '+' : ''}</strong> clash-free combination{plan.totalCombinations !== 1 || plan.partial ? 's' : ''}
+              {plan.totalCombinations > plan.combinations.length ? `, showing best ${plan.combinations.length}` : ''}
+            </div>
+            {plan.partial && (
+              <div>⚠️ Partial result: the search stopped after {plan.totalCombinations} combinations, so a better one may exist — add fewer courses to rank them all</div>
+            )}
+          </div>
+          <div className={styles.resultsList}>
+            {plan.combinations.map((combo, idx) => (
+              <div key={`combo-${idx}`} className={styles.resultCard}>
+                <div className={styles.resultHeader}>
+                  <span className={styles.resultCode}>#{idx + 1}</span>
+                  <span className={styles.resultDay}>
+                    📅 {combo.metrics.days} day{combo.metrics.days !== 1 ? 's' : ''} • 🌅 {combo.metrics.earlyClasses} early • ⏳ {combo.metrics.gapMinutes} min gaps
+                  </span>
+                </div>
+                <div className={styles.resultTitle}>
+                  {combo.sections.map(s => `${s.course}: ${s.code}`).join(' • ')}
+                </div>
+                <div className={styles.resultDetails}>
+                  {combo.meetings.map((m, mi) => (
+                    <div key={`combo-${idx}-${mi}`} className={styles.detailRow}>
+                      <span className={styles.detailLabel}>{m.day.slice(0, 3)} {m.time}</span>
+                      <span className={styles.detailValue}>{m.class} @ {m.classroom}</span>
+                    </div>
+                  ))}
+                </div>
+                <div className={styles.resultActions}>
+                  <button className={styles.saveBtn} onClick={() => onSaveCombo && onSaveCombo(combo.meetings)}>
+                    ☆ Save this combination
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -7,9 +7,31 @@
  */
 
 import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useRouter } from 'next/router';
 import styles from './StudentTimetable.module.css';
+import { parseTimeToMinutes, parseStartEnd, formatMinutes, findCurrentSlot } from '../lib/timeUtils';
+import { findClashes, getClashingIds } from '../lib/clashes';
+import SemesterPlanner from './SemesterPlanner';
+import Teachers from './Teachers';
+import StudyGroup from './StudyGroup';
+import ChangesPanel from './ChangesPanel';
+import BookingRequest from './BookingRequest';
+import Notification from './Notification';
+import { isPushSupported, getExistingSubscription, subscribeToPush, updatePushCodes, unsubscribeFromPush } from '../lib/pushClient';
+import { saveWeekSnapshot, loadWeekSnapshot } from '../lib/offlineStore';
+import { parseViewParams, buildViewQuery, toQueryString } from '../lib/urlState';
+import { getSlotAt, getNowAndNext, formatCountdown } from '../lib/nowNext';
+import { extractCode } from '../lib/codeGrammar';
+import { getStoredCampus, storeCampus, withCampus, fetchCampuses } from '../lib/campusClient';
+import { fetchCourseCatalog, suggestFromCatalog } from '../lib/catalogClient';
+import { mergeAdjacentFreeSlots, findFreeRooms, isSlotOccupiedByQuery, roomFeatureLabels, roomFiltersFromQuery, findFreeScheduleForQuery as findFreeSchedule } from '../lib/freeRooms';
+
+// Every section a slot belongs to ("BCS-3A-C" cells list three); older
+// payloads only carry the single `code`
+const slotCodes = (s) => (s && s.codes && s.codes.length ? s.codes : (s && s.code ? [s.code] : []));
 
 export default function StudentTimetable() {
+  const router = useRouter();
   // State management
   const computeDefaultDay = () => {
     const today = new Date().getDay(); // 0=Sun,1=Mon..6=Sat
@@ -21,9 +43,17 @@ export default function StudentTimetable() {
   const [searchResults, setSearchResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [staleSince, setStaleSince] = useState(null); // fetch time of the offline snapshot being shown
+  const [campus, setCampus] = useState(null); // null until localStorage is read, '' = server default
+  const [campuses, setCampuses] = useState([]); // registry for the switcher (hidden with one campus)
+  const [catalog, setCatalog] = useState(null); // course titles/section codes for search autocomplete
   const [activeTab, setActiveTab] = useState('search');
   const [savedClasses, setSavedClasses] = useState([]);
+  const [savedDayFilter, setSavedDayFilter] = useState(null); // null = all days, else 0-4
+  const [now, setNow] = useState(null); // device clock for the Now tab (set after mount)
   const [watchedClasses, setWatchedClasses] = useState([]); // classes to auto-sync
+  const [pushSupported, setPushSupported] = useState(false); // checked after mount (no window during SSR)
+  const [pushEnabled, setPushEnabled] = useState(false); // browser subscribed to change notifications
   const [filter, setFilter] = useState('all');
   const [showAddForm, setShowAddForm] = useState(false);
   const [searchFilterDay, setSearchFilterDay] = useState(null); // null = show all days from search
@@ -51,10 +81,21 @@ export default function StudentTimetable() {
   const [freeResults, setFreeResults] = useState(null);
   const [freeTimeSlot, setFreeTimeSlot] = useState('all'); // 'all' or specific slot text
   const [timePickerOpen, setTimePickerOpen] = useState(false);
+  // Free-room finder filters (headcount, block, floor, lecture/lab/hall)
+  const [roomFilters, setRoomFilters] = useState({ minCapacity: '', block: '', floor: '', type: '' });
   const timePickerRef = useRef(null);
+  const pendingSlotRef = useRef(null); // `slot` URL param, applied once the week has loaded
+  const pendingSearchDayRef = useRef(undefined); // `day` URL param for the next search result
+  const [urlReady, setUrlReady] = useState(false); // initial URL applied; only then write state back
+  const lastUrlQueryRef = useRef(null); // query string last read from / written to the URL
+  const replaceUrlRef = useRef(false); // next URL write replaces the history entry (URL-driven or automatic state changes)
 
   const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
 
+  // Section-code grammar of the selected campus (undefined = build-time default)
+  const activeCampus = campuses.find(c => c.id === campus) || campuses.find(c => c.isDefault);
+  const codeGrammar = activeCampus ? activeCampus.grammar : undefined;
+
   // Cache for API responses to avoid duplicate requests
   const cacheRef = useRef({
     schedule: {},
@@ -62,24 +103,6 @@ export default function StudentTimetable() {
     lastSearchQuery: ''
   });
 
-  // Helper to parse time like "08:00-8:50" or "1:30-2:20" and return minutes for the start
-  const parseTimeToMinutes = (timeStr) => {
-    if (!timeStr) return 0;
-    const match = String(timeStr).match(/^(\d{1,2}):(\d{2})/);
-    if (!match) return 0;
-    let hours = parseInt(match[1], 10);
-    const minutes = parseInt(match[2], 10);
-    if (hours >= 1 && hours < 8) hours += 12; // likely PM
-    return hours * 60 + minutes;
-  };
-
-  // Helper to extract start and end time strings from a slot time like "08:00-8:50"
-  const parseStartEnd = (timeStr) => {
-    if (!timeStr) return { start: null, end: null };
-    const parts = String(timeStr).split('-').map(s => s.trim());
-    return { start: parts[0] || null, end: parts[1] || null };
-  };
-
   // Return list of available time slot strings from scheduleData
   const getAllTimeSlots = () => {
     if (!scheduleData) return [];
@@ -96,126 +119,30 @@ export default function StudentTimetable() {
     return [];
   };
 
-  // Merge consecutive slots that are free/lab into a single range
-  const mergeAdjacentFreeSlots = (schedule) => {
-    if (!schedule || schedule.length === 0) return [];
-    // First sort by time index or parsed start time
-    const sorted = schedule.slice().sort((a, b) => {
-      if (a.timeIndex !== undefined && b.timeIndex !== undefined) return a.timeIndex - b.timeIndex;
-      return parseTimeToMinutes(a.time) - parseTimeToMinutes(b.time);
-    });
-
-    const merged = [];
-    let current = null;
-
-    sorted.forEach((slot) => {
-      const text = slot.class || '';
-      const isFree = !text || /free/i.test(text);
-      const isLab = /lab/i.test(text);
-      const kind = isFree ? 'free' : (isLab ? 'lab' : 'class');
-      const { start, end } = parseStartEnd(slot.time || '');
-
-      if (!current) {
-        current = {
-          kind,
-          start: start,
-          end: end,
-          label: kind === 'free' ? '— Free —' : (kind === 'lab' ? 'Lab' : slot.class),
-          slots: [slot]
-        };
-        return;
-      }
-
-      // If same kind (free or lab) and contiguous (timeIndex consecutive), extend
-      const lastSlot = current.slots[current.slots.length - 1];
-      const lastIndex = lastSlot.timeIndex !== undefined ? lastSlot.timeIndex : null;
-      const thisIndex = slot.timeIndex !== undefined ? slot.timeIndex : null;
-
-      const isContiguous = (lastIndex !== null && thisIndex !== null) ? (thisIndex === lastIndex + 1) : (parseTimeToMinutes(parseStartEnd(slot.time).start) === parseTimeToMinutes(current.end));
-
-      if (kind === current.kind && isContiguous) {
-        // extend end if available
-        if (end) current.end = end;
-        current.slots.push(slot);
-      } else {
-        merged.push(current);
-        current = {
-          kind,
-          start: start,
-          end: end,
-          label: kind === 'free' ? '— Free —' : (kind === 'lab' ? 'Lab' : slot.class),
-          slots: [slot]
-        };
-      }
-    });
-
-    if (current) merged.push(current);
-    return merged;
-  };
-
-  // Find all classrooms that are free during a given time range on a given day
-  const findFreeRoomsForTimeRange = (dayName, startTime, endTime) => {
-    if (!scheduleData) return [];
-    
-    let dayData = scheduleData.week?.[dayName];
-    if (!dayData) return [];
-    
-    // Extract classrooms and timeSlots (handle nested .data structure)
-    const classrooms = dayData.classrooms || dayData.data?.classrooms || [];
-    const timeSlots = dayData.timeSlots || dayData.data?.timeSlots || [];
-    
-    if (!classrooms || classrooms.length === 0 || !timeSlots || timeSlots.length === 0) {
-      return [];
-    }
-
-    const toMinutes = (t) => {
-      if (!t) return null;
-      const m = t.match(/^(\d{1,2}):(\d{2})/);
-      if (!m) return null;
-      let h = parseInt(m[1], 10);
-      const mm = parseInt(m[2], 10);
-      if (h >= 1 && h < 8) h += 12;
-      return h * 60 + mm;
-    };
-
-    const startMin = toMinutes(startTime);
-    const endMin = toMinutes(endTime);
-    if (startMin === null || endMin === null) return [];
-
-    const free = [];
-    
-    classrooms.forEach((classroom) => {
-      if (!classroom.name) return;
-      
-      // Get all the time slots that overlap with the requested range
-      const overlappingSlots = timeSlots.filter(slot => {
-        if (!slot.time) return false;
-        const slotMin = toMinutes(slot.time);
-        return slotMin !== null && slotMin >= startMin && slotMin < endMin;
-      });
-
-      if (overlappingSlots.length === 0) return; // No slots in requested range
+  // Free-room helpers live in lib/freeRooms; these bind them to the loaded data
+  const findFreeRoomsForTimeRange = (dayName, startTime, endTime, filters) => (
+    scheduleData ? findFreeRooms(scheduleData.week?.[dayName], startTime, endTime, filters) : []
+  );
 
-      // Check if classroom is free during ALL overlapping slots
-      const isFree = overlappingSlots.every(slot => {
-        const scheduleEntry = (classroom.schedule || []).find(s => s.timeIndex === slot.index);
-        const classValue = (scheduleEntry?.class || '').trim();
-        // Consider free if no class assignment or class is just dashes/empty
-        return !classValue || /^-+$/.test(classValue);
+  const activeRoomFilters = useMemo(() => roomFiltersFromQuery(roomFilters), [roomFilters]);
+  const hasRoomFilters = Object.values(activeRoomFilters).some(Boolean);
+
+  // Blocks and floors present in the loaded week, for the filter dropdowns
+  const roomFilterOptions = useMemo(() => {
+    const blocks = new Set();
+    const floors = new Set();
+    Object.values(scheduleData?.week || {}).forEach(day => {
+      (day.classrooms || day.data?.classrooms || []).forEach(room => {
+        if (room.block) blocks.add(String(room.block));
+        if (room.floor) floors.add(String(room.floor));
       });
-
-      if (isFree) {
-        free.push({
-          name: classroom.name,
-          schedule: classroom.schedule,
-          capacity: 50,
-          floor: '1st Floor'
-        });
-      }
     });
-    
-    return free;
-  };
+    return { blocks: Array.from(blocks).sort(), floors: Array.from(floors).sort() };
+  }, [scheduleData]);
+
+  const findFreeScheduleForQuery = (query, dayFilter = 'all') => (
+    findFreeSchedule(scheduleData, query, dayFilter, selectedDay)
+  );
 
   // Handler for finder search button
   const handleFinderSearch = () => {
@@ -224,306 +151,6 @@ export default function StudentTimetable() {
     setFinderResults({ rooms: results, day: dayName, start: finderStartTime, end: finderEndTime });
   };
 
-  // Find all classrooms that are free during a given time range on a given day
-
-  // Merge overlapping/adjacent time ranges across classrooms
-  const mergeTimeRanges = (ranges) => {
-    // ranges: [{start: '08:00', end: '08:50'}]
-    const toMinutes = (t) => {
-      if (!t) return null;
-      const m = t.match(/^(\d{1,2}):(\d{2})/);
-      if (!m) return null;
-      let h = parseInt(m[1], 10);
-      const mm = parseInt(m[2], 10);
-      if (h >= 1 && h < 8) h += 12;
-      return h * 60 + mm;
-    };
-
-    const normalized = ranges.map(r => {
-      const s = toMinutes(r.start);
-      const e = toMinutes(r.end);
-      return (s !== null && e !== null) ? { s, e } : null;
-    }).filter(Boolean);
-
-    if (normalized.length === 0) return [];
-
-    normalized.sort((a, b) => a.s - b.s);
-    const out = [Object.assign({}, normalized[0])];
-    for (let i = 1; i < normalized.length; i++) {
-      const cur = normalized[i];
-      const last = out[out.length - 1];
-      if (cur.s <= last.e + 1) {
-        last.e = Math.max(last.e, cur.e);
-      } else {
-        out.push(Object.assign({}, cur));
-      }
-    }
-
-    // convert back to strings
-    const pad = (n) => (n < 10 ? '0' + n : '' + n);
-    return out.map(r => {
-      const sh = Math.floor(r.s / 60);
-      const sm = r.s % 60;
-      const eh = Math.floor(r.e / 60);
-      const em = r.e % 60;
-      return { start: `${pad(sh)}:${pad(sm)}`, end: `${pad(eh)}:${pad(em)}` };
-    });
-  };
-
-  // --- Free class/lab finder helpers ---
-  // Check if a given time slot (by index) is occupied by the queried class/text
-  const isSlotOccupiedByQuery = (classrooms, slotIndex, query) => {
-    if (!classrooms || !query) return false;
-    const q = query.toLowerCase().trim();
-    for (const room of classrooms) {
-      if (!room || !room.schedule) continue;
-      const s = room.schedule.find(it => it.timeIndex === slotIndex);
-      if (!s) continue;
-      const roomName = (room.name || '').toLowerCase();
-      const text = (s.class || '').toLowerCase();
-      const code = (s.code || '').toLowerCase();
-
-      // If the query matches the classroom name (e.g. searching for 'E-31'),
-      // consider the slot occupied only if that specific room has a class at that slot.
-      if (roomName.includes(q)) {
-        if (text && String(text).trim() !== '') return true;
-        continue;
-      }
-
-      // Otherwise, check if the slot's class text or code matches the query
-      if (text && (text.includes(q) || code === q || code.includes(q))) return true;
-    }
-    return false;
-  };
-
-  // Compute free time ranges for a class/lab across a day's data
-  const computeFreeRangesForDay = (dayData, query) => {
-    if (!dayData || !dayData.classrooms || !dayData.timeSlots) return [];
-    const timeSlots = dayData.timeSlots.slice().sort((a, b) => a.index - b.index);
-    const classrooms = dayData.classrooms;
-
-    const freeFlags = timeSlots.map(ts => {
-      const occupied = isSlotOccupiedByQuery(classrooms, ts.index, query);
-      return { index: ts.index, time: ts.time, free: !occupied };
-    });
-
-    // Merge contiguous free flags into ranges
-    const ranges = [];
-    let current = null;
-    freeFlags.forEach(f => {
-      if (f.free) {
-        if (!current) {
-          current = { startIndex: f.index, endIndex: f.index, startTime: f.time, endTime: f.time };
-        } else {
-          // extend
-          current.endIndex = f.index;
-          current.endTime = f.time;
-        }
-      } else {
-        if (current) {
-          ranges.push(current);
-          current = null;
-        }
-      }
-    });
-    if (current) ranges.push(current);
-
-    // Convert ranges to human-friendly start-end and collect available rooms
-    return ranges.map(r => {
-      const startPart = (r.startTime || '').split('-')[0].trim();
-      const endPart = (r.endTime || '').split('-')[1] ? r.endTime.split('-')[1].trim() : (r.endTime || '');
-      const end = endPart || r.endTime;
-      
-      // Collect available rooms for these free slots. Use the same access pattern
-      // as `isSlotOccupiedByQuery` (schedule is an array of { timeIndex, class, code })
-      const availableRooms = [];
-      for (let slotIdx = r.startIndex; slotIdx <= r.endIndex; slotIdx++) {
-          classrooms.forEach(room => {
-            // Skip header or placeholder rows coming from sheet exports
-            if (!room || !room.name) return;
-            const rn = String(room.name).trim();
-            if (isPlaceholderName(rn)) return;
-          const schedule = room.schedule || [];
-          // Try to find a schedule entry by timeIndex
-          const s = Array.isArray(schedule) ? schedule.find(it => Number(it?.timeIndex) === Number(slotIdx)) : null;
-          const isOccupied = !!(s && s.class && String(s.class).trim() !== '');
-          if (!isOccupied) {
-            if (!availableRooms.find(ar => ar.name === room.name)) {
-              availableRooms.push({
-                name: room.name || 'Unknown',
-                capacity: room.capacity || room.capacity === 0 ? room.capacity : '?',
-                block: room.block || extractBlockFromName(room.name),
-                floor: room.floor || '?'
-              });
-            }
-          }
-        });
-      }
-      
-      return { 
-        start: startPart, 
-        end: end,
-        availableRooms: availableRooms.slice(0, 5) // Show first 5 available rooms
-      };
-    });
-  };
-
-  // Compute free ranges for a specific room name and also collect other rooms
-  // that are free during the same ranges. Returns ranges with availableRoomsNearby.
-  const computeFreeRangesForRoom = (dayData, roomQuery) => {
-    if (!dayData || !dayData.classrooms || !dayData.timeSlots) return [];
-    const timeSlots = dayData.timeSlots.slice().sort((a, b) => a.index - b.index);
-    const classrooms = dayData.classrooms;
-
-    // Find the target room object (by name includes query)
-    const q = String(roomQuery).toLowerCase().trim();
-    // Prefer exact id-match when user typed a room-like id (E-1, R109)
-    const roomIdPattern = /^[A-Za-z]{1,3}-?\d{1,4}$/;
-    let targetRoom = null;
-    if (roomIdPattern.test(roomQuery.trim())) {
-      const wanted = roomQuery.trim().toLowerCase();
-      targetRoom = classrooms.find(r => {
-        if (!r || !r.name) return false;
-        const idMatch = String(r.name).match(/[A-Za-z]{1,3}-?\d{1,4}/i);
-        return idMatch && idMatch[0].toLowerCase() === wanted;
-      });
-    } else {
-      targetRoom = classrooms.find(r => (r.name || '').toLowerCase().includes(q));
-    }
-    if (!targetRoom) return [];
-
-    // Build free flags for the target room specifically
-    const freeFlags = timeSlots.map(ts => {
-      const sched = targetRoom.schedule || [];
-      const s = Array.isArray(sched) ? sched.find(it => Number(it?.timeIndex) === Number(ts.index)) : null;
-      const occupied = !!(s && s.class && String(s.class).trim() !== '');
-      return { index: ts.index, time: ts.time, free: !occupied };
-    });
-
-    // Merge contiguous free flags into ranges
-    const ranges = [];
-    let current = null;
-    freeFlags.forEach(f => {
-      if (f.free) {
-        if (!current) {
-          current = { startIndex: f.index, endIndex: f.index, startTime: f.time, endTime: f.time };
-        } else {
-          current.endIndex = f.index;
-          current.endTime = f.time;
-        }
-      } else {
-        if (current) { ranges.push(current); current = null; }
-      }
-    });
-    if (current) ranges.push(current);
-
-    // For each range, collect other free rooms at those slots
-    return ranges.map(r => {
-      const startPart = (r.startTime || '').split('-')[0].trim();
-      const endPart = (r.endTime || '').split('-')[1] ? r.endTime.split('-')[1].trim() : (r.endTime || '');
-      const end = endPart || r.endTime;
-
-      const otherRooms = [];
-      for (let slotIdx = r.startIndex; slotIdx <= r.endIndex; slotIdx++) {
-        classrooms.forEach(room => {
-          if (!room || !room.name) return;
-          const rn = String(room.name).trim();
-          if (isPlaceholderName(rn)) return;
-          const schedule = room.schedule || [];
-          const s = Array.isArray(schedule) ? schedule.find(it => Number(it?.timeIndex) === Number(slotIdx)) : null;
-          const isOccupied = !!(s && s.class && String(s.class).trim() !== '');
-          if (!isOccupied && room.name !== targetRoom.name) {
-            if (!otherRooms.find(rr => rr.name === room.name)) {
-              otherRooms.push({ name: room.name, capacity: room.capacity || '?', block: room.block || extractBlockFromName(room.name), floor: room.floor || '?' });
-            }
-          }
-        });
-      }
-
-      // Show only the target room as the available room for clarity when in room-mode
-      const targetInfo = { name: targetRoom.name, capacity: targetRoom.capacity || '?', block: targetRoom.block || extractBlockFromName(targetRoom.name), floor: targetRoom.floor || '?' };
-      return { start: startPart, end: end, availableRooms: [targetInfo], targetRoom: targetInfo };
-    });
-  };
-
-  // Helper to extract block from room name
-  const extractBlockFromName = (name) => {
-    if (!name) return '?';
-    const match = name.match(/Academic Block ([IVX]+|[0-9]+)/i);
-    return match ? match[1] : '?';
-  };
-
-  // Detect placeholder/header names exported from sheets (e.g. "CLASSROOMS", "ROOMS", "CLASS LIST")
-  const isPlaceholderName = (name) => {
-    if (!name) return true;
-    const rn = String(name).trim().replace(/\s+/g, ' ');
-    // Common header words
-    if (/^(classrooms?|rooms?|class list|room list|laboratories|labs?)\b/i.test(rn)) return true;
-    // If name contains no digits and is long and mostly uppercase, likely a header
-    if (!/\d/.test(rn) && rn.length > 4 && rn === rn.toUpperCase()) return true;
-    return false;
-  };
-
-  // Compute free schedule across week or single day
-  const findFreeScheduleForQuery = (query, dayFilter = 'all') => {
-    if (!scheduleData || !query || query.trim() === '') return {};
-    const out = {};
-    const qLower = query.toLowerCase().trim();
-    // Detect if query matches any classroom name (room search mode).
-    // Prefer strict room-id patterns like 'E-31', 'R109', 'A2' to avoid class-code collisions.
-    let roomMode = false;
-    const roomIdPattern = /^[A-Za-z]{1,3}-?\d{1,4}$/; // e.g. E-31, R109, A2
-    if (roomIdPattern.test(query.trim())) {
-      roomMode = true;
-    } else {
-      if (scheduleData.week) {
-        for (const d of Object.values(scheduleData.week)) {
-          const cls = d.classrooms || [];
-          for (const r of cls) {
-            if (r && r.name && String(r.name).toLowerCase().includes(qLower)) { roomMode = true; break; }
-          }
-          if (roomMode) break;
-        }
-      } else if (scheduleData.classrooms) {
-        for (const r of scheduleData.classrooms) {
-          if (r && r.name && String(r.name).toLowerCase().includes(qLower)) { roomMode = true; break; }
-        }
-      }
-    }
-    
-    // Prioritize week data (which should exist from 'all' fetch)
-    if (scheduleData.week && Object.keys(scheduleData.week).length > 0) {
-      Object.entries(scheduleData.week).forEach(([dayName, dayData]) => {
-        const dayNum = days.indexOf(dayName);
-        if (dayFilter !== 'all' && String(dayFilter) !== String(dayNum)) return;
-        
-        // Ensure dayData has the right structure
-        const structured = {
-          classrooms: dayData.classrooms || dayData.data?.classrooms || [],
-          timeSlots: dayData.timeSlots || dayData.data?.timeSlots || []
-        };
-        
-        const ranges = roomMode ? computeFreeRangesForRoom(structured, query) : computeFreeRangesForDay(structured, query);
-        if (ranges.length > 0) out[dayName] = ranges;
-      });
-    } else if (scheduleData.classrooms && scheduleData.timeSlots) {
-      // Single day structure
-      const dayName = scheduleData.day || days[selectedDay];
-      if (dayFilter === 'all' || String(dayFilter) === String(selectedDay)) {
-        const ranges = roomMode ? computeFreeRangesForRoom({
-          classrooms: scheduleData.classrooms,
-          timeSlots: scheduleData.timeSlots
-        }, query) : computeFreeRangesForDay({
-          classrooms: scheduleData.classrooms,
-          timeSlots: scheduleData.timeSlots
-        }, query);
-        if (ranges.length > 0) out[dayName] = ranges;
-      }
-    }
-    
-    return out;
-  };
-
   // Get all lab classes from the current schedule
   const getAllLabClasses = () => {
     if (!scheduleData) return [];
@@ -542,8 +169,8 @@ export default function StudentTimetable() {
                 time: slot.time,
                 classroom: slot.classroom || 'TBD',
                 dayNum: days.indexOf(dayName),
-                capacity: slot.capacity || 50,
-                floor: slot.floor || '1st Floor'
+                capacity: slot.capacity || '?',
+                floor: slot.floor || '?'
               });
             }
           });
@@ -561,8 +188,8 @@ export default function StudentTimetable() {
             time: slot.time,
             classroom: slot.classroom || 'TBD',
             dayNum: selectedDay,
-            capacity: slot.capacity || 50,
-            floor: slot.floor || '1st Floor'
+            capacity: slot.capacity || '?',
+            floor: slot.floor || '?'
           });
         }
       });
@@ -661,6 +288,28 @@ export default function StudentTimetable() {
     });
   };
 
+  // Fall back to the week persisted in IndexedDB by the last successful
+  // `day=all` fetch. Returns false when there is nothing usable stored.
+  const showOfflineSnapshot = async (dayId) => {
+    let snapshot = null;
+    try {
+      snapshot = await loadWeekSnapshot(campus);
+    } catch (err) {
+      console.warn('[StudentTimetable] Could not read week snapshot:', err);
+    }
+    if (!snapshot || !snapshot.week) return false;
+
+    if (dayId === 'all') {
+      setScheduleData(prev => ({ ...prev, week: snapshot.week }));
+    } else {
+      const dayData = snapshot.week[days[dayId]];
+      if (!dayData) return false;
+      setScheduleData(prev => (prev ? { ...prev, ...dayData } : dayData));
+    }
+    setStaleSince(snapshot.fetchedAt || new Date(snapshot.savedAt).toISOString());
+    return true;
+  };
+
   // Fetch schedule for the selected day (with caching)
   const fetchDaySchedule = async (dayId) => {
     // Check cache first
@@ -684,16 +333,21 @@ export default function StudentTimetable() {
     setError(null);
     try {
       if (dayId === 'all') {
-        const response = await fetch(`/api/schedule?action=fetch&day=all`);
+        const response = await fetch(withCampus(`/api/schedule?action=fetch&day=all`, campus));
         const data = await response.json();
         if (data.success) {
           cacheRef.current.schedule['all'] = { data: { week: data.week }, timestamp: Date.now() };
           setScheduleData(prev => ({ ...prev, week: data.week }));
-        } else {
+          setStaleSince(null);
+          // Keep a copy for the next offline visit; a failed write only costs offline support
+          saveWeekSnapshot(data.week, data.timestamp || new Date().toISOString(), campus).catch(err => {
+            console.warn('[StudentTimetable] Could not persist week snapshot:', err);
+          });
+        } else if (!(await showOfflineSnapshot(dayId))) {
           setError(data.error || 'Failed to fetch week schedule');
         }
       } else {
-        const response = await fetch(`/api/schedule?action=fetch&day=${dayId}`);
+        const response = await fetch(withCampus(`/api/schedule?action=fetch&day=${dayId}`, campus));
         const data = await response.json();
         if (data.success) {
           cacheRef.current.schedule[cacheKey] = { data: data.data, timestamp: Date.now() };
@@ -702,13 +356,15 @@ export default function StudentTimetable() {
             // Merge: keep week data if it exists, update single-day data
             return { ...prev, ...data.data };
           });
-        } else {
+        } else if (!(await showOfflineSnapshot(dayId))) {
           setError(data.error || 'Failed to fetch schedule');
         }
       }
     } catch (err) {
-      setError('Network error: ' + err.message);
       console.error('[StudentTimetable] Fetch error:', err);
+      if (!(await showOfflineSnapshot(dayId))) {
+        setError('Network error: ' + err.message);
+      }
     } finally {
       setLoading(false);
     }
@@ -749,9 +405,14 @@ export default function StudentTimetable() {
       if (today === 0 || today === 6) {
         filterDay = 0; // Default to Monday for weekend
       }
+      // A `day` from the URL wins once (null = "All")
+      if (pendingSearchDayRef.current !== undefined) {
+        filterDay = pendingSearchDayRef.current;
+        pendingSearchDayRef.current = undefined;
+      }
       
       // Search ALL days so results can be filtered dynamically
-      const response = await fetch(`/api/schedule?action=search&query=${encodeURIComponent(query)}&day=all`, { signal: controller.signal });
+      const response = await fetch(withCampus(`/api/schedule?action=search&query=${encodeURIComponent(query)}&day=all`, campus), { signal: controller.signal });
       const data = await response.json();
 
       // If this request was aborted, stop processing
@@ -762,6 +423,7 @@ export default function StudentTimetable() {
         cacheRef.current.lastSearchQuery = query;
         setSearchResults(data);
         // Auto-filter to the selected day initially (but user can click "All" to see all days)
+        if (filterDay !== searchFilterDay) replaceUrlRef.current = true;
         setSearchFilterDay(filterDay);
       } else {
         setError(data.error || 'Search failed');
@@ -807,11 +469,11 @@ export default function StudentTimetable() {
           const classrooms = dayData?.classrooms || dayData?.data?.classrooms || [];
           classrooms.forEach(room => {
             (room.schedule || []).forEach(s => {
-              if (s && s.code && s.code.toUpperCase() === watchCode) {
+              if (s && slotCodes(s).some(c => c.toUpperCase() === watchCode)) {
                 instances.add(JSON.stringify({
                   day: dayName,
                   time: s.time || '',
-                  code: s.code,
+                  code: watchCode,
                   className: s.class,
                   classroom: room.name
                 }));
@@ -852,23 +514,21 @@ export default function StudentTimetable() {
       const { start, end } = parseStartEnd(freeTimeSlot);
       const timeResults = {};
       days.forEach(dayName => {
-        const rooms = findFreeRoomsForTimeRange(dayName, start, end) || [];
+        const rooms = findFreeRoomsForTimeRange(dayName, start, end, activeRoomFilters) || [];
         if (rooms.length > 0) {
-          timeResults[dayName] = [{ start, end, availableRooms: rooms.map(r => ({ name: r.name, capacity: r.capacity || r.capacity === 0 ? r.capacity : '?', block: r.block || extractBlockFromName(r.name), floor: r.floor || '?' })) }];
+          timeResults[dayName] = [{ start, end, availableRooms: rooms.map(({ schedule, ...room }) => room) }];
         }
       });
 
       if (Object.keys(timeResults).length > 0) {
         setFreeResults(timeResults);
-        // Auto-select today's day if it has results
-        const today = new Date().getDay();
-        const todayIndex = today === 0 || today === 6 ? 0 : today - 1;
-        const todayDayName = days[todayIndex];
-        let selIndex = todayIndex;
-        if (!timeResults[todayDayName]) {
+        // Auto-select the selected day (today unless the URL picked one) if it has results
+        let selIndex = selectedDay;
+        if (!timeResults[days[selectedDay]]) {
           selIndex = days.indexOf(Object.keys(timeResults)[0]);
         }
         setFreeDayFilter(selIndex.toString());
+        if (selIndex !== selectedDay) replaceUrlRef.current = true;
         setActiveTab('schedule');
         setSelectedDay(selIndex >= 0 ? selIndex : 0);
         return;
@@ -882,19 +542,16 @@ export default function StudentTimetable() {
     if (results && Object.keys(results).length > 0) {
       setFreeResults(results);
       
-      // Prioritize today's day; if today has no results, pick the first available day
-      const today = new Date().getDay(); // 0=Sun, 1=Mon, ..., 6=Sat
-      const todayIndex = today === 0 || today === 6 ? 0 : today - 1; // Convert to weekday index (0=Mon)
-      const todayDayName = days[todayIndex];
-      
-      let selectedDayIndex = todayIndex;
-      if (!results[todayDayName]) {
+      // Prioritize the selected day (today unless the URL picked one); if it has no results, pick the first available day
+      let selectedDayIndex = selectedDay;
+      if (!results[days[selectedDay]]) {
         // Today has no results, pick the first day with results
         const firstDay = Object.keys(results)[0];
         selectedDayIndex = days.indexOf(firstDay);
       }
       
       setFreeDayFilter(selectedDayIndex.toString()); // Select today or first available day
+      if (selectedDayIndex !== selectedDay) replaceUrlRef.current = true;
       setActiveTab('schedule');
       setSelectedDay(selectedDayIndex >= 0 ? selectedDayIndex : 0);
       return;
@@ -936,9 +593,10 @@ export default function StudentTimetable() {
             (room.schedule || []).forEach(s => {
               if (s && s.class) {
                 const text = String(s.class).toLowerCase();
-                const code = String(s.code || '').toLowerCase();
-                if (text.includes(freeQuery.toLowerCase()) || code.includes(freeQuery.toLowerCase())) {
-                  if (s.code) suggestions.add(s.code);
+                const q = freeQuery.toLowerCase();
+                const codes = slotCodes(s);
+                if (text.includes(q) || codes.some(c => c.toLowerCase().includes(q))) {
+                  if (codes.length > 0) codes.forEach(c => suggestions.add(c));
                   else suggestions.add(s.class.split('\n')[0]);
                 }
               }
@@ -954,6 +612,106 @@ export default function StudentTimetable() {
     setFreeResults(results);
   };
 
+  // The shareable part of the view, as stored in the URL (see lib/urlState.js).
+  // `q` and `day` map to different state depending on the tab.
+  const currentView = () => {
+    if (activeTab === 'search') {
+      return {
+        tab: activeTab,
+        q: searchQuery.trim(),
+        day: searchQuery.trim() ? (searchFilterDay === null ? 'all' : searchFilterDay) : undefined
+      };
+    }
+    if (activeTab === 'schedule') {
+      return {
+        tab: activeTab,
+        q: freeQuery.trim(),
+        day: selectedDay,
+        slot: freeTimeSlot !== 'all' ? freeTimeSlot : undefined
+      };
+    }
+    if (activeTab === 'saved') return { tab: activeTab, day: savedDayFilter === null ? undefined : savedDayFilter };
+    return { tab: activeTab };
+  };
+
+  // Resolve a `slot` param ("now" or a slot time) against the week's slots
+  const applySlotParam = (wanted, week) => {
+    if (!week) {
+      pendingSlotRef.current = wanted;
+      return;
+    }
+    const slots = getAllTimeSlots();
+    const slot = wanted === 'now' ? findCurrentSlot(slots) : (slots.includes(wanted) ? wanted : null);
+    replaceUrlRef.current = true;
+    setFreeTimeSlot(slot || 'all');
+  };
+
+  const applyView = (view) => {
+    replaceUrlRef.current = true;
+    setActiveTab(view.tab);
+    const dayIndex = typeof view.day === 'number' ? view.day : null;
+
+    if (view.tab === 'search') {
+      if (view.day !== undefined) {
+        setSearchFilterDay(dayIndex);
+        // the search for a new query would otherwise reset the filter to today
+        if (view.q !== searchQuery) pendingSearchDayRef.current = dayIndex;
+      }
+      setSearchQuery(view.q);
+    } else if (view.tab === 'schedule') {
+      setFreeQuery(view.q);
+      if (dayIndex !== null) {
+        setSelectedDay(dayIndex);
+        setFreeDayFilter(String(dayIndex));
+      }
+      if (view.slot) applySlotParam(view.slot, scheduleData?.week);
+      else setFreeTimeSlot('all');
+    } else if (view.tab === 'saved') {
+      setSavedDayFilter(dayIndex);
+    }
+  };
+
+  // Read the view from the URL on load and on back/forward. Our own shallow
+  // updates come back through here too; those are recognised and skipped.
+  useEffect(() => {
+    if (!router.isReady) return;
+    const view = parseViewParams(router.query, { today: computeDefaultDay() });
+    const queryString = toQueryString(buildViewQuery(view));
+    if (urlReady && queryString === lastUrlQueryRef.current) return;
+    lastUrlQueryRef.current = queryString;
+    applyView(view);
+    setUrlReady(true);
+  }, [router.isReady, router.asPath]);
+
+  // Apply a pending `slot` param once the week (and so the slot list) is known
+  useEffect(() => {
+    if (!pendingSlotRef.current || !scheduleData?.week) return;
+    if (getAllTimeSlots().length === 0) return;
+    const wanted = pendingSlotRef.current;
+    pendingSlotRef.current = null;
+    applySlotParam(wanted, scheduleData.week);
+  }, [scheduleData]);
+
+  // Write the view back to the URL. Tab/day/slot changes get their own history
+  // entry so back/forward steps through them; typing only replaces the entry.
+  useEffect(() => {
+    if (!urlReady) return;
+    const query = buildViewQuery(currentView());
+    const queryString = toQueryString(query);
+    if (queryString === lastUrlQueryRef.current) {
+      replaceUrlRef.current = false;
+      return;
+    }
+
+    const previous = new URLSearchParams(lastUrlQueryRef.current || '');
+    const same = (k) => (previous.get(k) || '') === (query[k] || '');
+    const onlyTextChanged = same('tab') && same('slot') && (same('day') || !same('q'));
+    const method = replaceUrlRef.current || onlyTextChanged ? 'replace' : 'push';
+    replaceUrlRef.current = false;
+    lastUrlQueryRef.current = queryString;
+    router[method]({ pathname: router.pathname, query }, undefined, { shallow: true, scroll: false });
+  }, [urlReady, activeTab, searchQuery, freeQuery, freeTimeSlot, selectedDay, searchFilterDay, savedDayFilter]);
+
   // Load saved and watched classes from localStorage
   useEffect(() => {
     try {
@@ -977,6 +735,25 @@ export default function StudentTimetable() {
     }
   }, []);
 
+  // Campus switcher: remembered choice first, then the registry (hidden when there is one campus)
+  useEffect(() => {
+    setCampus(getStoredCampus());
+    fetchCampuses().then(setCampuses).catch(err => console.warn('[StudentTimetable] Campus list unavailable:', err));
+  }, []);
+
+  // Switch campus: everything cached or shown so far belongs to the old sheet
+  const changeCampus = (id) => {
+    const next = id === (campuses.find(c => c.isDefault) || {}).id ? '' : id;
+    if (next === campus) return;
+    storeCampus(next);
+    cacheRef.current = { schedule: {}, search: {}, lastSearchQuery: '' };
+    setScheduleData(null);
+    setSearchResults(null);
+    setFreeResults(null);
+    setStaleSince(null);
+    setCampus(next);
+  };
+
   // Persist watched classes
   useEffect(() => {
     try {
@@ -986,6 +763,21 @@ export default function StudentTimetable() {
     }
   }, [watchedClasses]);
 
+  // Detect an existing push subscription so the toggle shows the right state
+  useEffect(() => {
+    if (!isPushSupported()) return;
+    setPushSupported(true);
+    getExistingSubscription()
+      .then(sub => setPushEnabled(!!sub))
+      .catch(() => setPushEnabled(false));
+  }, []);
+
+  // Keep the server's copy of watched codes (and their campus) in sync for push notifications
+  useEffect(() => {
+    if (!pushEnabled || campus === null) return;
+    updatePushCodes(watchedClasses, campus).catch(e => console.warn('Failed to update push codes', e));
+  }, [watchedClasses, pushEnabled, campus]);
+
   // Auto-sync watched classes when schedule data updates
   useEffect(() => {
     if (scheduleData && watchedClasses.length > 0) {
@@ -1013,22 +805,20 @@ export default function StudentTimetable() {
       const timeResults = {};
 
       days.forEach(dayName => {
-        const rooms = findFreeRoomsForTimeRange(dayName, start, end) || [];
+        const rooms = findFreeRoomsForTimeRange(dayName, start, end, activeRoomFilters) || [];
         if (rooms.length > 0) {
-          timeResults[dayName] = [{ start, end, availableRooms: rooms.map(r => ({ name: r.name, capacity: (r.capacity || r.capacity === 0) ? r.capacity : '?', block: r.block || extractBlockFromName(r.name), floor: r.floor || '?' })) }];
+          timeResults[dayName] = [{ start, end, availableRooms: rooms.map(({ schedule, ...room }) => room) }];
         }
       });
 
       if (Object.keys(timeResults).length > 0) {
         setFreeResults(timeResults);
-        const today = new Date().getDay();
-        const todayIndex = today === 0 || today === 6 ? 0 : today - 1;
-        const todayDayName = days[todayIndex];
-        let selIndex = todayIndex;
-        if (!timeResults[todayDayName]) {
+        let selIndex = selectedDay;
+        if (!timeResults[days[selectedDay]]) {
           selIndex = days.indexOf(Object.keys(timeResults)[0]);
         }
         setFreeDayFilter(selIndex.toString());
+        if (selIndex !== selectedDay) replaceUrlRef.current = true;
         setActiveTab('schedule');
         setSelectedDay(selIndex >= 0 ? selIndex : 0);
       } else {
@@ -1039,10 +829,21 @@ export default function StudentTimetable() {
       // if switched back to 'All times' and no text query, clear results
       if (!freeQuery || !freeQuery.trim()) setFreeResults(null);
     }
-  }, [freeTimeSlot, activeTab]);
+  }, [freeTimeSlot, activeTab, activeRoomFilters]);
 
   // (No debug logs)
 
+  // Retry the live fetch as soon as the connection comes back
+  useEffect(() => {
+    if (!staleSince || campus === null) return;
+    const onOnline = () => {
+      fetchDaySchedule('all');
+      fetchDaySchedule(selectedDay);
+    };
+    window.addEventListener('online', onOnline);
+    return () => window.removeEventListener('online', onOnline);
+  }, [staleSince, selectedDay, campus]);
+
   // Fetch schedule when user switches to schedule tab or changes selectedDay
   useEffect(() => {
     // Client-side light polling to keep schedule reasonably fresh on Vercel.
@@ -1051,7 +852,7 @@ export default function StudentTimetable() {
     const pollMs = Number(process.env.NEXT_PUBLIC_SHEET_CLIENT_POLL_MS) || 0;
     let intervalId = null;
 
-    if (activeTab === 'schedule') {
+    if (campus !== null && (activeTab === 'schedule' || activeTab === 'now')) {
       // Fetch ALL days for the Free Finder to work correctly
       fetchDaySchedule('all');
       
@@ -1070,10 +871,19 @@ export default function StudentTimetable() {
       if (intervalId) clearInterval(intervalId);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [activeTab, selectedDay]);
+  }, [activeTab, selectedDay, campus]);
+
+  // Tick the clock while the Now tab is open
+  useEffect(() => {
+    if (activeTab !== 'now') return;
+    setNow(new Date());
+    const intervalId = setInterval(() => setNow(new Date()), 15000);
+    return () => clearInterval(intervalId);
+  }, [activeTab]);
 
   // Handle search input with debounce - faster debounce (100ms instead of 450ms)
   useEffect(() => {
+    if (campus === null) return;
     const timer = setTimeout(() => {
       if (searchQuery.trim()) {
         performSearch(searchQuery);
@@ -1083,7 +893,16 @@ export default function StudentTimetable() {
     }, 100);
 
     return () => clearTimeout(timer);
-  }, [searchQuery]);
+  }, [searchQuery, campus]);
+
+  // Course catalog for the class search autocomplete (search still works without it)
+  useEffect(() => {
+    if (campus === null) return;
+    setCatalog(null);
+    fetchCourseCatalog(campus).then(setCatalog).catch(err => console.warn('[StudentTimetable] Catalog unavailable:', err));
+  }, [campus]);
+
+  const searchSuggestions = useMemo(() => suggestFromCatalog(catalog, searchQuery), [catalog, searchQuery]);
 
   // Persist saved classes
   useEffect(() => {
@@ -1265,8 +1084,8 @@ export default function StudentTimetable() {
           badgeText = classItem.code;
         } else if (classItem.class) {
           const classStr = String(classItem.class);
-          const codeMatch = classStr.match(/[A-Z]{2,}\-?\d+[A-Z]?\d*/);
-          badgeText = codeMatch ? codeMatch[0] : classStr.split('\n')[0];
+          const cellCode = extractCode(classStr, codeGrammar);
+          badgeText = cellCode || classStr.split('\n')[0];
         }
 
         const id = `${dayName}::${classItem.classroom}::${classItem.time}::${badgeText}`;
@@ -1329,8 +1148,8 @@ export default function StudentTimetable() {
         } else if (classItem.class) {
           // Try to extract class code from class name (e.g., "BSBA-3A1" from "TBW BSBA-3A1 Ms. Name")
           const classStr = String(classItem.class);
-          const codeMatch = classStr.match(/[A-Z]{2,}\-?\d+[A-Z]?\d*/);
-          badgeText = codeMatch ? codeMatch[0] : classStr.split('\n')[0];
+          const cellCode = extractCode(classStr, codeGrammar);
+          badgeText = cellCode || classStr.split('\n')[0];
         }
         allInstances.push({
           code: badgeText,
@@ -1473,29 +1292,91 @@ export default function StudentTimetable() {
     );
   };
 
+  // Build a saved-class entry - just code, day, time and room for real-time sync
+  const makeSavedEntry = (item) => ({
+    // Unique ID based on code, day, time, and classroom
+    id: `${item.code}::${item.day}::${item.time}::${item.classroom}`,
+    code: item.code,
+    day: item.day,
+    time: item.time,
+    classroom: item.classroom,
+    className: item.className || item.class,
+    addedAt: Date.now()
+  });
+
   // Add saved class - now just stores code and day for real-time sync
   const addSavedClass = (item) => {
-    // Create a unique ID based on code, day, time, and classroom
-    const id = `${item.code}::${item.day}::${item.time}::${item.classroom}`;
-    if (savedClasses.find((s) => s.id === id)) return;
-    
-    // Store essential info for real-time lookup
-    const entry = { 
-      id, 
-      code: item.code,
-      day: item.day,
-      time: item.time,
-      classroom: item.classroom,
-      className: item.className || item.class,
-      addedAt: Date.now() 
-    };
+    const entry = makeSavedEntry(item);
+    if (savedClasses.find((s) => s.id === entry.id)) return;
     setSavedClasses([entry, ...savedClasses]);
   };
 
+  // Save several classes at once (e.g. a planner combination)
+  const addSavedClasses = (items) => {
+    setSavedClasses(prev => {
+      const next = [...prev];
+      items.forEach(item => {
+        const entry = makeSavedEntry(item);
+        if (!next.find((s) => s.id === entry.id)) next.unshift(entry);
+      });
+      return next;
+    });
+  };
+
   const removeSavedClass = (id) => {
     setSavedClasses(savedClasses.filter((s) => s.id !== id));
   };
 
+  // Resolve a clash by keeping one side and removing every saved entry of the other
+  const keepClashSide = (dropBlock) => {
+    const dropIds = new Set(dropBlock.entries.map(e => e.id));
+    setSavedClasses(savedClasses.filter((s) => !dropIds.has(s.id)));
+  };
+
+  // Turn change notifications for watched classes on/off
+  const togglePushNotifications = async () => {
+    try {
+      if (pushEnabled) {
+        await unsubscribeFromPush();
+        setPushEnabled(false);
+      } else {
+        await subscribeToPush(watchedClasses, campus || '');
+        setPushEnabled(true);
+      }
+    } catch (err) {
+      setError(err.message);
+      console.error('[StudentTimetable] Push toggle error:', err);
+    }
+  };
+
+  // Download saved classes + watched codes as a weekly recurring .ics calendar
+  const downloadCalendar = async () => {
+    try {
+      const response = await fetch('/api/ics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ saved: savedClasses, codes: watchedClasses, campus: campus || undefined })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || 'Failed to export calendar');
+        return;
+      }
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'fast-timetable.ics';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      setError('Network error: ' + err.message);
+      console.error('[StudentTimetable] Calendar export error:', err);
+    }
+  };
+
   // Get real-time data from schedule for a saved class
   const getRealtimeClassData = (savedClass) => {
     if (!scheduleData) return savedClass;
@@ -1508,7 +1389,7 @@ export default function StudentTimetable() {
       for (const room of classrooms) {
         if (room.name === savedClass.classroom) {
           for (const slot of (room.schedule || [])) {
-            if (slot.code === savedClass.code && slot.time === savedClass.time) {
+            if (slotCodes(slot).includes(savedClass.code) && slot.time === savedClass.time) {
               // Found updated data from sheet
               return {
                 ...savedClass,
@@ -1541,8 +1422,8 @@ export default function StudentTimetable() {
             badgeText = classItem.code;
           } else if (classItem.class) {
             const classStr = String(classItem.class);
-            const codeMatch = classStr.match(/[A-Z]{2,}\-?\d+[A-Z]?\d*/);
-            badgeText = codeMatch ? codeMatch[0] : classStr.split('\n')[0];
+            const cellCode = extractCode(classStr, codeGrammar);
+            badgeText = cellCode || classStr.split('\n')[0];
           }
           
           const id = `${dayName}::${classItem.classroom}::${classItem.time}::${badgeText}`;
@@ -1555,6 +1436,10 @@ export default function StudentTimetable() {
       return allSaved;
     };
 
+    // Overlapping saved entries (checked against the live sheet data)
+    const clashes = findClashes(savedClasses.map(s => ({ ...getRealtimeClassData(s), id: s.id })));
+    const clashingIds = getClashingIds(clashes);
+
     if ((!savedClasses || savedClasses.length === 0) && watchedClasses.length === 0) {
       return (
         <div>
@@ -1615,10 +1500,28 @@ export default function StudentTimetable() {
           </div>
         )}
 
+        {/* Calendar export */}
+        <div className={styles.resultActions} style={{ marginBottom: '20px' }}>
+          <button className={styles.saveAllBtn} onClick={downloadCalendar} title="Weekly recurring events for Google/Outlook calendars">
+            📆 Download Calendar (.ics)
+          </button>
+        </div>
+
         {/* Watched Classes Section */}
         {watchedClasses.length > 0 && (
           <div className={styles.watchedSection}>
             <h3 className={styles.watchedTitle}>📌 Class Schedules (Auto-Synced)</h3>
+            {pushSupported && (
+              <div className={styles.resultActions} style={{ marginBottom: '12px' }}>
+                <button
+                  className={pushEnabled ? styles.removeBtn : styles.gotoBtn}
+                  onClick={togglePushNotifications}
+                  title="Get a browser notification when a watched class changes room or time"
+                >
+                  {pushEnabled ? '🔕 Turn off change notifications' : '🔔 Notify me when these change'}
+                </button>
+              </div>
+            )}
             <div className={styles.resultsList}>
               {watchedClasses.map(code => (
                 <div key={`watched-${code}`} className={styles.watchedCard}>
@@ -1635,12 +1538,47 @@ export default function StudentTimetable() {
                   <div className={styles.watchedInfo}>
                     <span>Auto-synced when schedule updates</span>
                   </div>
+                  <div className={styles.resultActions}>
+                    <button
+                      className={styles.gotoBtn}
+                      onClick={() => { window.location.href = `webcal://${window.location.host}${withCampus(`/api/calendar/${encodeURIComponent(code)}.ics`, campus)}`; }}
+                      title="Subscribe in your calendar app — it stays in sync with the sheet"
+                    >
+                      🔗 Subscribe to Calendar
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
           </div>
         )}
 
+        {/* Clashes between saved classes */}
+        {clashes.length > 0 && (
+          <div className={styles.clashSection}>
+            <h3 className={styles.clashTitle}>⚠ {clashes.length} clash{clashes.length !== 1 ? 'es' : ''} in your saved classes</h3>
+            {clashes.map(c => (
+              <div key={`clash-${c.id}`} className={styles.clashCard}>
+                <div className={styles.clashInfo}>📅 {c.day} • 🕐 overlap {formatMinutes(c.start)} - {formatMinutes(c.end)}</div>
+                <div className={styles.clashOptions}>
+                  {[[c.a, c.b], [c.b, c.a]].map(([side, other], idx) => (
+                    <div key={`clash-${c.id}-${idx}`} className={styles.clashOption}>
+                      <div className={styles.resultHeader}>
+                        <span className={styles.resultCode}>{side.entries[0].code || '—'}</span>
+                      </div>
+                      <div className={styles.resultTitle}>{side.entries[0].className || 'Free'}</div>
+                      <div className={styles.watchedInfo}>
+                        🕐 {formatMinutes(side.start)} - {formatMinutes(side.end)} • 📍 {side.entries[0].classroom}
+                      </div>
+                      <button className={styles.saveBtn} onClick={() => keepClashSide(other)}>✓ Keep this one</button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Individual Saved Classes - Grouped by Day */}
         {savedClasses && savedClasses.length > 0 && (
           <div className={styles.savedSection}>
@@ -1681,9 +1619,29 @@ export default function StudentTimetable() {
               return null;
             })()}
             
+            <div className={styles.daySelector}>
+              <button
+                className={`${styles.dayButton} ${savedDayFilter === null ? styles.activeDayButton : ''}`}
+                onClick={() => setSavedDayFilter(null)}
+              >
+                All
+              </button>
+              {[0, 1, 2, 3, 4].map(dayNum => (
+                <button
+                  key={`saved-day-filter-${dayNum}`}
+                  className={`${styles.dayButton} ${savedDayFilter === dayNum ? styles.activeDayButton : ''}`}
+                  onClick={() => setSavedDayFilter(dayNum)}
+                >
+                  {days[dayNum].slice(0, 3)}
+                </button>
+              ))}
+            </div>
+
             {/* Render saved classes with real-time data from schedule */}
             {(() => {
-              const dayOrder = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+              const dayOrder = savedDayFilter === null
+                ? ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
+                : [days[savedDayFilter]];
 
               // Get real-time data for each saved class
               const entries = savedClasses.map(s => {
@@ -1705,6 +1663,15 @@ export default function StudentTimetable() {
                 return parseTimeToMinutes(a.time) - parseTimeToMinutes(b.time);
               });
 
+              if (savedDayFilter !== null && !entries.some(n => n.day === days[savedDayFilter])) {
+                return (
+                  <div className={styles.noResults}>
+                    <div className={styles.noResultsIcon}>🎉</div>
+                    <p>No saved classes on {days[savedDayFilter]}</p>
+                  </div>
+                );
+              }
+
               // Group by day
               return dayOrder.map(day => {
                 const dayEntries = entries.filter(n => n.day === day);
@@ -1716,9 +1683,10 @@ export default function StudentTimetable() {
                     <h4 className={styles.dayGroupHeader}>{day}</h4>
                     <div className={styles.resultsList}>
                       {dayEntries.map((n) => (
-                        <div key={n.id} className={styles.resultCard}>
+                        <div key={n.id} className={`${styles.resultCard} ${clashingIds.has(n.id) ? styles.clashingCard : ''}`}>
                           <div className={styles.resultHeader}>
                             <span className={styles.resultCode}>{n.code || '—'}</span>
+                            {clashingIds.has(n.id) && <span className={styles.clashBadge}>⚠ Clash</span>}
                             <span className={styles.resultDay}>📅 {day}</span>
                           </div>
                           <div className={styles.resultTitle}>{n.className || 'Free'}</div>
@@ -1748,6 +1716,113 @@ export default function StudentTimetable() {
     );
   };
 
+  // "Now and next": my saved classes against the clock, plus rooms free right now
+  const renderNow = () => {
+    if (!now) return null;
+    const jsDay = now.getDay();
+    if (jsDay === 0 || jsDay === 6) {
+      return (
+        <div className={styles.noResults}>
+          <div className={styles.noResultsIcon}>🛋️</div>
+          <p>It's the weekend — no classes running.</p>
+        </div>
+      );
+    }
+
+    const todayName = days[jsDay - 1];
+    const dayData = scheduleData?.week?.[todayName];
+    const timeHeaders = dayData?.timeHeaders || dayData?.data?.timeHeaders || (dayData?.timeSlots || []).map(s => s.time);
+    const { current: currentSlot, next: nextSlot } = getSlotAt(timeHeaders, now);
+    const mine = getNowAndNext(savedClasses.filter(s => s.day === todayName).map(getRealtimeClassData), now);
+
+    // Rooms free in the running slot (or the next one during a break), with how long they stay free
+    const slot = currentSlot || nextSlot;
+    let freeNow = [];
+    if (slot) {
+      const { start, end } = parseStartEnd(slot.time);
+      freeNow = findFreeRoomsForTimeRange(todayName, start, end).map(room => {
+        const merged = mergeAdjacentFreeSlots(room.schedule);
+        const blockIdx = merged.findIndex(b => b.kind === 'free' && b.slots.some(s => s.time === slot.time));
+        const block = blockIdx >= 0 ? merged[blockIdx] : null;
+        return {
+          name: room.name,
+          until: block ? block.end : end,
+          restOfDay: blockIdx === merged.length - 1
+        };
+      }).sort((a, b) => (b.restOfDay - a.restOfDay) || (parseTimeToMinutes(b.until) - parseTimeToMinutes(a.until)) || a.name.localeCompare(b.name));
+    }
+
+    const clock = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    let slotText = 'Classes are over for today';
+    if (currentSlot) slotText = `Slot ${currentSlot.time}`;
+    else if (nextSlot) slotText = `Break — next slot ${nextSlot.time}`;
+
+    const renderBlock = (label, block, countdown) => (
+      <div className={styles.nowCard}>
+        <div className={styles.nowCardLabel}>{label}</div>
+        {block ? (
+          <>
+            <div className={styles.resultHeader}>
+              <span className={styles.resultCode}>{block.code || '—'}</span>
+              <span className={styles.nowCountdown}>{countdown}</span>
+            </div>
+            <div className={styles.resultTitle}>{block.className}</div>
+            <div className={styles.detailRow}>
+              <span className={styles.detailLabel}>🕐 {block.time}</span>
+              <span className={styles.detailValue}>📍 {block.classroom}</span>
+            </div>
+          </>
+        ) : (
+          <div className={styles.detailLabel}>Nothing {label === 'Now' ? 'right now' : 'later today'}</div>
+        )}
+      </div>
+    );
+
+    return (
+      <div>
+        <div className={styles.nowHeader}>
+          <span className={styles.nowClock}>🕒 {clock}</span>
+          <span>{todayName} · {slotText}</span>
+        </div>
+
+        <h3 className={styles.savedTitle}>📌 My classes</h3>
+        {savedClasses.length === 0 ? (
+          <div className={styles.noResults}>
+            <p>Save your classes from the Search tab to see them here.</p>
+          </div>
+        ) : (
+          <div className={styles.nowGrid}>
+            {renderBlock('Now', mine.current, mine.current ? `ends in ${formatCountdown(mine.minutesLeft)}` : '')}
+            {renderBlock('Next', mine.next, mine.next ? `in ${formatCountdown(mine.minutesUntilNext)}` : '')}
+          </div>
+        )}
+        {mine.remaining.length > 1 && (
+          <div className={styles.nowLater}>
+            Later: {mine.remaining.slice(1).map(b => `${b.code || b.className} ${b.time} (${b.classroom})`).join(' · ')}
+          </div>
+        )}
+
+        <h3 className={styles.savedTitle}>🚪 Free {currentSlot ? 'right now' : 'next slot'}{slot ? ` (${slot.time})` : ''}</h3>
+        {!dayData ? (
+          <div className={styles.noResults}><p>Loading today's rooms…</p></div>
+        ) : !slot ? (
+          <div className={styles.noResults}><p>No more slots today — every room is free.</p></div>
+        ) : freeNow.length === 0 ? (
+          <div className={styles.noResults}><p>No rooms free in this slot.</p></div>
+        ) : (
+          <div className={styles.freeNowList}>
+            {freeNow.map(room => (
+              <div key={`free-now-${room.name}`} className={styles.freeNowItem}>
+                <span className={styles.freeNowRoom}>{room.name}</span>
+                <span className={styles.detailLabel}>{room.restOfDay ? 'free rest of day' : `free until ${room.until}`}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   function AddClassForm({ days, onAdd }) {
     const [day, setDay] = useState(days[0] || 'Monday');
     const [time, setTime] = useState('09:00 - 10:00');
@@ -1786,6 +1861,18 @@ export default function StudentTimetable() {
       <div className={styles.header}>
         <div className={styles.headerContent}>
           <h1 className={styles.title}>📚 FAST University Timetable</h1>
+          {campuses.length > 1 && (
+            <select
+              className={styles.campusSelect}
+              aria-label="Campus"
+              value={activeCampus ? activeCampus.id : ''}
+              onChange={(e) => changeCampus(e.target.value)}
+            >
+              {campuses.map(c => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+          )}
           {/* <div className={styles.creatorInfo}>
              <p className={styles.subtitle}>Made By Saad Najam</p>
             <div className={styles.socialLinks}>
@@ -1807,6 +1894,7 @@ export default function StudentTimetable() {
       {/* Search Bar - Show different search based on active tab */}
       <div className={styles.searchSection}>
         {activeTab === 'schedule' ? (
+          <>
           <div className={styles.searchBox}>
             <input
               type="text"
@@ -1846,20 +1934,71 @@ export default function StudentTimetable() {
               )}
             </div>
           </div>
-        ) : (
+          {/* Free-room filters: apply when a time slot is picked (⏱) or a free block is opened */}
+          <div className={styles.roomFilters}>
+            <input
+              type="number"
+              min="1"
+              inputMode="numeric"
+              className={styles.roomFilterInput}
+              placeholder="Seats for"
+              aria-label="Minimum capacity"
+              value={roomFilters.minCapacity}
+              onChange={(e) => setRoomFilters(f => ({ ...f, minCapacity: e.target.value }))}
+            />
+            <select className={styles.roomFilterSelect} aria-label="Room type" value={roomFilters.type} onChange={(e) => setRoomFilters(f => ({ ...f, type: e.target.value }))}>
+              <option value="">Any type</option>
+              <option value="lecture">Lecture room</option>
+              <option value="lab">Lab</option>
+              <option value="hall">Hall</option>
+            </select>
+            {roomFilterOptions.blocks.length > 0 && (
+              <select className={styles.roomFilterSelect} aria-label="Block" value={roomFilters.block} onChange={(e) => setRoomFilters(f => ({ ...f, block: e.target.value }))}>
+                <option value="">Any block</option>
+                {roomFilterOptions.blocks.map(b => <option key={`blk-${b}`} value={b}>Block {b}</option>)}
+              </select>
+            )}
+            {roomFilterOptions.floors.length > 0 && (
+              <select className={styles.roomFilterSelect} aria-label="Floor" value={roomFilters.floor} onChange={(e) => setRoomFilters(f => ({ ...f, floor: e.target.value }))}>
+                <option value="">Any floor</option>
+                {roomFilterOptions.floors.map(fl => <option key={`fl-${fl}`} value={fl}>{fl}</option>)}
+              </select>
+            )}
+            {hasRoomFilters && (
+              <button type="button" className={styles.roomFilterClear} onClick={() => setRoomFilters({ minCapacity: '', block: '', floor: '', type: '' })}>
+                Clear
+              </button>
+            )}
+          </div>
+          </>
+        ) : ['planner', 'now', 'teachers'].includes(activeTab) ? null : (
           <div className={styles.searchBox}>
             <input
               type="text"
               className={styles.searchInput}
               placeholder="Search your class (e.g., BCS-1G, Lab-1)"
+              list="tt-search-suggestions"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
             />
+            <datalist id="tt-search-suggestions">
+              {searchSuggestions.map(s => <option key={s.value} value={s.value} label={s.label} />)}
+            </datalist>
             <span className={styles.searchIcon}>🔍</span>
           </div>
         )}
       </div>
 
+      {/* Offline banner - showing the IndexedDB copy instead of live data */}
+      {staleSince && (
+        <Notification
+          key={staleSince}
+          type="warning"
+          duration={0}
+          message={`📴 Offline — showing timetable fetched ${new Date(staleSince).toLocaleString()}`}
+        />
+      )}
+
       {/* Error Message */}
       {error && (
         <div className={styles.errorBox}>
@@ -1896,9 +2035,38 @@ export default function StudentTimetable() {
           >
             💾 Saved
           </button>
+          <button
+            className={`${styles.tab} ${activeTab === 'planner' ? styles.activeTab : ''}`}
+            onClick={() => setActiveTab('planner')}
+          >
+            🧩 Planner
+          </button>
+          <button
+            className={`${styles.tab} ${activeTab === 'now' ? styles.activeTab : ''}`}
+            onClick={() => setActiveTab('now')}
+          >
+            ⏰ Now
+          </button>
+          <button
+            className={`${styles.tab} ${activeTab === 'teachers' ? styles.activeTab : ''}`}
+            onClick={() => setActiveTab('teachers')}
+          >
+            🧑‍🏫 Teachers
+          </button>
+          <button
+            className={`${styles.tab} ${activeTab === 'group' ? styles.activeTab : ''}`}
+            onClick={() => setActiveTab('group')}
+          >
+            👥 Group
+          </button>
         </div>
       )}
 
+      {/* What changed on the sheet recently */}
+      {!loading && campus !== null && (
+        <ChangesPanel campus={campus || ''} highlightCodes={[...watchedClasses, ...savedClasses.map(s => s.code).filter(Boolean)]} />
+      )}
+
       {/* Main Content */}
       {!loading && activeTab === 'schedule' && (
         <div className={styles.mainContent}>
@@ -1985,6 +2153,12 @@ export default function StudentTimetable() {
                               <span className={styles.freeCardDetailLabel}>👥 Capacity:</span>
                               <strong>{room.capacity}</strong>
                             </div>
+                            {roomFeatureLabels(room).length > 0 && (
+                              <div className={styles.freeCardDetailRow}>
+                                <span className={styles.freeCardDetailLabel}>🏢 Room:</span>
+                                <span>{roomFeatureLabels(room).join(' · ')}</span>
+                              </div>
+                            )}
                           </div>
 
                           {/* Action: Save Button */}
@@ -2025,6 +2199,40 @@ export default function StudentTimetable() {
         <div className={styles.mainContent}>{renderSaved()}</div>
       )}
 
+      {/* Now and Next Tab */}
+      {!loading && activeTab === 'now' && (
+        <div className={styles.mainContent}>{renderNow()}</div>
+      )}
+
+      {/* Teachers Tab */}
+      {!loading && campus !== null && activeTab === 'teachers' && (
+        <div className={styles.mainContent}><Teachers campus={campus || ''} /></div>
+      )}
+
+      {/* Study Group Tab */}
+      {!loading && campus !== null && activeTab === 'group' && (
+        <div className={styles.mainContent}><StudyGroup savedClasses={savedClasses} campus={campus || ''} /></div>
+      )}
+
+      {/* Semester Planner Tab */}
+      {!loading && activeTab === 'planner' && (
+        <div className={styles.mainContent}>
+          <SemesterPlanner
+            campus={campus || ''}
+            onSaveCombo={(meetings) => {
+              addSavedClasses(meetings.map(m => ({
+                day: m.day,
+                time: m.time,
+                classroom: m.classroom,
+                code: m.code,
+                className: m.class
+              })));
+              setActiveTab('saved');
+            }}
+          />
+        </div>
+      )}
+
       {/* Free Rooms Modal */}
       {selectedTimeRange && (
         <div className={styles.modalOverlay} onClick={() => setSelectedTimeRange(null)}>
@@ -2038,7 +2246,7 @@ export default function StudentTimetable() {
                 {selectedTimeRange.dayName} • {selectedTimeRange.start} - {selectedTimeRange.end}
               </p>
               {(() => {
-                const rooms = findFreeRoomsForTimeRange(selectedTimeRange.dayName, selectedTimeRange.start, selectedTimeRange.end);
+                const rooms = findFreeRoomsForTimeRange(selectedTimeRange.dayName, selectedTimeRange.start, selectedTimeRange.end, activeRoomFilters);
                 if (rooms.length === 0) {
                   return <div className={styles.noResults}>No rooms available at this time</div>;
                 }
@@ -2051,15 +2259,22 @@ export default function StudentTimetable() {
                           <span className={styles.freeBadge}>FREE</span>
                         </div>
                         <div className={styles.roomCardBody}>
-                          <p className={styles.cardLabel}>Classroom</p>
+                          <p className={styles.cardLabel}>{room.type === 'lab' ? 'Lab' : room.type === 'hall' ? 'Hall' : 'Classroom'}</p>
                           <div className={styles.roomInfo}>
                             <span className={styles.roomDetail}>👥 Capacity: {room.capacity}</span>
-                            <span className={styles.roomDetail}>📍 {room.floor}</span>
+                            <span className={styles.roomDetail}>📍 {roomFeatureLabels(room).join(' · ') || 'Location unknown'}</span>
                           </div>
                           <div className={styles.roomInfo}>
                             <span className={styles.roomDetail}>📅 {selectedTimeRange.dayName}</span>
                             <span className={styles.roomDetail}>🕐 {selectedTimeRange.start}-{selectedTimeRange.end}</span>
                           </div>
+                          <BookingRequest
+                            room={room.name}
+                            dayName={selectedTimeRange.dayName}
+                            start={selectedTimeRange.start}
+                            end={selectedTimeRange.end}
+                            campus={campus || ''}
+                          />
                         </div>
                       </div>
                     ))}
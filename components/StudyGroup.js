@@ -0,0 +1,157 @@
+/**
+ * Study group tab
+ * Notes: one line per student — section code(s) or a saved-class list
+ * someone shared ("Mon 08:00-8:50; Wed 10:45-11:35") — and this asks
+ * `/api/schedule?action=studyGroup` for the windows when everyone is free,
+ * with rooms free then.
+ */
+
+import React, { useState, useEffect } from 'react';
+import styles from './StudentTimetable.module.css';
+import { roomFeatureLabels } from '../lib/freeRooms';
+import { busyListFromSaved, MIN_MEMBERS, MAX_MEMBERS } from '../lib/studyGroup';
+
+export default function StudyGroup({ savedClasses = [], campus = '' }) {
+  const [membersText, setMembersText] = useState('');
+  const [minSlots, setMinSlots] = useState(1);
+  const [group, setGroup] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // sections differ per campus
+  useEffect(() => { setGroup(null); }, [campus]);
+
+  const members = membersText.split('\n').map(l => l.trim()).filter(Boolean);
+  const myList = busyListFromSaved(savedClasses);
+
+  const addMine = () => {
+    if (!myList || members.includes(myList)) return;
+    setMembersText([...members, myList].join('\n'));
+  };
+
+  const copyMine = async () => {
+    try {
+      await navigator.clipboard.writeText(myList);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      setError('Could not copy: ' + err.message);
+    }
+  };
+
+  const find = async () => {
+    if (members.length < MIN_MEMBERS || members.length > MAX_MEMBERS) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ action: 'studyGroup', minSlots: String(minSlots) });
+      members.forEach(m => params.append('member', m));
+      if (campus) params.set('campus', campus);
+      const response = await fetch(`/api/schedule?${params.toString()}`);
+      const data = await response.json();
+      if (data.success) {
+        setGroup(data);
+      } else {
+        setError(data.error || 'Failed to find common free time');
+      }
+    } catch (err) {
+      setError('Network error: ' + err.message);
+      console.error('[StudyGroup] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const flagged = group ? group.members.filter(m => m.unmatched.length > 0 || m.invalid.length > 0) : [];
+
+  return (
+    <div>
+      <textarea
+        className={styles.searchInput}
+        style={{ width: '100%', minHeight: 110, marginBottom: 12 }}
+        placeholder={'One student per line, e.g.\nBCS-3A\nBCS-5A, BSE-5B\nMon 08:00-8:50; Wed 10:45-11:35'}
+        value={membersText}
+        onChange={(e) => setMembersText(e.target.value)}
+      />
+
+      <div className={styles.resultActions} style={{ alignItems: 'center', marginBottom: 20 }}>
+        {myList && (
+          <>
+            <button className={styles.roomFilterClear} onClick={addMine}>➕ Add my saved classes</button>
+            <button className={styles.roomFilterClear} onClick={copyMine}>{copied ? '✓ Copied' : '📋 Copy my classes to share'}</button>
+          </>
+        )}
+        <select className={styles.roomFilterSelect} value={minSlots} onChange={(e) => setMinSlots(Number(e.target.value))}>
+          {[1, 2, 3].map(n => <option key={`min-${n}`} value={n}>At least {n} slot{n !== 1 ? 's' : ''}</option>)}
+        </select>
+        <button className={styles.saveAllBtn} onClick={find} disabled={members.length < MIN_MEMBERS || members.length > MAX_MEMBERS || loading}>
+          {loading ? '⏳ Looking...' : `👥 Find common free time (${members.length})`}
+        </button>
+      </div>
+
+      {error && (
+        <div className={styles.errorBox}>
+          <span>⚠️ {error}</span>
+        </div>
+      )}
+
+      {!group && !error && (
+        <div className={styles.noResults}>
+          <div className={styles.noResultsIcon}>👥</div>
+          <p>Add {MIN_MEMBERS} to {MAX_MEMBERS} students to find when all of them are free, and where to meet.</p>
+        </div>
+      )}
+
+      {flagged.length > 0 && (
+        <div className={styles.noResults}>
+          {flagged.map((m, i) => (
+            <p key={`flag-${i}`}>
+              {m.unmatched.length > 0 && <>Not in the timetable: <strong>{m.unmatched.join(', ')}</strong>. </>}
+              {m.invalid.length > 0 && <>Could not read: <strong>{m.invalid.join('; ')}</strong></>}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {group && group.windows.length === 0 && (
+        <div className={styles.noResults}>
+          <div className={styles.noResultsIcon}>✗</div>
+          <p>No time in the week when everyone is free.</p>
+        </div>
+      )}
+
+      {group && group.windows.length > 0 && (
+        <div className={styles.resultsContainer}>
+          <div className={styles.resultsSummary}>
+            <div><strong>{group.windows.length}</strong> common free window{group.windows.length !== 1 ? 's' : ''} for {group.members.length} students</div>
+          </div>
+          <div className={styles.resultsList}>
+            {group.windows.map((w, idx) => (
+              <div key={`window-${idx}`} className={styles.resultCard}>
+                <div className={styles.resultHeader}>
+                  <span className={styles.resultCode}>{w.day.slice(0, 3)} {w.start} - {w.end}</span>
+                  <span className={styles.resultDay}>{w.slots.length} slot{w.slots.length !== 1 ? 's' : ''}</span>
+                </div>
+                <div className={styles.resultDetails}>
+                  {w.rooms.length === 0 && (
+                    <div className={styles.detailRow}><span className={styles.detailValue}>No room free then</span></div>
+                  )}
+                  {w.rooms.map((room, ri) => (
+                    <div key={`window-${idx}-${ri}`} className={styles.detailRow}>
+                      <span className={styles.detailLabel}>🏫 {room.name}</span>
+                      <span className={styles.detailValue}>
+                        {roomFeatureLabels(room).join(' · ')}
+                        {(w.roomsFor.start !== w.start || w.roomsFor.end !== w.end) ? ` (free ${w.roomsFor.start}-${w.roomsFor.end})` : ''}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+/**
+ * Teachers tab
+ * Notes: loads `/api/schedule?action=teachers` once, filters by name locally,
+ * and shows the picked instructor's week plus where to find them between
+ * classes (last room → next room).
+ */
+
+import React, { useState, useEffect } from 'react';
+import styles from './StudentTimetable.module.css';
+import { withCampus } from '../lib/campusClient';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+function formatHours(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+export default function Teachers({ campus = '' }) {
+  const [teachers, setTeachers] = useState(null);
+  const [query, setQuery] = useState('');
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(withCampus('/api/schedule?action=teachers', campus));
+        const data = await response.json();
+        if (cancelled) return;
+        if (data.success) {
+          setTeachers(data.teachers);
+        } else {
+          setError(data.error || 'Failed to load teachers');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Network error: ' + err.message);
+        console.error('[Teachers] Load error:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [campus]);
+
+  const term = query.trim().toLowerCase();
+  const matches = (teachers || []).filter(t =>
+    !term ||
+    t.name.toLowerCase().includes(term) ||
+    t.codes.some(c => c.toLowerCase().includes(term)) ||
+    t.courses.some(c => c.toLowerCase().includes(term))
+  );
+  const selected = (teachers || []).find(t => t.key === selectedKey) || null;
+
+  return (
+    <div>
+      <div className={styles.searchBox} style={{ marginBottom: 12 }}>
+        <input
+          type="text"
+          className={styles.searchInput}
+          placeholder="Find an instructor, course or section (e.g., Qurat, COAL, BCS-3A)"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <span className={styles.searchIcon}>🔍</span>
+      </div>
+
+      {error && (
+        <div className={styles.errorBox}>
+          <span>⚠️ {error}</span>
+        </div>
+      )}
+
+      {loading && (
+        <div className={styles.noResults}><p>Loading instructors…</p></div>
+      )}
+
+      {teachers && matches.length === 0 && (
+        <div className={styles.noResults}>
+          <div className={styles.noResultsIcon}>🧑‍🏫</div>
+          <p>No instructor matches "{query}"</p>
+        </div>
+      )}
+
+      {teachers && matches.length > 0 && (
+        <div className={styles.daySelector}>
+          {matches.slice(0, 60).map(t => (
+            <button
+              key={`teacher-${t.key}`}
+              className={`${styles.dayButton} ${selectedKey === t.key ? styles.activeDayButton : ''}`}
+              onClick={() => setSelectedKey(t.key)}
+            >
+              {t.name}
+            </button>
+          ))}
+          {matches.length > 60 && <span className={styles.watchedInfo}>+{matches.length - 60} more — keep typing</span>}
+        </div>
+      )}
+
+      {selected && (
+        <div className={styles.savedSection}>
+          <h3 className={styles.savedTitle}>🧑‍🏫 {selected.name}</h3>
+          <div className={styles.watchedInfo} style={{ marginBottom: 16 }}>
+            {formatHours(selected.totalMinutes)} a week
+            {selected.courses.length > 0 && ` · ${selected.courses.join(', ')}`}
+            {selected.codes.length > 0 && ` · ${selected.codes.join(', ')}`}
+          </div>
+
+          {DAYS.filter(d => selected.days[d]).map(dayName => {
+            const { classes, gaps } = selected.days[dayName];
+            return (
+              <div key={`teacher-day-${dayName}`} className={styles.dayResultsGroup}>
+                <h4 className={styles.dayGroupHeader}>{dayName}</h4>
+                <div className={styles.resultsList}>
+                  {classes.map((c, idx) => (
+                    <div key={`teacher-class-${dayName}-${idx}`} className={styles.resultCard}>
+                      <div className={styles.resultHeader}>
+                        <span className={styles.resultCode}>{c.codes.join(', ') || '—'}</span>
+                        <span className={styles.resultDay}>🕐 {c.time}</span>
+                      </div>
+                      <div className={styles.resultTitle}>{c.title || c.class}</div>
+                      <div className={styles.detailRow}>
+                        <span className={styles.detailLabel}>📍 Room:</span>
+                        <span className={styles.detailValue}>{c.room}</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {gaps.length > 0 && (
+                  <div className={styles.nowLater} style={{ marginTop: 12 }}>
+                    {gaps.map((g, idx) => (
+                      <div key={`teacher-gap-${dayName}-${idx}`}>
+                        ☕ Free {g.from}–{g.to}: last in {g.lastRoom}{g.nextRoom !== g.lastRoom ? `, next in ${g.nextRoom}` : ' (back there next)'}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
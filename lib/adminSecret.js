@@ -0,0 +1,48 @@
+// Shared check for maintainer-only endpoints (cache clearing, parser
+// diagnostics). The caller sends CLEAR_CACHE_SECRET in the `x-tt-secret`
+// header; with no secret configured the endpoints stay open (and say so in
+// the log) so local setups keep working. Routes that hand out personal data
+// or make decisions (booking moderation) use `adminSecretError` instead,
+// which refuses everything until a secret is configured.
+
+/**
+ * Whether the request carries the maintainer secret
+ * @param {Object} req - API request
+ * @param {string} tag - Log prefix, e.g. "clear-cache"
+ * @returns {boolean}
+ */
+function hasAdminSecret(req, tag) {
+  const secret = process.env.CLEAR_CACHE_SECRET || null;
+  const provided = req.headers['x-tt-secret'];
+
+  if (!secret) {
+    console.warn(`[${tag}] CLEAR_CACHE_SECRET not set — allowing request without secret`);
+    return true;
+  }
+  if (!provided || provided !== secret) {
+    console.warn(`[${tag}] Unauthorized attempt`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Strict check for moderator routes: no configured secret means no access
+ * @param {Object} req - API request
+ * @param {string} tag - Log prefix, e.g. "bookings"
+ * @returns {{status: number, error: string}|null} null when the request may go on
+ */
+function adminSecretError(req, tag) {
+  const secret = process.env.CLEAR_CACHE_SECRET || null;
+  if (!secret) {
+    console.warn(`[${tag}] CLEAR_CACHE_SECRET not set — moderator routes are disabled`);
+    return { status: 503, error: 'Moderation is disabled until CLEAR_CACHE_SECRET is set' };
+  }
+  if (req.headers['x-tt-secret'] !== secret) {
+    console.warn(`[${tag}] Unauthorized attempt`);
+    return { status: 401, error: 'Unauthorized' };
+  }
+  return null;
+}
+
+module.exports = { hasAdminSecret, adminSecretError };
@@ -0,0 +1,111 @@
+"use strict";
+// Room booking store.
+// Bookings (see lib/bookings.js) live in memory like `pushStore`; set
+// BOOKING_STORE_FILE to a writable JSON path to keep them across restarts.
+// The backend is pluggable: anything with `load()` returning the saved
+// object and `save(data)` works (e.g. a small SQLite table), set it with
+// `setBackend`. No external service is involved either way.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { BOOKING_STATUSES } = require('./bookings');
+
+function memoryBackend() {
+  let data = {};
+  return {
+    load: () => data,
+    save: (next) => { data = next; }
+  };
+}
+
+function jsonFileBackend(file) {
+  return {
+    load() {
+      try {
+        if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+      } catch (e) {
+        console.warn('[bookingStore] Failed to read BOOKING_STORE_FILE, starting empty:', e.message);
+      }
+      return {};
+    },
+    save(data) {
+      try {
+        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+      } catch (e) {
+        console.warn('[bookingStore] Failed to write BOOKING_STORE_FILE:', e.message);
+      }
+    }
+  };
+}
+
+let backend = process.env.BOOKING_STORE_FILE ? jsonFileBackend(process.env.BOOKING_STORE_FILE) : memoryBackend();
+let bookings = null; // id -> booking
+
+function _load() {
+  if (!bookings) bookings = Object.assign({}, backend.load());
+  return bookings;
+}
+
+function _persist() {
+  backend.save(bookings);
+}
+
+// Swap the storage backend; what it holds is read on next access
+function setBackend(next) {
+  backend = next;
+  bookings = null;
+}
+
+// New pending booking from `validateBookingRequest` fields plus campus/room/slots
+function create(fields) {
+  const all = _load();
+  const id = crypto.randomBytes(8).toString('hex');
+  all[id] = Object.assign({}, fields, { id, status: 'pending', createdAt: Date.now(), decidedAt: null, note: '' });
+  _persist();
+  return all[id];
+}
+
+function get(id) {
+  return _load()[id] || null;
+}
+
+// Filter by campus and/or status; newest first
+function list({ campus, status } = {}) {
+  return Object.values(_load())
+    .filter(b => (!campus || b.campus === campus) && (!status || b.status === status))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function setStatus(id, status, note) {
+  if (!BOOKING_STATUSES.includes(status)) throw new Error(`Unknown booking status: ${status}`);
+  const all = _load();
+  if (!all[id]) return null;
+  all[id] = Object.assign({}, all[id], { status, decidedAt: Date.now(), note: note || '' });
+  _persist();
+  return all[id];
+}
+
+function remove(id) {
+  const all = _load();
+  const existed = !!all[id];
+  delete all[id];
+  if (existed) _persist();
+  return existed;
+}
+
+function clear() {
+  bookings = {};
+  _persist();
+}
+
+module.exports = {
+  memoryBackend,
+  jsonFileBackend,
+  setBackend,
+  create,
+  get,
+  list,
+  setStatus,
+  remove,
+  clear
+};
@@ -0,0 +1,212 @@
+/**
+ * Room bookings
+ *
+ * Students can ask for a room the finder shows as free; a moderator approves
+ * or rejects the request (pages/api/bookings). Approved bookings are laid
+ * over the parsed week as "Reserved for <purpose>" cells, the way the sheet
+ * writes reservations, so the finder, the free-room API and the room pages
+ * stop offering the room without knowing about bookings at all.
+ *
+ * The sheet is one repeating week, so a booking is for a date and only shows
+ * while that date is within the coming seven days (today included): then each
+ * weekday maps to exactly one date. Pure helpers only; storage lives in
+ * lib/bookingStore.js.
+ */
+
+const { parseTimeRange } = require('./timeUtils');
+const { matchRoom, slotsInRange, findFreeRooms } = require('./freeRooms');
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const BOOKING_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_DAYS_AHEAD = 14;
+const OVERLAY_DAYS = 7;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local date as "YYYY-MM-DD"
+ * @param {Date} d
+ * @returns {string}
+ */
+function toDateString(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// "YYYY-MM-DD" -> local midnight, null when malformed
+function parseDate(s) {
+  const m = String(s || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return toDateString(d) === s ? d : null;
+}
+
+// Whole days from today's date to `date`
+function daysFromToday(date, now) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((date - today) / 86400000);
+}
+
+/**
+ * Weekday name of a date ("Monday".."Friday"), null on weekends
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string|null}
+ */
+function dayNameOfDate(date) {
+  const d = parseDate(date);
+  if (!d) return null;
+  return DAY_NAMES[d.getDay() - 1] || null;
+}
+
+/**
+ * Next date (today included) that falls on the given weekday
+ * E.g., on Thursday 2026-10-15, "Monday" -> "2026-10-19"
+ * @param {string} dayName - "Monday".."Friday"
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+function nextDateForDay(dayName, now = new Date()) {
+  const target = DAY_NAMES.indexOf(dayName) + 1;
+  if (target === 0) return null;
+  const d = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  d.setDate(d.getDate() + ((target - d.getDay() + 7) % 7));
+  return toDateString(d);
+}
+
+const text = (v, max) => (typeof v === 'string' ? v.replace(/\s+/g, ' ').trim().slice(0, max) : '');
+
+/**
+ * Check a booking request from the form/API and normalize its fields
+ * @param {Object} body - { room, date, start, end, purpose, requester, contact }
+ * @param {Date} [now]
+ * @returns {{error: string}|{value: Object}} `value` adds `day`
+ */
+function validateBookingRequest(body, now = new Date()) {
+  const b = body || {};
+  const value = {
+    room: text(b.room, 120),
+    date: String(b.date || '').trim(),
+    start: text(b.start, 5),
+    end: text(b.end, 5),
+    purpose: text(b.purpose, 200),
+    requester: text(b.requester, 80),
+    contact: text(b.contact, 120)
+  };
+  if (!value.room) return { error: 'Missing room' };
+  const date = parseDate(value.date);
+  if (!date) return { error: 'Missing or invalid date (YYYY-MM-DD)' };
+  value.day = dayNameOfDate(value.date);
+  if (!value.day) return { error: 'Bookings are for weekdays only' };
+  const ahead = daysFromToday(date, now);
+  if (ahead < 0) return { error: 'Date is in the past' };
+  if (ahead > MAX_DAYS_AHEAD) return { error: `Bookings open at most ${MAX_DAYS_AHEAD} days ahead` };
+  if (!parseTimeRange(`${value.start}-${value.end}`)) return { error: 'Missing or invalid start/end (HH:MM, end after start)' };
+  if (value.purpose.length < 3) return { error: 'Missing purpose' };
+  if (!value.requester) return { error: 'Missing requester name' };
+  return { value };
+}
+
+const overlaps = (a, b) => {
+  const ra = parseTimeRange(`${a.start}-${a.end}`);
+  const rb = parseTimeRange(`${b.start}-${b.end}`);
+  return !!(ra && rb && ra.start < rb.end && rb.start < ra.end);
+};
+
+/**
+ * Whether a room can be booked: it must be in that day's sheet, free (per the
+ * sheet) for every slot the range touches, and not overlap another approved
+ * booking of the same room and date
+ * @param {Object} booking - `validateBookingRequest` value (or a stored booking)
+ * @param {Object} dayData - The parsed day, without bookings laid over it
+ * @param {Array} approved - Approved bookings of the same campus
+ * @returns {{error: string}|{room: string, slots: Array<string>}} Sheet room name and slot times
+ */
+function checkBookingSlot(booking, dayData, approved) {
+  const room = matchRoom(dayData && dayData.classrooms, booking.room);
+  if (!room) return { error: `Room not in the ${booking.day} sheet: ${booking.room}` };
+  const slots = slotsInRange(dayData, booking.start, booking.end);
+  if (slots.length === 0) return { error: 'No time slots in that range' };
+  if (!findFreeRooms(dayData, booking.start, booking.end).some(r => r.name === room.name)) {
+    return { error: `${room.name} is not free for the whole of ${booking.start}-${booking.end}` };
+  }
+  const clash = (approved || []).find(o => o.id !== booking.id && o.room === room.name && o.date === booking.date && overlaps(o, booking));
+  if (clash) return { error: `${room.name} is already booked ${clash.start}-${clash.end} that day` };
+  return { room: room.name, slots: slots.map(s => s.time) };
+}
+
+/**
+ * Lay approved bookings of the coming week over parsed week data as
+ * "Reserved for <purpose>" cells. Days and rooms that change are copied; the
+ * input (usually the cached week) is never modified.
+ * @param {Object} week - `{ [dayName]: dayData }`
+ * @param {Array} bookings - Stored bookings (non-approved ones are ignored)
+ * @param {Date} [now]
+ * @returns {Object} Week data, the same object when nothing applies
+ */
+function overlayBookings(week, bookings, now = new Date()) {
+  const active = (bookings || []).filter(b => {
+    if (b.status !== 'approved') return false;
+    const date = parseDate(b.date);
+    const ahead = date ? daysFromToday(date, now) : -1;
+    return ahead >= 0 && ahead < OVERLAY_DAYS;
+  });
+  if (active.length === 0 || !week) return week;
+
+  const out = Object.assign({}, week);
+  active.forEach(b => {
+    const day = out[b.day];
+    if (!day || !day.classrooms) return;
+    const roomIdx = day.classrooms.findIndex(r => r.name === b.room);
+    if (roomIdx === -1) return;
+    const slots = slotsInRange(day, b.start, b.end);
+    if (slots.length === 0) return;
+
+    const label = `Reserved for ${b.purpose}`;
+    const copy = out[b.day] === week[b.day] ? Object.assign({}, day, { classrooms: day.classrooms.slice() }) : day;
+    const room = Object.assign({}, copy.classrooms[roomIdx]);
+    room.schedule = (room.schedule || []).slice();
+    slots.forEach(slot => {
+      const cell = { timeIndex: slot.index, time: slot.time, class: label, code: '', title: label, codes: [], instructor: '', booking: b.id };
+      const i = room.schedule.findIndex(e => e.timeIndex === slot.index);
+      if (i === -1) room.schedule.push(cell);
+      else room.schedule[i] = cell;
+    });
+    copy.classrooms[roomIdx] = room;
+
+    // the plain-text rows (positional, one cell per time slot)
+    const simpleIdx = (copy.classroomsSimple || []).findIndex(r => r.name === b.room);
+    if (simpleIdx !== -1) {
+      const simple = Object.assign({}, copy.classroomsSimple[simpleIdx]);
+      simple.schedule = (simple.schedule || []).slice();
+      slots.forEach(slot => {
+        const pos = (copy.timeSlots || []).findIndex(t => t.index === slot.index);
+        if (pos !== -1) simple.schedule[pos] = label;
+      });
+      copy.classroomsSimple = copy.classroomsSimple.slice();
+      copy.classroomsSimple[simpleIdx] = simple;
+    }
+    out[b.day] = copy;
+  });
+  return out;
+}
+
+/**
+ * What anyone holding the booking id may see (no requester or contact)
+ * @param {Object} booking - Stored booking
+ * @returns {Object}
+ */
+function publicBooking(booking) {
+  const { requester, contact, ...rest } = booking;
+  return rest;
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  MAX_DAYS_AHEAD,
+  toDateString,
+  dayNameOfDate,
+  nextDateForDay,
+  validateBookingRequest,
+  checkBookingSlot,
+  overlayBookings,
+  publicBooking
+};
@@ -0,0 +1,281 @@
+/**
+ * iCalendar (.ics) export helpers
+ *
+ * Turns saved classes or watched class codes into weekly recurring VEVENTs
+ * so students can import their timetable into Google/Outlook calendars.
+ * Times come straight from the sheet's `timeHeaders` strings ("08:00-8:50")
+ * and are read with the same helpers the UI uses. Lab spans are emitted as
+ * one event: code lookups go through `searchClasses` (which already merges
+ * labs) and saved per-slot lab entries are merged here.
+ */
+
+const crypto = require('crypto');
+const { searchClasses } = require('./sheets');
+const { parseTimeRange, formatMinutes, mergeLabRuns } = require('./timeUtils');
+
+const CALENDAR_CONFIG = {
+  PRODID: '-//FAST Timetable//Timetable Export//EN',
+  // The sheet has no timezone; all campuses are in Pakistan (PKT, no DST)
+  TZID: process.env.TIMETABLE_TZ || 'Asia/Karachi',
+  TZ_OFFSET: process.env.TIMETABLE_TZ_OFFSET || '+0500',
+  // Optional semester bounds (YYYY-MM-DD). Without a start date the events
+  // begin in the current week; without an end date they repeat forever.
+  SEMESTER_START: process.env.SEMESTER_START || null,
+  SEMESTER_END: process.env.SEMESTER_END || null
+};
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const BYDAY = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+/**
+ * Build calendar events for saved class entries (`tt_saved_classes`)
+ * @param {Array} saved - Entries built by `addSavedClass` ({ day, time, classroom, code, className })
+ * @returns {Array} Events ({ day, start, end, code, title, location })
+ */
+function eventsFromSaved(saved) {
+  const events = [];
+  (saved || []).forEach(item => {
+    if (!item || DAYS.indexOf(item.day) === -1) return;
+    const range = parseTimeRange(item.time);
+    if (!range) return;
+    events.push({
+      day: item.day,
+      start: range.start,
+      end: range.end,
+      code: item.code || '',
+      title: item.className || item.code || 'Class',
+      location: item.classroom || ''
+    });
+  });
+  return mergeLabEvents(events);
+}
+
+/**
+ * Build calendar events for watched class codes from parsed week data
+ * @param {Object} week - Week data keyed by day name (as returned by `getWeekSchedule`)
+ * @param {Array<string>} codes - Class codes such as "BCS-3A"
+ * @returns {Array} Events ({ day, start, end, code, title, location })
+ */
+function eventsFromCodes(week, codes) {
+  const events = [];
+  const wanted = (codes || []).map(c => String(c).trim().toUpperCase()).filter(Boolean);
+  if (!week || wanted.length === 0) return events;
+
+  DAYS.forEach(dayName => {
+    const dayData = week[dayName];
+    if (!dayData) return;
+    const classrooms = dayData.classroomsDetailed || dayData.classrooms || [];
+    wanted.forEach(code => {
+      // searchClasses merges adjacent lab slots into one "08:00-10:40" result
+      searchClasses(classrooms, code)
+        .filter(r => (r.codes && r.codes.length ? r.codes : [r.code || '']).some(c => c.toUpperCase() === code))
+        .forEach(r => {
+          const range = parseTimeRange(r.time);
+          if (!range) return;
+          events.push({
+            day: dayName,
+            start: range.start,
+            end: range.end,
+            code,
+            title: r.class || code,
+            location: r.classroom || ''
+          });
+        });
+    });
+  });
+  return events;
+}
+
+// Merge saved lab entries that were stored one slot at a time (e.g. by the
+// watchlist sync) back into a single span, and drop exact duplicates.
+function mergeLabEvents(events) {
+  const groups = {};
+  events.forEach(ev => {
+    const key = `${ev.day}|${ev.location}|${ev.title}|${ev.code}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(ev);
+  });
+
+  const out = [];
+  Object.values(groups).forEach(list => {
+    list.sort((a, b) => a.start - b.start);
+    const unique = list.filter((ev, i) => i === 0 || ev.start !== list[i - 1].start || ev.end !== list[i - 1].end);
+    mergeLabRuns(unique, (first, ev) => /\blab\b/i.test(ev.title))
+      .forEach(run => out.push(Object.assign({}, run.items[0], { end: run.end })));
+  });
+  return out;
+}
+
+// Drop events that describe the same meeting (saved entry + watched code)
+function dedupeEvents(events) {
+  const seen = new Set();
+  return events.filter(ev => {
+    const key = `${ev.day}|${ev.start}|${ev.end}|${ev.location}|${ev.code}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,');
+}
+
+// RFC 5545 lines should not exceed 75 octets; continuation lines start with a space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  if (current) parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function pad(n) {
+  return n < 10 ? '0' + n : '' + n;
+}
+
+function formatDate(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+function formatUTCStamp(date) {
+  return `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function offsetMinutes(offset) {
+  const m = String(offset).match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (!m) return 0;
+  const mins = parseInt(m[2], 10) * 60 + parseInt(m[3], 10);
+  return m[1] === '-' ? -mins : mins;
+}
+
+// Monday of the week the calendar starts in, as a UTC date holding the local calendar day
+function getWeekStart(now) {
+  if (CALENDAR_CONFIG.SEMESTER_START) {
+    const parsed = new Date(`${CALENDAR_CONFIG.SEMESTER_START}T00:00:00Z`);
+    if (!isNaN(parsed.getTime())) {
+      const dow = (parsed.getUTCDay() + 6) % 7; // 0=Mon
+      parsed.setUTCDate(parsed.getUTCDate() - dow);
+      return parsed;
+    }
+  }
+  const local = new Date(now.getTime() + offsetMinutes(CALENDAR_CONFIG.TZ_OFFSET) * 60000);
+  const monday = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday;
+}
+
+/**
+ * Serialize events as an iCalendar document with one weekly VEVENT each
+ * @param {Array} events - Events from `eventsFromSaved` / `eventsFromCodes`
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar display name
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildICS(events, { name = 'FAST Timetable', now = new Date() } = {}) {
+  const tzid = CALENDAR_CONFIG.TZID;
+  const weekStart = getWeekStart(now);
+  const stamp = formatUTCStamp(now);
+  const until = CALENDAR_CONFIG.SEMESTER_END ? CALENDAR_CONFIG.SEMESTER_END.replace(/-/g, '') + 'T235959Z' : null;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_CONFIG.PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${tzid}`,
+    'BEGIN:VTIMEZONE',
+    `TZID:${tzid}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${CALENDAR_CONFIG.TZ_OFFSET.replace(':', '')}`,
+    `TZOFFSETTO:${CALENDAR_CONFIG.TZ_OFFSET.replace(':', '')}`,
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  dedupeEvents(events).forEach(ev => {
+    const dayIndex = DAYS.indexOf(ev.day);
+    if (dayIndex === -1) return;
+    const date = new Date(weekStart.getTime());
+    date.setUTCDate(date.getUTCDate() + dayIndex);
+    const dateStr = formatDate(date);
+    const startStr = formatMinutes(ev.start).replace(':', '') + '00';
+    const endStr = formatMinutes(ev.end).replace(':', '') + '00';
+    const uidSource = `${ev.day}-${startStr}-${ev.location}-${ev.code || ev.title}`;
+    const uid = uidSource.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    const summary = ev.code && ev.title && !ev.title.includes(ev.code) ? `${ev.code} ${ev.title}` : (ev.title || ev.code);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}@fast-timetable`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${tzid}:${dateStr}T${startStr}`,
+      `DTEND;TZID=${tzid}:${dateStr}T${endStr}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[dayIndex]}${until ? `;UNTIL=${until}` : ''}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `LOCATION:${escapeText(ev.location)}`,
+      `DESCRIPTION:${escapeText(`${ev.day} ${formatMinutes(ev.start)}-${formatMinutes(ev.end)} @ ${ev.location}`)}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// feed key -> { etag, lastModified } so Last-Modified only moves when the events change
+const feedState = {};
+
+/**
+ * Version a subscribed feed for conditional requests
+ * @param {string} key - Feed id (e.g. "khi:BCS-3A")
+ * @param {Array} events - The feed's events
+ * @param {number} [now] - Reference time in ms (defaults to now)
+ * @returns {{etag: string, lastModified: Date}}
+ */
+function feedVersion(key, events, now = Date.now()) {
+  const etag = '"' + crypto.createHash('sha1').update(JSON.stringify({ key, events })).digest('hex') + '"';
+  const state = feedState[key];
+  if (!state || state.etag !== etag) {
+    // HTTP dates have second precision
+    feedState[key] = { etag, lastModified: new Date(Math.floor(now / 1000) * 1000) };
+  }
+  return feedState[key];
+}
+
+/**
+ * Whether a request's If-None-Match / If-Modified-Since still matches a feed version
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {{etag: string, lastModified: Date}} version - From `feedVersion`
+ * @returns {boolean} True when the client's copy is current (answer 304)
+ */
+function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  const ifModifiedSince = headers['if-modified-since'];
+  if (ifNoneMatch) return ifNoneMatch.split(',').map(t => t.trim()).includes(etag);
+  return Boolean(ifModifiedSince && !isNaN(Date.parse(ifModifiedSince)) && Date.parse(ifModifiedSince) >= lastModified.getTime());
+}
+
+module.exports = {
+  eventsFromSaved,
+  eventsFromCodes,
+  buildICS,
+  feedVersion,
+  isNotModified,
+  CALENDAR_CONFIG
+};
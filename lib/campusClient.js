@@ -0,0 +1,71 @@
+// Browser-side campus selection. The chosen campus is remembered in
+// localStorage and added as `campus=<id>` to every schedule API call; an
+// empty id means "server default", so single-campus setups never send it.
+
+const CAMPUS_KEY = 'tt_campus';
+
+let campusesPromise = null;
+
+/**
+ * Campus picked in the switcher (empty string when none was picked)
+ * @returns {string}
+ */
+function getStoredCampus() {
+  try {
+    return (typeof localStorage !== 'undefined' && localStorage.getItem(CAMPUS_KEY)) || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Remember the campus picked in the switcher
+ * @param {string} campus - Campus id (empty clears the choice)
+ */
+function storeCampus(campus) {
+  try {
+    if (campus) localStorage.setItem(CAMPUS_KEY, campus);
+    else localStorage.removeItem(CAMPUS_KEY);
+  } catch (e) {
+    console.warn('[campusClient] Could not store campus:', e);
+  }
+}
+
+/**
+ * Add the campus param to an API URL
+ * @param {string} url - e.g. `/api/schedule?action=fetch&day=all`
+ * @param {string} [campus] - Campus id; defaults to the stored choice
+ * @returns {string}
+ */
+function withCampus(url, campus = getStoredCampus()) {
+  if (!campus) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}campus=${encodeURIComponent(campus)}`;
+}
+
+/**
+ * Load `/api/schedule?action=campuses` (memoized; a failed load can be retried)
+ * @returns {Promise<Array>} Campuses from `listCampuses`
+ */
+function fetchCampuses() {
+  if (!campusesPromise) {
+    campusesPromise = fetch('/api/schedule?action=campuses')
+      .then(response => response.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error || 'Failed to load campuses');
+        return data.campuses;
+      })
+      .catch(err => {
+        campusesPromise = null;
+        throw err;
+      });
+  }
+  return campusesPromise;
+}
+
+module.exports = {
+  CAMPUS_KEY,
+  getStoredCampus,
+  storeCampus,
+  withCampus,
+  fetchCampuses
+};
@@ -0,0 +1,134 @@
+/**
+ * Campus registry
+ *
+ * Each campus publishes its own timetable sheet. The registry maps a campus
+ * id to the sheet id and the GID of each day tab; every schedule action takes
+ * `campus=<id>` and the cache/snapshot namespaces are keyed by the same id.
+ *
+ * The registry comes from the CAMPUSES env var (JSON):
+ *   CAMPUSES='{"khi":{"name":"Karachi","sheetId":"...","dayGids":{"Monday":"0",...}},
+ *              "isb":{"name":"Islamabad","sheetId":"...","dayGids":{...},"grammar":"isb"}}'
+ * The default campus (NEXT_PUBLIC_CAMPUS, "khi" if unset) always exists; when
+ * CAMPUSES doesn't define it, it is the single-sheet setup from SHEET_ID /
+ * SHEET_DAY_GIDS so existing deployments keep working unchanged. Missing day
+ * GIDs are '0' (the first tab).
+ * `grammar` is a built-in grammar id or an inline grammar (lib/codeGrammar.js);
+ * it defaults to the grammar named after the campus id.
+ * `layout` names the sheet layout strategy (lib/sheetParser.js `LAYOUTS`,
+ * "timetable" when unset; SHEET_LAYOUT for the single-sheet setup).
+ */
+
+const { getDefaultCampus, getCodeGrammar } = require('./codeGrammar');
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const CAMPUS_NAMES = {
+  khi: 'Karachi',
+  isb: 'Islamabad',
+  lhr: 'Lahore'
+};
+
+let registry = null;
+
+function withDefaultGids(dayGids) {
+  const gids = {};
+  DAY_NAMES.forEach(day => { gids[day] = '0'; });
+  return Object.assign(gids, dayGids || {});
+}
+
+// The single-sheet setup: SHEET_ID plus SHEET_DAY_GIDS (JSON string)
+// Example: SHEET_DAY_GIDS='{"Monday":"0","Tuesday":"123456789","Wednesday":"987654321"}'
+function envDayGids() {
+  try {
+    const envGids = process.env.SHEET_DAY_GIDS;
+    if (envGids) {
+      const parsed = JSON.parse(envGids);
+      console.log('[campuses] Using DAY_GIDS from SHEET_DAY_GIDS env var:', parsed);
+      return parsed;
+    }
+  } catch (e) {
+    console.warn('[campuses] Failed to parse SHEET_DAY_GIDS, using defaults:', e.message);
+  }
+  return null;
+}
+
+function loadRegistry() {
+  const defaultId = getDefaultCampus();
+  const campuses = {};
+  try {
+    const raw = process.env.CAMPUSES;
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      Object.keys(parsed).forEach(id => {
+        const entry = parsed[id] || {};
+        campuses[id] = {
+          id,
+          name: entry.name || CAMPUS_NAMES[id] || id,
+          sheetId: entry.sheetId || null,
+          dayGids: withDefaultGids(entry.dayGids),
+          grammar: entry.grammar || id,
+          layout: entry.layout || null
+        };
+      });
+    }
+  } catch (e) {
+    console.warn('[campuses] Failed to parse CAMPUSES, using the single-sheet setup:', e.message);
+  }
+  if (!campuses[defaultId]) {
+    campuses[defaultId] = {
+      id: defaultId,
+      name: CAMPUS_NAMES[defaultId] || defaultId,
+      sheetId: process.env.SHEET_ID || null,
+      dayGids: withDefaultGids(envDayGids()),
+      grammar: defaultId,
+      layout: process.env.SHEET_LAYOUT || null
+    };
+  }
+  return campuses;
+}
+
+function getRegistry() {
+  if (!registry) registry = loadRegistry();
+  return registry;
+}
+
+/**
+ * Look up a campus
+ * @param {string} [id] - Campus id; missing/empty means the default campus
+ * @returns {Object|null} { id, name, sheetId, dayGids, grammar, layout } or null when unknown
+ */
+function getCampus(id) {
+  const key = String(id || '').trim().toLowerCase() || getDefaultCampus();
+  return getRegistry()[key] || null;
+}
+
+/**
+ * Section-code grammar for a campus
+ * @param {Object} campus - Entry from `getCampus`
+ * @returns {Object} Grammar
+ */
+function getCampusGrammar(campus) {
+  if (campus && campus.grammar && typeof campus.grammar === 'object') return campus.grammar;
+  return getCodeGrammar(campus ? campus.grammar : undefined);
+}
+
+/**
+ * Public view of the registry for the campus switcher (no sheet ids)
+ * @returns {Array<{id: string, name: string, isDefault: boolean, grammar: Object}>}
+ */
+function listCampuses() {
+  const defaultId = getDefaultCampus();
+  return Object.values(getRegistry()).map(c => ({
+    id: c.id,
+    name: c.name,
+    isDefault: c.id === defaultId,
+    grammar: getCampusGrammar(c)
+  }));
+}
+
+module.exports = {
+  DAY_NAMES,
+  getCampus,
+  getCampusGrammar,
+  listCampuses
+};
@@ -0,0 +1,93 @@
+/**
+ * Course catalog
+ *
+ * `getAllClasses` only gives a flat list of codes per day. This folds the
+ * whole week into "course title → sections → meetings" so questions like
+ * "which sections of Data Structures exist and when do they meet" have an
+ * answer, with weekly contact hours per section. Consecutive slots of the
+ * same section in the same room (labs) count as one meeting.
+ */
+
+const { parseClassCell } = require('./sheets');
+const { parseTimeRange, formatMinutes, mergeLabRuns } = require('./timeUtils');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+function courseKey(title) {
+  return String(title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the catalog from a week
+ * @param {Object} week - Week data keyed by day name (from `getWeekSchedule`)
+ * @returns {Array} Courses sorted by title:
+ *   { title, key, sections: [{ code, meetings: [{ day, time, room }], weeklyMinutes, weeklyHours }],
+ *     sectionCount, weeklyHours }
+ */
+function buildCourseCatalog(week) {
+  const courses = {};
+
+  DAYS.forEach(dayName => {
+    const dayData = week && week[dayName];
+    if (!dayData) return;
+    const classrooms = dayData.classroomsDetailed || dayData.classrooms || [];
+    classrooms.forEach(room => {
+      (room.schedule || []).forEach(slot => {
+        const text = String(slot.class || '').trim();
+        if (!text) return;
+        const parts = slot.codes !== undefined ? slot : parseClassCell(text);
+        const codes = parts.codes && parts.codes.length ? parts.codes : (slot.code ? [slot.code] : []);
+        const key = courseKey(parts.title);
+        const range = parseTimeRange(slot.time);
+        if (!key || codes.length === 0 || !range) return;
+
+        if (!courses[key]) courses[key] = { title: parts.title, key, sections: {} };
+        codes.forEach(code => {
+          if (!courses[key].sections[code]) courses[key].sections[code] = [];
+          courses[key].sections[code].push({ day: dayName, room: room.name, start: range.start, end: range.end });
+        });
+      });
+    });
+  });
+
+  return Object.values(courses).map(course => {
+    const sections = Object.keys(course.sections).sort().map(code => {
+      const slots = course.sections[code].slice().sort((a, b) =>
+        (DAYS.indexOf(a.day) - DAYS.indexOf(b.day)) || (a.start - b.start));
+      const meetings = mergeLabRuns(slots, (first, s) => first.day === s.day && first.room === s.room)
+        .map(run => ({ ...run.items[0], end: run.end }));
+      const weeklyMinutes = meetings.reduce((sum, m) => sum + (m.end - m.start), 0);
+      return {
+        code,
+        meetings: meetings.map(m => ({ day: m.day, time: `${formatMinutes(m.start)}-${formatMinutes(m.end)}`, room: m.room })),
+        weeklyMinutes,
+        weeklyHours: Math.round((weeklyMinutes / 60) * 100) / 100
+      };
+    });
+    return {
+      title: course.title,
+      key: course.key,
+      sections,
+      sectionCount: sections.length,
+      // contact hours for one section (the most common load among sections)
+      weeklyHours: sections.length ? Math.max(...sections.map(s => s.weeklyHours)) : 0
+    };
+  }).sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Narrow the catalog to courses whose title or section code contains the term
+ * @param {Array} catalog - Output of `buildCourseCatalog`
+ * @param {string} term - Search term
+ * @returns {Array}
+ */
+function filterCatalog(catalog, term) {
+  const t = courseKey(term);
+  if (!t) return catalog;
+  return catalog.filter(c => c.key.includes(t) || c.sections.some(s => s.code.toLowerCase().includes(t)));
+}
+
+module.exports = {
+  buildCourseCatalog,
+  filterCatalog
+};
@@ -0,0 +1,66 @@
+// Browser-side access to the course catalog (used by the class search in
+// StudentTimetable for autocomplete). The catalog is fetched once per campus
+// per page load and shared by every input that asks for it.
+
+const { getStoredCampus, withCampus } = require('./campusClient');
+
+// campus id -> pending/settled catalog load
+const catalogPromises = {};
+
+/**
+ * Load `/api/schedule?action=courses` (memoized per campus; a failed load can be retried)
+ * @param {string} [campus] - Campus id; defaults to the campus picked in the switcher
+ * @returns {Promise<Array>} Courses from `buildCourseCatalog`
+ */
+function fetchCourseCatalog(campus = getStoredCampus()) {
+  if (!catalogPromises[campus]) {
+    catalogPromises[campus] = fetch(withCampus('/api/schedule?action=courses', campus))
+      .then(response => response.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error || 'Failed to load course catalog');
+        return data.courses;
+      })
+      .catch(err => {
+        delete catalogPromises[campus];
+        throw err;
+      });
+  }
+  return catalogPromises[campus];
+}
+
+/**
+ * Autocomplete suggestions for a typed term: matching course titles first,
+ * then matching section codes
+ * @param {Array} catalog - Courses from `fetchCourseCatalog`
+ * @param {string} term - What the user typed
+ * @param {number} [limit=8] - Max suggestions
+ * @returns {Array<{value: string, label: string}>}
+ */
+function suggestFromCatalog(catalog, term, limit = 8) {
+  const t = String(term || '').trim().toLowerCase();
+  if (!t || !catalog) return [];
+  const courses = [];
+  const sections = [];
+  catalog.forEach(course => {
+    if (course.key.includes(t)) {
+      courses.push({ value: course.title, label: `${course.sectionCount} section${course.sectionCount !== 1 ? 's' : ''} · ${course.weeklyHours}h/week` });
+    }
+    course.sections.forEach(section => {
+      if (section.code.toLowerCase().includes(t)) {
+        sections.push({ value: section.code, label: `${course.title} · ${section.meetings.map(m => m.day.slice(0, 3)).join('/')}` });
+      }
+    });
+  });
+  // one entry per code even when it appears in several courses
+  const seen = new Set();
+  return courses.concat(sections).filter(s => {
+    if (seen.has(s.value)) return false;
+    seen.add(s.value);
+    return true;
+  }).slice(0, limit);
+}
+
+module.exports = {
+  fetchCourseCatalog,
+  suggestFromCatalog
+};
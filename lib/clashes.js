@@ -0,0 +1,99 @@
+/**
+ * Clash detection for saved classes
+ *
+ * The Saved tab lets you store anything, so two sections saved together can
+ * end up in the same day/time. This finds overlapping saved entries using
+ * the same time helpers as the UI. Lab entries saved slot-by-slot (the
+ * watchlist sync does that) are first merged back into one lab range so a
+ * clash with a 3-slot lab is reported once, with the full lab span.
+ */
+
+const { parseTimeRange, mergeLabRuns } = require('./timeUtils');
+
+// Group saved entries into blocks: one per entry, except contiguous slots of
+// the same lab (same day/room/text) which become one block
+function buildBlocks(entries) {
+  const blocks = [];
+  const labGroups = {};
+
+  entries.forEach(entry => {
+    if (!entry || !entry.day || entry.code === 'FREE') return;
+    const range = parseTimeRange(entry.time);
+    if (!range) return;
+    const text = entry.className || '';
+    if (/\blab\b/i.test(text)) {
+      const key = `${entry.day}|${entry.classroom}|${text}`;
+      if (!labGroups[key]) labGroups[key] = [];
+      labGroups[key].push({ entry, range });
+      return;
+    }
+    blocks.push({ day: entry.day, start: range.start, end: range.end, entries: [entry] });
+  });
+
+  Object.values(labGroups).forEach(list => {
+    const items = list
+      .map(({ entry, range }) => ({ entry, start: range.start, end: range.end }))
+      .sort((a, b) => a.start - b.start);
+    mergeLabRuns(items).forEach(run => {
+      blocks.push({ day: run.items[0].entry.day, start: run.start, end: run.end, entries: run.items.map(i => i.entry) });
+    });
+  });
+
+  return blocks;
+}
+
+/**
+ * Find pairs of saved entries whose time ranges overlap on the same day
+ * @param {Array} savedClasses - Entries from `tt_saved_classes` ({ id, day, time, classroom, code, className })
+ * @returns {Array} Clashes ({ id, day, start, end, a, b }) where `a`/`b` are
+ *   blocks ({ start, end, entries }) and `start`/`end` bound the overlap in minutes
+ */
+function findClashes(savedClasses) {
+  const blocks = buildBlocks(savedClasses || []);
+  const clashes = [];
+
+  const byDay = {};
+  blocks.forEach(b => {
+    if (!byDay[b.day]) byDay[b.day] = [];
+    byDay[b.day].push(b);
+  });
+
+  Object.entries(byDay).forEach(([day, list]) => {
+    list.sort((x, y) => x.start - y.start);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const a = list[i];
+        const b = list[j];
+        if (b.start >= a.end) break; // sorted by start: nothing later can overlap a
+        clashes.push({
+          id: `${a.entries[0].id}|${b.entries[0].id}`,
+          day,
+          start: Math.max(a.start, b.start),
+          end: Math.min(a.end, b.end),
+          a,
+          b
+        });
+      }
+    }
+  });
+
+  return clashes;
+}
+
+/**
+ * Collect the ids of all saved entries involved in at least one clash
+ * @param {Array} clashes - Output of `findClashes`
+ * @returns {Set<string>}
+ */
+function getClashingIds(clashes) {
+  const ids = new Set();
+  (clashes || []).forEach(c => {
+    c.a.entries.concat(c.b.entries).forEach(e => ids.add(e.id));
+  });
+  return ids;
+}
+
+module.exports = {
+  findClashes,
+  getClashingIds
+};
@@ -0,0 +1,159 @@
+/**
+ * Section-code grammar per campus
+ *
+ * Karachi writes sections as "BCS-3A"; other campuses use forms like
+ * "BS(CS)-3A". Everything that pulls a code out of cell text (the parsers,
+ * search, the React component) goes through here so one grammar decides
+ * what a code looks like. A grammar describes:
+ *
+ *   prefix      regex source for the programme part ("[A-Z]{2,4}", "BS\\([A-Z]{2,3}\\)")
+ *               or `prefixes`, an explicit list (["BCS", "BSE"]); must start with a letter
+ *   separators  what may sit between programme and semester; the first one is
+ *               used when writing the code back ("BCS 3A" -> "BCS-3A")
+ *   semester    whether a 1-2 digit semester number follows
+ *   section     whether a section letter may follow
+ *   subsection  whether a lab-group digit may follow the letter ("BSBA-3A1")
+ *
+ * The active campus comes from NEXT_PUBLIC_CAMPUS (default "khi") so the
+ * server and the browser agree; NEXT_PUBLIC_SECTION_CODE_GRAMMAR (JSON)
+ * overrides that campus's grammar without a code change.
+ */
+
+const CODE_GRAMMARS = {
+  khi: { prefix: '[A-Z]{2,4}', separators: ['-'], semester: true, section: true, subsection: true, example: 'BCS-3A' },
+  isb: { prefix: '[A-Z]{2}\\([A-Z]{2,3}\\)', separators: ['-'], semester: true, section: true, example: 'BS(CS)-3A' },
+  lhr: { prefix: '[A-Z]{2}\\([A-Z]{2,3}\\)|[A-Z]{2,4}', separators: ['-', ' '], semester: true, section: true, example: 'BS(SE)-5B' }
+};
+
+const DEFAULT_CAMPUS = 'khi';
+
+function getDefaultCampus() {
+  return process.env.NEXT_PUBLIC_CAMPUS || DEFAULT_CAMPUS;
+}
+
+// Override parsed once per (campus, env string), so callers get the same
+// object back and the compiled matchers below stay cached
+const overrideCache = { key: null, grammar: null };
+
+/**
+ * Grammar for a campus (env override applies to the default campus)
+ * @param {string} [campus] - Campus id; defaults to NEXT_PUBLIC_CAMPUS
+ * @returns {Object} Grammar
+ */
+function getCodeGrammar(campus) {
+  const id = campus || getDefaultCampus();
+  const base = CODE_GRAMMARS[id] || CODE_GRAMMARS[DEFAULT_CAMPUS];
+  const override = process.env.NEXT_PUBLIC_SECTION_CODE_GRAMMAR;
+  if (id === getDefaultCampus() && override) {
+    const key = `${id}\n${override}`;
+    if (overrideCache.key === key) return overrideCache.grammar;
+    try {
+      overrideCache.grammar = { ...base, ...JSON.parse(override) };
+      overrideCache.key = key;
+      return overrideCache.grammar;
+    } catch (e) {
+      console.warn('[codeGrammar] Invalid NEXT_PUBLIC_SECTION_CODE_GRAMMAR, using built-in grammar:', e.message);
+    }
+  }
+  return base;
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compiled = new WeakMap();
+
+/**
+ * Build the matchers for a grammar (memoized per grammar object)
+ * Capture groups: 1 prefix, 2 semester, 3 section (letter plus subsection digit), 4 shorthand tail
+ * @param {Object} grammar - Grammar from `getCodeGrammar`
+ * @returns {{group: RegExp, format: Function}}
+ */
+function compileCodeGrammar(grammar) {
+  if (compiled.has(grammar)) return compiled.get(grammar);
+
+  const prefix = grammar.prefixes && grammar.prefixes.length
+    ? grammar.prefixes.map(escapeRegex).join('|')
+    : grammar.prefix;
+  const separators = grammar.separators && grammar.separators.length ? grammar.separators : ['-'];
+  const sep = `(?:${separators.map(escapeRegex).join('|')})`;
+  const semester = grammar.semester ? '(\\d{1,2})' : '()';
+  const section = !grammar.section ? '()' : grammar.subsection ? '((?:[A-Z]\\d?)?)' : '([A-Z]?)';
+  // Tail: "/B", ", B", "+B" (more sections) or "-C" (range); the letter must
+  // stand alone so "BCS-3A - Dr X" is not read as a range. A comma also
+  // separates the instructor, so ", B" counts only when the text ends or
+  // another separator or code follows ("BCS-3A, D Sara" is taught by D Sara)
+  const tailLetter = '[A-Z](?![A-Za-z0-9-])';
+  const tail = grammar.section
+    ? `((?:\\s*[\\/+&-]\\s*${tailLetter}|\\s*,\\s*${tailLetter}(?=\\s*(?:$|[\\/,+&()-]|(?:${prefix})\\b)))*)`
+    : '()';
+  const group = new RegExp(`\\b(${prefix})${grammar.semester || grammar.section ? sep : ''}${semester}${section}\\b${tail}`, 'g');
+
+  const result = {
+    group,
+    format: (p, number, letter) => `${p}${(number || letter) ? separators[0] : ''}${number || ''}${letter || ''}`
+  };
+  compiled.set(grammar, result);
+  return result;
+}
+
+/**
+ * Every code group in a text with its position (for title/instructor splitting)
+ * @param {string} text - Cell text
+ * @param {Object} [grammar] - Defaults to the active campus grammar
+ * @returns {Array<{codes: Array<string>, index: number, end: number}>}
+ */
+function matchCodeGroups(text, grammar = getCodeGrammar()) {
+  const { group, format } = compileCodeGrammar(grammar);
+  return Array.from(String(text || '').matchAll(group)).map(m => {
+    const [whole, prefix, number, letter, tail] = m;
+    const codes = [format(prefix, number, letter)];
+    if (letter && letter.length === 1 && tail) {
+      let prev = letter;
+      (tail.match(/[\/,+&-]\s*[A-Z]/g) || []).forEach(part => {
+        const next = part.slice(-1);
+        if (part[0] === '-' && next > prev) {
+          // range: every section letter from the previous one up to this one
+          for (let c = prev.charCodeAt(0) + 1; c <= next.charCodeAt(0); c++) codes.push(format(prefix, number, String.fromCharCode(c)));
+        } else {
+          codes.push(format(prefix, number, next));
+        }
+        prev = next;
+      });
+    }
+    return { codes, index: m.index, end: m.index + whole.length };
+  });
+}
+
+/**
+ * First section code in a text
+ * @param {string} text - Cell text
+ * @param {Object} [grammar] - Defaults to the active campus grammar
+ * @returns {string} Code or empty string
+ */
+function extractCode(text, grammar = getCodeGrammar()) {
+  const groups = matchCodeGroups(text, grammar);
+  return groups.length ? groups[0].codes[0] : '';
+}
+
+/**
+ * Every section code in a text, in order of appearance
+ * @param {string} text - Cell text
+ * @param {Object} [grammar] - Defaults to the active campus grammar
+ * @returns {Array<string>} Unique codes
+ */
+function extractCodes(text, grammar = getCodeGrammar()) {
+  const codes = [];
+  matchCodeGroups(text, grammar).forEach(g => g.codes.forEach(c => { if (!codes.includes(c)) codes.push(c); }));
+  return codes;
+}
+
+module.exports = {
+  CODE_GRAMMARS,
+  DEFAULT_CAMPUS,
+  getDefaultCampus,
+  getCodeGrammar,
+  compileCodeGrammar,
+  matchCodeGroups,
+  extractCode,
+  extractCodes
+};
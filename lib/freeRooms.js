@@ -0,0 +1,523 @@
+/**
+ * Free rooms and free time ranges
+ *
+ * These used to live inside `StudentTimetable`; I moved them here so they
+ * can be tested against recorded sheets (test/golden) and reused by the API.
+ * Everything works on one day's parsed data:
+ * `{ classrooms: [{ name, schedule: [{ timeIndex, time, class, code, codes }] }], timeSlots: [{ index, time }] }`.
+ * A slot counts as occupied when its cell has any text other than dashes;
+ * "Reserved" cells are occupied like classes. Times are read with the
+ * `timeUtils` helpers, like everywhere else.
+ *
+ * Not quite the component's behaviour any more: a time range now takes every
+ * slot it overlaps, even partly (10:00-11:50 includes the 09:50-10:40 slot),
+ * where the component only took slots starting inside it, and "---" filler
+ * cells count as free (they used to count as occupied).
+ */
+
+const { parseTimeToMinutes, parseStartEnd } = require('./timeUtils');
+const { isPlaceholderName, roomDetails } = require('./sheetParser');
+
+const slotCodes = (s) => (s && s.codes && s.codes.length ? s.codes : (s && s.code ? [s.code] : []));
+
+// Like parseTimeToMinutes, but null for unparseable input
+function minutesOrNull(t) {
+  return t && /^\d{1,2}:\d{2}/.test(String(t).trim()) ? parseTimeToMinutes(t) : null;
+}
+
+// Day data comes both flat and nested under `.data` (single-day responses)
+function dayParts(dayData) {
+  if (!dayData) return { classrooms: [], timeSlots: [] };
+  return {
+    classrooms: dayData.classrooms || dayData.data?.classrooms || [],
+    timeSlots: dayData.timeSlots || dayData.data?.timeSlots || []
+  };
+}
+
+/**
+ * Whether a schedule cell is taken: any text except "---" fillers ("Reserved" counts)
+ * @param {Object} s - Schedule entry ({ class })
+ * @returns {boolean}
+ */
+const isOccupiedEntry = (s) => {
+  const text = s && s.class ? String(s.class).trim() : '';
+  return text !== '' && !/^-+$/.test(text);
+};
+
+// Slots that overlap [startMin, endMin), even partly. A slot without an end
+// time only counts when it starts inside the range.
+function overlappingSlots(timeSlots, startMin, endMin) {
+  return timeSlots.filter(slot => {
+    const { start, end } = parseStartEnd(slot.time);
+    const slotStart = minutesOrNull(start);
+    if (slotStart === null) return false;
+    const slotEnd = minutesOrNull(end);
+    if (slotEnd === null || slotEnd <= slotStart) return slotStart >= startMin && slotStart < endMin;
+    return slotStart < endMin && slotEnd > startMin;
+  });
+}
+
+// Merge contiguous free flags ({ index, time, free }) into ranges
+function collectFreeRanges(freeFlags) {
+  const ranges = [];
+  let current = null;
+  freeFlags.forEach(f => {
+    if (f.free) {
+      if (!current) {
+        current = { startIndex: f.index, endIndex: f.index, startTime: f.time, endTime: f.time };
+      } else {
+        current.endIndex = f.index;
+        current.endTime = f.time;
+      }
+    } else if (current) {
+      ranges.push(current);
+      current = null;
+    }
+  });
+  if (current) ranges.push(current);
+  return ranges;
+}
+
+// "08:00-8:50" .. "09:50-10:40" -> { start: "08:00", end: "10:40" }
+function rangeBounds(r) {
+  const startPart = (r.startTime || '').split('-')[0].trim();
+  const endPart = (r.endTime || '').split('-')[1] ? r.endTime.split('-')[1].trim() : (r.endTime || '');
+  return { start: startPart, end: endPart || r.endTime };
+}
+
+/**
+ * Block from a room name ("E-31 Academic Block I (52)" -> "I")
+ * @param {string} name - Room name
+ * @returns {string} Block or '?'
+ */
+function extractBlockFromName(name) {
+  return roomDetails(name).block || '?';
+}
+
+/**
+ * Attributes shown on free-room cards; type/projector/ac come from the room
+ * registry (lib/rooms.js) and are null when unknown, the rest become '?'
+ * @param {Object} room - Parsed classroom
+ * @returns {{name, capacity, block, floor, type, projector, ac}}
+ */
+function roomInfo(room) {
+  return {
+    name: room.name || 'Unknown',
+    capacity: room.capacity || room.capacity === 0 ? room.capacity : '?',
+    block: room.block || extractBlockFromName(room.name),
+    floor: room.floor || '?',
+    type: room.type || null,
+    projector: room.projector === undefined ? null : room.projector,
+    ac: room.ac === undefined ? null : room.ac
+  };
+}
+
+/**
+ * Short labels for a room's known attributes ("Block I", "Ground floor", "Lab", "Projector", "AC")
+ * @param {Object} room - Room with registry attributes
+ * @returns {Array<string>} Empty when nothing is known
+ */
+function roomFeatureLabels(room) {
+  if (!room) return [];
+  const labels = [];
+  if (room.block && room.block !== '?') labels.push(`Block ${room.block}`);
+  if (room.floor && room.floor !== '?') labels.push(/floor/i.test(room.floor) ? room.floor : `${room.floor} floor`);
+  if (room.type) labels.push(room.type.charAt(0).toUpperCase() + room.type.slice(1));
+  if (room.projector) labels.push('Projector');
+  if (room.ac) labels.push('AC');
+  return labels;
+}
+
+/**
+ * Merge consecutive slots of one room into free / lab / class blocks
+ * @param {Array} schedule - A room's schedule entries
+ * @returns {Array<{kind: string, start: string, end: string, label: string, slots: Array}>}
+ */
+function mergeAdjacentFreeSlots(schedule) {
+  if (!schedule || schedule.length === 0) return [];
+  // First sort by time index or parsed start time
+  const sorted = schedule.slice().sort((a, b) => {
+    if (a.timeIndex !== undefined && b.timeIndex !== undefined) return a.timeIndex - b.timeIndex;
+    return parseTimeToMinutes(a.time) - parseTimeToMinutes(b.time);
+  });
+
+  const merged = [];
+  let current = null;
+
+  sorted.forEach((slot) => {
+    const text = slot.class || '';
+    const isFree = !isOccupiedEntry(slot) || /free/i.test(text);
+    const isLab = /lab/i.test(text);
+    const kind = isFree ? 'free' : (isLab ? 'lab' : 'class');
+    const { start, end } = parseStartEnd(slot.time || '');
+
+    if (!current) {
+      current = {
+        kind,
+        start: start,
+        end: end,
+        label: kind === 'free' ? '— Free —' : (kind === 'lab' ? 'Lab' : slot.class),
+        slots: [slot]
+      };
+      return;
+    }
+
+    // If same kind (free or lab) and contiguous (timeIndex consecutive), extend
+    const lastSlot = current.slots[current.slots.length - 1];
+    const lastIndex = lastSlot.timeIndex !== undefined ? lastSlot.timeIndex : null;
+    const thisIndex = slot.timeIndex !== undefined ? slot.timeIndex : null;
+
+    const isContiguous = (lastIndex !== null && thisIndex !== null) ? (thisIndex === lastIndex + 1) : (parseTimeToMinutes(parseStartEnd(slot.time).start) === parseTimeToMinutes(current.end));
+
+    if (kind === current.kind && isContiguous) {
+      // extend end if available
+      if (end) current.end = end;
+      current.slots.push(slot);
+    } else {
+      merged.push(current);
+      current = {
+        kind,
+        start: start,
+        end: end,
+        label: kind === 'free' ? '— Free —' : (kind === 'lab' ? 'Lab' : slot.class),
+        slots: [slot]
+      };
+    }
+  });
+
+  if (current) merged.push(current);
+  return merged;
+}
+
+/**
+ * Room type: the registry's `type`, else guessed from the name
+ * @param {Object} room - Room with a `name`
+ * @returns {string} "lecture", "lab" or "hall"
+ */
+function roomTypeOf(room) {
+  if (room && room.type) return room.type;
+  const name = (room && room.name) || '';
+  if (/\blab\b/i.test(name)) return 'lab';
+  if (/\b(hall|auditorium)\b/i.test(name)) return 'hall';
+  return 'lecture';
+}
+
+// "Ground", "ground floor" and "Ground Floor" are the same floor
+const floorKey = (f) => String(f || '').trim().toLowerCase().replace(/\s*floor$/, '');
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Keep the rooms that match the finder filters; empty filters match all.
+ * Rooms of unknown capacity never pass a capacity filter.
+ * @param {Array} rooms - Rooms with capacity/block/floor/type (see `roomInfo`)
+ * @param {Object} [filters]
+ * @param {number} [filters.minCapacity] - Headcount to seat
+ * @param {string} [filters.block] - e.g. "II"
+ * @param {string} [filters.floor] - e.g. "Ground"
+ * @param {string} [filters.type] - "lecture", "lab" or "hall"
+ * @returns {Array}
+ */
+function filterRooms(rooms, filters = {}) {
+  const minCapacity = Number(filters.minCapacity) || 0;
+  return (rooms || []).filter(room => {
+    if (minCapacity > 0 && !(typeof room.capacity === 'number' && room.capacity >= minCapacity)) return false;
+    if (filters.block && !sameText(room.block, filters.block)) return false;
+    if (filters.floor && floorKey(room.floor) !== floorKey(filters.floor)) return false;
+    if (filters.type && roomTypeOf(room) !== String(filters.type).toLowerCase()) return false;
+    return true;
+  });
+}
+
+/**
+ * Finder filters from query params (`minCapacity`, `block`, `floor`, `type`)
+ * @param {Object} query - Request query or URL params as an object
+ * @returns {{minCapacity: number, block: string, floor: string, type: string}}
+ */
+function roomFiltersFromQuery(query = {}) {
+  return {
+    minCapacity: parseInt(query.minCapacity, 10) || 0,
+    block: String(query.block || '').trim(),
+    floor: String(query.floor || '').trim(),
+    type: String(query.type || '').trim().toLowerCase()
+  };
+}
+
+/**
+ * Best fit first: the smallest room that still seats `headcount`. Rooms of
+ * unknown capacity go last; without a headcount the order is kept.
+ * @param {Array} rooms - Rooms with `capacity`
+ * @param {number} [headcount]
+ * @returns {Array} New array
+ */
+function sortRoomsByFit(rooms, headcount) {
+  const need = Number(headcount) || 0;
+  const known = (r) => typeof r.capacity === 'number';
+  if (!need) return (rooms || []).slice();
+  return (rooms || []).slice().sort((a, b) => {
+    if (known(a) !== known(b)) return known(a) ? -1 : 1;
+    if (!known(a)) return 0;
+    const spareA = a.capacity - need;
+    const spareB = b.capacity - need;
+    // rooms that are too small (only possible without the capacity filter) after the ones that fit
+    if ((spareA < 0) !== (spareB < 0)) return spareA < 0 ? 1 : -1;
+    return Math.abs(spareA) - Math.abs(spareB);
+  });
+}
+
+/**
+ * Rooms free for every slot that overlaps [startTime, endTime), even partly
+ * With filters the rooms are narrowed by `filterRooms` and, when a minimum
+ * capacity is given, sorted by best fit for that headcount.
+ * @param {Object} dayData - One day's data
+ * @param {string} startTime - e.g. "08:00"
+ * @param {string} endTime - e.g. "09:45"
+ * @param {Object} [filters] - See `filterRooms`
+ * @returns {Array<{name, schedule, capacity, block, floor, type, projector, ac}>}
+ */
+function findFreeRooms(dayData, startTime, endTime, filters) {
+  const { classrooms, timeSlots } = dayParts(dayData);
+  if (classrooms.length === 0 || timeSlots.length === 0) return [];
+
+  const startMin = minutesOrNull(startTime);
+  const endMin = minutesOrNull(endTime);
+  if (startMin === null || endMin === null || endMin <= startMin) return [];
+
+  const slots = overlappingSlots(timeSlots, startMin, endMin);
+  if (slots.length === 0) return []; // range falls between slots
+
+  const free = [];
+
+  classrooms.forEach((classroom) => {
+    if (!classroom.name) return;
+
+    // Free only if every slot touching the range is free
+    const isFree = slots.every(slot => {
+      const scheduleEntry = (classroom.schedule || []).find(s => s.timeIndex === slot.index);
+      return !isOccupiedEntry(scheduleEntry);
+    });
+
+    if (isFree) {
+      free.push(Object.assign(roomInfo(classroom), { schedule: classroom.schedule }));
+    }
+  });
+
+  if (!filters) return free;
+  return sortRoomsByFit(filterRooms(free, filters), filters.minCapacity);
+}
+
+/**
+ * Whether a slot (by index) is taken by the queried class/text in any room
+ * (or, when the query names a room, whether that room has a class then)
+ * @param {Array} classrooms - One day's classrooms
+ * @param {number} slotIndex - Time slot index
+ * @param {string} query - Class code, text or room name
+ * @returns {boolean}
+ */
+function isSlotOccupiedByQuery(classrooms, slotIndex, query) {
+  if (!classrooms || !query) return false;
+  const q = query.toLowerCase().trim();
+  for (const room of classrooms) {
+    if (!room || !room.schedule) continue;
+    const s = room.schedule.find(it => it.timeIndex === slotIndex);
+    if (!s) continue;
+    const roomName = (room.name || '').toLowerCase();
+    const text = (s.class || '').toLowerCase();
+    const codes = slotCodes(s).map(c => c.toLowerCase());
+
+    // If the query matches the classroom name (e.g. searching for 'E-31'),
+    // consider the slot occupied only if that specific room has a class at that slot.
+    if (roomName.includes(q)) {
+      if (isOccupiedEntry(s)) return true;
+      continue;
+    }
+
+    // Otherwise, check if the slot's class text or code matches the query
+    if (isOccupiedEntry(s) && (text.includes(q) || codes.some(c => c.includes(q)))) return true;
+  }
+  return false;
+}
+
+/**
+ * Free time ranges for a class/lab across a day, with up to 5 rooms free then
+ * @param {Object} dayData - One day's data
+ * @param {string} query - Class code or text
+ * @returns {Array<{start: string, end: string, availableRooms: Array}>}
+ */
+function computeFreeRangesForDay(dayData, query) {
+  if (!dayData || !dayData.classrooms || !dayData.timeSlots) return [];
+  const timeSlots = dayData.timeSlots.slice().sort((a, b) => a.index - b.index);
+  const classrooms = dayData.classrooms;
+
+  const freeFlags = timeSlots.map(ts => {
+    const occupied = isSlotOccupiedByQuery(classrooms, ts.index, query);
+    return { index: ts.index, time: ts.time, free: !occupied };
+  });
+
+  // Convert ranges to human-friendly start-end and collect available rooms
+  return collectFreeRanges(freeFlags).map(r => {
+    const availableRooms = [];
+    for (let slotIdx = r.startIndex; slotIdx <= r.endIndex; slotIdx++) {
+      classrooms.forEach(room => {
+        // Skip header or placeholder rows coming from sheet exports
+        if (!room || !room.name) return;
+        if (isPlaceholderName(String(room.name).trim())) return;
+        const schedule = room.schedule || [];
+        const s = Array.isArray(schedule) ? schedule.find(it => Number(it?.timeIndex) === Number(slotIdx)) : null;
+        if (!isOccupiedEntry(s) && !availableRooms.find(ar => ar.name === room.name)) {
+          availableRooms.push(roomInfo(room));
+        }
+      });
+    }
+
+    return {
+      ...rangeBounds(r),
+      availableRooms: availableRooms.slice(0, 5) // Show first 5 available rooms
+    };
+  });
+}
+
+/**
+ * Room a query points at: exact id for room-like ids ("E-31", "R109"), else
+ * the first name containing the query
+ * @param {Array} classrooms - One day's classrooms
+ * @param {string} roomQuery - Room id or part of a name
+ * @returns {Object|null}
+ */
+function matchRoom(classrooms, roomQuery) {
+  const q = String(roomQuery || '').toLowerCase().trim();
+  if (!q) return null;
+  const roomIdPattern = /^[A-Za-z]{1,3}-?\d{1,4}$/;
+  if (roomIdPattern.test(q)) {
+    return (classrooms || []).find(r => {
+      if (!r || !r.name) return false;
+      const idMatch = String(r.name).match(/[A-Za-z]{1,3}-?\d{1,4}/i);
+      return idMatch && idMatch[0].toLowerCase() === q;
+    }) || null;
+  }
+  return (classrooms || []).find(r => r && (r.name || '').toLowerCase().includes(q)) || null;
+}
+
+/**
+ * Time slots of a day that overlap [startTime, endTime), even partly
+ * @param {Object} dayData - One day's data
+ * @param {string} startTime - e.g. "10:00"
+ * @param {string} endTime - e.g. "11:50"
+ * @returns {Array<{index, time}>} Empty for an invalid or slot-less range
+ */
+function slotsInRange(dayData, startTime, endTime) {
+  const startMin = minutesOrNull(startTime);
+  const endMin = minutesOrNull(endTime);
+  if (startMin === null || endMin === null || endMin <= startMin) return [];
+  return overlappingSlots(dayParts(dayData).timeSlots, startMin, endMin);
+}
+
+/**
+ * Free ranges of one room (matched by id like "E-31" or by name)
+ * @param {Object} dayData - One day's data
+ * @param {string} roomQuery - Room id or part of a name
+ * @returns {Array<{start, end, availableRooms, targetRoom}>}
+ */
+function computeFreeRangesForRoom(dayData, roomQuery) {
+  if (!dayData || !dayData.classrooms || !dayData.timeSlots) return [];
+  const timeSlots = dayData.timeSlots.slice().sort((a, b) => a.index - b.index);
+  const classrooms = dayData.classrooms;
+
+  const targetRoom = matchRoom(classrooms, roomQuery);
+  if (!targetRoom) return [];
+
+  // Build free flags for the target room specifically
+  const freeFlags = timeSlots.map(ts => {
+    const sched = targetRoom.schedule || [];
+    const s = Array.isArray(sched) ? sched.find(it => Number(it?.timeIndex) === Number(ts.index)) : null;
+    return { index: ts.index, time: ts.time, free: !isOccupiedEntry(s) };
+  });
+
+  // Show only the target room as the available room for clarity when in room-mode
+  const targetInfo = roomInfo(targetRoom);
+  return collectFreeRanges(freeFlags).map(r => ({ ...rangeBounds(r), availableRooms: [targetInfo], targetRoom: targetInfo }));
+}
+
+/**
+ * Free ranges of a day by a custom rule: runs of consecutive slots where
+ * `isFree(slot)` holds (e.g. everyone in a study group is free)
+ * @param {Object} dayData - One day's data
+ * @param {function({index, time}): boolean} isFree - Whether a slot counts as free
+ * @returns {Array<{start, end, slots: Array<{index, time}>}>}
+ */
+function freeRangesWhere(dayData, isFree) {
+  const timeSlots = dayParts(dayData).timeSlots.slice().sort((a, b) => a.index - b.index);
+  const flags = timeSlots.map(ts => ({ index: ts.index, time: ts.time, free: !!isFree(ts) }));
+  return collectFreeRanges(flags).map(r => {
+    const from = timeSlots.findIndex(ts => ts.index === r.startIndex);
+    const to = timeSlots.findIndex(ts => ts.index === r.endIndex);
+    return { ...rangeBounds(r), slots: timeSlots.slice(from, to + 1) };
+  });
+}
+
+/**
+ * Free schedule for a class/room query across the week (or one day)
+ * A query that looks like a room id ("E-31") or matches a room name is
+ * answered per room; anything else as a class.
+ * @param {Object} scheduleData - `{ week }` or a single day's data
+ * @param {string} query - Class code, text or room
+ * @param {number|'all'} [dayFilter='all'] - Day index to limit to
+ * @param {number} [selectedDay=0] - Day index of single-day data
+ * @returns {Object} { [dayName]: ranges }
+ */
+function findFreeScheduleForQuery(scheduleData, query, dayFilter = 'all', selectedDay = 0) {
+  if (!scheduleData || !query || query.trim() === '') return {};
+  const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+  const out = {};
+  const qLower = query.toLowerCase().trim();
+  // Detect if query matches any classroom name (room search mode).
+  // Prefer strict room-id patterns like 'E-31', 'R109', 'A2' to avoid class-code collisions.
+  let roomMode = false;
+  const roomIdPattern = /^[A-Za-z]{1,3}-?\d{1,4}$/; // e.g. E-31, R109, A2
+  if (roomIdPattern.test(query.trim())) {
+    roomMode = true;
+  } else {
+    const dayList = scheduleData.week ? Object.values(scheduleData.week) : [scheduleData];
+    roomMode = dayList.some(d => (d.classrooms || []).some(r => r && r.name && String(r.name).toLowerCase().includes(qLower)));
+  }
+
+  const rangesFor = (structured) => (roomMode ? computeFreeRangesForRoom(structured, query) : computeFreeRangesForDay(structured, query));
+
+  // Prioritize week data (which should exist from 'all' fetch)
+  if (scheduleData.week && Object.keys(scheduleData.week).length > 0) {
+    Object.entries(scheduleData.week).forEach(([dayName, dayData]) => {
+      const dayNum = days.indexOf(dayName);
+      if (dayFilter !== 'all' && String(dayFilter) !== String(dayNum)) return;
+      const ranges = rangesFor(dayParts(dayData));
+      if (ranges.length > 0) out[dayName] = ranges;
+    });
+  } else if (scheduleData.classrooms && scheduleData.timeSlots) {
+    // Single day structure
+    const dayName = scheduleData.day || days[selectedDay];
+    if (dayFilter === 'all' || String(dayFilter) === String(selectedDay)) {
+      const ranges = rangesFor({ classrooms: scheduleData.classrooms, timeSlots: scheduleData.timeSlots });
+      if (ranges.length > 0) out[dayName] = ranges;
+    }
+  }
+
+  return out;
+}
+
+module.exports = {
+  extractBlockFromName,
+  roomFeatureLabels,
+  roomTypeOf,
+  roomInfo,
+  isOccupiedEntry,
+  filterRooms,
+  roomFiltersFromQuery,
+  sortRoomsByFit,
+  mergeAdjacentFreeSlots,
+  findFreeRooms,
+  slotsInRange,
+  matchRoom,
+  isSlotOccupiedByQuery,
+  computeFreeRangesForDay,
+  computeFreeRangesForRoom,
+  freeRangesWhere,
+  findFreeScheduleForQuery
+};
@@ -0,0 +1,53 @@
+/**
+ * Offline sheet simulator
+ *
+ * With SHEET_FIXTURES set, `fetchGVizData` serves recorded GViz responses
+ * from disk instead of calling Google, so the UI and `/api/schedule` work
+ * with no network and no sheet config. One file per day tab, the raw
+ * response text including the `google.visualization.Query.setResponse(...)`
+ * wrapper, named `<Day>.txt` (Monday.txt ... Friday.txt).
+ *
+ *   SHEET_FIXTURES=1            -> bundled fixtures/gviz
+ *   SHEET_FIXTURES=/path/to/dir -> your own recordings
+ *
+ * The bundled week covers the awkward parts of the real sheet: the two
+ * header rows (slot numbers, then times), a header row repeated above the
+ * second block (Friday), labs merged with and without colspan metadata,
+ * "Reserved" cells (merged and single), shared-section cells and the empty
+ * Friday prayer slot. To record a day from a live sheet:
+ *   curl "https://docs.google.com/spreadsheets/d/<id>/gviz/tq?tqx=out:json&gid=<gid>" > Monday.txt
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_DIR = path.join(process.cwd(), 'fixtures', 'gviz');
+
+function isFixtureMode() {
+  const flag = process.env.SHEET_FIXTURES;
+  return Boolean(flag) && flag !== '0' && flag !== 'false';
+}
+
+function fixtureDir() {
+  const flag = process.env.SHEET_FIXTURES;
+  return flag === '1' || flag === 'true' ? BUNDLED_DIR : path.resolve(flag);
+}
+
+/**
+ * Recorded response text for one day tab
+ * @param {string} dayName - "Monday" ... "Friday"
+ * @returns {Promise<string>} Raw GViz response text
+ */
+async function readFixture(dayName) {
+  const file = path.join(fixtureDir(), `${dayName}.txt`);
+  try {
+    return await fs.promises.readFile(file, 'utf8');
+  } catch (e) {
+    throw new Error(`No GViz fixture for ${dayName} (${file}): ${e.message}`);
+  }
+}
+
+module.exports = {
+  isFixtureMode,
+  readFixture
+};
@@ -0,0 +1,108 @@
+/**
+ * "Now and next" helpers for the live dashboard
+ *
+ * Compares the device clock with a day's `timeHeaders` and with my saved
+ * classes to answer "what's on right now, what's next, and how long until".
+ * Saved labs are stored one entry per slot, so consecutive lab entries for
+ * the same class and room are merged into one block first (`mergeLabRuns`
+ * with the calendar export's rule: only titles containing "lab" merge).
+ */
+
+const { parseTimeRange, formatMinutes, mergeLabRuns } = require('./timeUtils');
+
+/**
+ * Minutes after midnight for a Date
+ * @param {Date} date - Reference time
+ * @returns {number}
+ */
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Locate the slot running now and the next slot in a day's headers
+ * @param {Array<string>} timeHeaders - Slot times like "08:00-8:50"
+ * @param {Date} [now] - Reference time
+ * @returns {{current: (Object|null), next: (Object|null)}} slots as { index, time, start, end } (minutes)
+ */
+function getSlotAt(timeHeaders, now = new Date()) {
+  const nowMinutes = minutesOfDay(now);
+  let current = null;
+  let next = null;
+  (timeHeaders || []).forEach((time, index) => {
+    const range = parseTimeRange(time);
+    if (!range) return;
+    const slot = { index, time, start: range.start, end: range.end };
+    if (range.start <= nowMinutes && nowMinutes < range.end) current = slot;
+    else if (range.start > nowMinutes && (!next || range.start < next.start)) next = slot;
+  });
+  return { current, next };
+}
+
+/**
+ * Merge a day's saved entries into blocks (labs become one block)
+ * @param {Array} entries - Saved entries: { code, className, classroom, time }
+ * @returns {Array} Blocks sorted by start: { code, className, classroom, start, end, time }
+ */
+function buildDayBlocks(entries) {
+  const items = (entries || [])
+    .map(e => ({ ...e, range: parseTimeRange(e.time) }))
+    .filter(e => e.range)
+    .map(e => ({ ...e, start: e.range.start, end: e.range.end }))
+    .sort((a, b) => a.start - b.start);
+
+  const sameLab = (first, e) => /\blab\b/i.test(e.className || '')
+    && first.className === e.className && first.code === e.code && first.classroom === e.classroom;
+  return mergeLabRuns(items, sameLab).map(run => {
+    const e = run.items[0];
+    return {
+      code: e.code || '',
+      className: e.className || '',
+      classroom: e.classroom || '',
+      start: run.start,
+      end: run.end,
+      time: `${formatMinutes(run.start)}-${formatMinutes(run.end)}`
+    };
+  });
+}
+
+/**
+ * What's happening now and next among a day's saved classes
+ * @param {Array} entries - Saved entries for the day
+ * @param {Date} [now] - Reference time
+ * @returns {{current: (Object|null), next: (Object|null), minutesLeft: (number|null), minutesUntilNext: (number|null), remaining: Array}}
+ */
+function getNowAndNext(entries, now = new Date()) {
+  const nowMinutes = minutesOfDay(now);
+  const blocks = buildDayBlocks(entries);
+  const current = blocks.find(b => b.start <= nowMinutes && nowMinutes < b.end) || null;
+  const upcoming = blocks.filter(b => b.start > nowMinutes);
+  const next = upcoming[0] || null;
+  return {
+    current,
+    next,
+    minutesLeft: current ? current.end - nowMinutes : null,
+    minutesUntilNext: next ? next.start - nowMinutes : null,
+    remaining: upcoming
+  };
+}
+
+/**
+ * Human countdown, e.g. "45 min" or "1h 05m"
+ * @param {number} minutes - Minutes remaining
+ * @returns {string}
+ */
+function formatCountdown(minutes) {
+  if (minutes === null || minutes === undefined) return '';
+  if (minutes < 60) return `${minutes} min`;
+  const m = minutes % 60;
+  return `${Math.floor(minutes / 60)}h ${m < 10 ? '0' + m : m}m`;
+}
+
+module.exports = {
+  minutesOfDay,
+  getSlotAt,
+  buildDayBlocks,
+  getNowAndNext,
+  formatCountdown
+};
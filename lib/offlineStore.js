@@ -0,0 +1,73 @@
+// Browser-side persistence for offline mode (used by StudentTimetable).
+// Keeps the last successful `/api/schedule?action=fetch&day=all` response in
+// IndexedDB so a refresh on bad Wi-Fi still shows the timetable. localStorage
+// is too small for a full week payload, hence IndexedDB.
+
+const DB_NAME = 'fast-timetable';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+const WEEK_KEY = 'week-all';
+
+// The default campus keeps the original key; other campuses get their own entry
+function weekKey(campus) {
+  return campus ? `${WEEK_KEY}:${campus}` : WEEK_KEY;
+}
+
+function isOfflineStoreSupported() {
+  return typeof window !== 'undefined' && 'indexedDB' in window;
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Persist the week payload from a successful fetch
+ * @param {Object} week - `week` from the API response (keyed by day name)
+ * @param {string} fetchedAt - ISO timestamp of the response
+ * @param {string} [campus] - Campus the week belongs to (empty for the default campus)
+ */
+async function saveWeekSnapshot(week, fetchedAt, campus) {
+  if (!isOfflineStoreSupported()) return;
+  await withStore('readwrite', store => store.put({ week, fetchedAt, savedAt: Date.now() }, weekKey(campus)));
+}
+
+/**
+ * Load the last persisted week payload
+ * @param {string} [campus] - Campus to load (empty for the default campus)
+ * @returns {Promise<{week: Object, fetchedAt: string, savedAt: number}|null>}
+ */
+async function loadWeekSnapshot(campus) {
+  if (!isOfflineStoreSupported()) return null;
+  const snapshot = await withStore('readonly', store => store.get(weekKey(campus)));
+  return snapshot || null;
+}
+
+module.exports = {
+  isOfflineStoreSupported,
+  saveWeekSnapshot,
+  loadWeekSnapshot
+};
@@ -0,0 +1,184 @@
+/**
+ * Semester planner
+ *
+ * Given a list of course names ("Database Systems", "COAL") this finds every
+ * section of each course in the week data and enumerates the combinations
+ * (one section per course) that have no time overlaps. Sections are found
+ * with `searchClasses` and grouped by the extracted class code, i.e. exactly
+ * what the Search tab shows for the same text, with labs already merged.
+ *
+ * Ranking prefers fewer days on campus, no 8am classes and small gaps.
+ */
+
+const { searchClasses } = require('./sheets');
+const { parseTimeRange } = require('./timeUtils');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const PLANNER_CONFIG = {
+  // Stop enumerating after this many clash-free combinations
+  MAX_COMBINATIONS: Number(process.env.PLANNER_MAX_COMBINATIONS) || 5000,
+  // Stop the search after visiting this many partial picks, clash-free or not:
+  // heavily clashing sections can fill a huge tree with no complete combination
+  MAX_NODES: Number(process.env.PLANNER_MAX_NODES) || 200000,
+  // Most courses one plan may ask for (the API rejects more)
+  MAX_COURSES: 10,
+  // Classes starting before this (minutes after midnight) count as "8am classes"
+  EARLY_BEFORE: 9 * 60,
+  // Score weights (lower score = better)
+  WEIGHTS: {
+    day: 100,
+    earlyClass: 40,
+    gapMinute: 0.5
+  }
+};
+
+/**
+ * Collect the sections of a course from week data
+ * @param {Object} week - Week data keyed by day name
+ * @param {string} course - Course name / search text
+ * @returns {Array} Sections ({ code, meetings: [{ day, start, end, time, code, classroom, class }] })
+ */
+function findSections(week, course) {
+  const sections = {};
+  DAYS.forEach(dayName => {
+    const dayData = week && week[dayName];
+    if (!dayData) return;
+    const classrooms = dayData.classroomsDetailed || dayData.classrooms || [];
+    const term = String(course || '').toLowerCase().trim();
+    searchClasses(classrooms, course).forEach(r => {
+      if (!r.code) return; // slots without a section code can't be picked
+      const range = parseTimeRange(r.time);
+      if (!range) return;
+      // a combined cell ("COAL BCS-3A-C") is a meeting of every listed section,
+      // unless the query itself named one of them
+      const allCodes = r.codes && r.codes.length ? r.codes : [r.code];
+      const named = allCodes.filter(c => c.toLowerCase().includes(term));
+      (named.length ? named : allCodes).forEach(code => {
+        if (!sections[code]) sections[code] = { code, meetings: [] };
+        const meetings = sections[code].meetings;
+        if (meetings.find(m => m.day === dayName && m.start === range.start && m.classroom === r.classroom)) return;
+        meetings.push({
+          day: dayName,
+          start: range.start,
+          end: range.end,
+          time: r.time,
+          code,
+          classroom: r.classroom,
+          class: r.class
+        });
+      });
+    });
+  });
+  return Object.values(sections).sort((a, b) => a.code.localeCompare(b.code));
+}
+
+function overlaps(a, b) {
+  return a.day === b.day && a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Compute ranking metrics for a set of meetings
+ * @param {Array} meetings - Meetings of one combination
+ * @returns {{days: number, earlyClasses: number, gapMinutes: number}}
+ */
+function computeMetrics(meetings) {
+  const byDay = {};
+  meetings.forEach(m => {
+    if (!byDay[m.day]) byDay[m.day] = [];
+    byDay[m.day].push(m);
+  });
+
+  let gapMinutes = 0;
+  Object.values(byDay).forEach(list => {
+    list.sort((a, b) => a.start - b.start);
+    for (let i = 1; i < list.length; i++) {
+      gapMinutes += Math.max(0, list[i].start - list[i - 1].end);
+    }
+  });
+
+  return {
+    days: Object.keys(byDay).length,
+    earlyClasses: meetings.filter(m => m.start < PLANNER_CONFIG.EARLY_BEFORE).length,
+    gapMinutes
+  };
+}
+
+function scoreMetrics(metrics) {
+  const w = PLANNER_CONFIG.WEIGHTS;
+  return metrics.days * w.day + metrics.earlyClasses * w.earlyClass + metrics.gapMinutes * w.gapMinute;
+}
+
+/**
+ * Enumerate clash-free section combinations for the given courses
+ * @param {Object} week - Week data keyed by day name
+ * @param {Array<string>} courses - Course names
+ * @param {Object} [options]
+ * @param {boolean} [options.noEarly=false] - Drop combinations with classes before 9:00
+ * @param {number} [options.limit=20] - Number of ranked combinations to return
+ * @returns {Object} { courses, missing, combinations, totalCombinations, partial }
+ *   `partial` is true when the search stopped at MAX_COMBINATIONS or MAX_NODES: the ranking
+ *   then covers only the combinations found so far, so a better one may exist
+ *   and `totalCombinations` is a lower bound
+ */
+function planSemester(week, courses, { noEarly = false, limit = 20 } = {}) {
+  const courseSections = (courses || [])
+    .map(c => String(c).trim())
+    .filter(Boolean)
+    .map(query => ({ query, sections: findSections(week, query) }));
+
+  const summary = courseSections.map(c => ({ query: c.query, sections: c.sections.map(s => s.code) }));
+  const missing = courseSections.filter(c => c.sections.length === 0).map(c => c.query);
+  if (courseSections.length === 0 || missing.length > 0) {
+    return { courses: summary, missing, combinations: [], totalCombinations: 0, partial: false };
+  }
+
+  // Courses with fewer sections first keeps the search tree narrow
+  const order = courseSections.slice().sort((a, b) => a.sections.length - b.sections.length);
+  const found = [];
+  let partial = false;
+  let visited = 0;
+
+  const walk = (pos, picked, meetings) => {
+    if (found.length >= PLANNER_CONFIG.MAX_COMBINATIONS || ++visited > PLANNER_CONFIG.MAX_NODES) {
+      partial = true;
+      return;
+    }
+    if (pos === order.length) {
+      found.push({ picked: picked.slice(), meetings: meetings.slice() });
+      return;
+    }
+    for (const section of order[pos].sections) {
+      if (noEarly && section.meetings.some(m => m.start < PLANNER_CONFIG.EARLY_BEFORE)) continue;
+      if (section.meetings.some(m => meetings.some(o => overlaps(m, o)))) continue;
+      picked.push({ course: order[pos].query, code: section.code });
+      walk(pos + 1, picked, meetings.concat(section.meetings));
+      picked.pop();
+    }
+  };
+  walk(0, [], []);
+
+  const combinations = found.map(combo => {
+    const metrics = computeMetrics(combo.meetings);
+    const meetings = combo.meetings
+      .slice()
+      .sort((a, b) => (DAYS.indexOf(a.day) - DAYS.indexOf(b.day)) || (a.start - b.start));
+    return { sections: combo.picked, meetings, metrics, score: scoreMetrics(metrics) };
+  });
+  combinations.sort((a, b) => a.score - b.score);
+
+  return {
+    courses: summary,
+    missing,
+    combinations: combinations.slice(0, limit),
+    totalCombinations: combinations.length,
+    partial
+  };
+}
+
+module.exports = {
+  findSections,
+  planSemester,
+  computeMetrics,
+  PLANNER_CONFIG
+};
@@ -0,0 +1,99 @@
+// Browser-side helpers for Web Push (used by StudentTimetable).
+// Registers the service worker, subscribes with the server's VAPID key and
+// keeps the server's copy of the watched codes up to date. A subscription
+// belongs to one campus (the one picked in the switcher), so a change in
+// another campus's sheet doesn't notify it.
+
+const { withCampus } = require('./campusClient');
+
+function isPushSupported() {
+  return typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// VAPID keys are URL-safe base64; pushManager wants raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  const output = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) output[i] = raw.charCodeAt(i);
+  return output;
+}
+
+async function getRegistration() {
+  return navigator.serviceWorker.register('/sw.js');
+}
+
+async function getExistingSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration('/');
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+async function sendSubscription(subscription, codes, campus) {
+  const response = await fetch(withCampus('/api/push/subscribe', campus), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription: subscription.toJSON(), codes })
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Failed to save push subscription');
+  return data;
+}
+
+/**
+ * Ask for notification permission and subscribe this browser for the given codes
+ * @param {Array<string>} codes - Watched class codes
+ * @param {string} [campus] - Campus id; defaults to the campus picked in the switcher
+ * @returns {Promise<PushSubscription>}
+ */
+async function subscribeToPush(codes, campus) {
+  if (!isPushSupported()) throw new Error('Push notifications are not supported in this browser');
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notification permission was not granted');
+
+  const keyResponse = await fetch('/api/push/subscribe');
+  const keyData = await keyResponse.json();
+  if (!keyData.success) throw new Error(keyData.error || 'Push notifications are not available');
+
+  const registration = await getRegistration();
+  await navigator.serviceWorker.ready;
+  let subscription = await registration.pushManager.getSubscription();
+  if (!subscription) {
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(keyData.publicKey)
+    });
+  }
+  await sendSubscription(subscription, codes, campus);
+  return subscription;
+}
+
+/**
+ * Refresh the watched codes and campus stored for an existing subscription (no-op when not subscribed)
+ * @param {Array<string>} codes - Watched class codes
+ * @param {string} [campus] - Campus id; defaults to the campus picked in the switcher
+ */
+async function updatePushCodes(codes, campus) {
+  const subscription = await getExistingSubscription();
+  if (subscription) await sendSubscription(subscription, codes, campus);
+}
+
+async function unsubscribeFromPush() {
+  const subscription = await getExistingSubscription();
+  if (!subscription) return;
+  await fetch('/api/push/subscribe', {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: subscription.endpoint })
+  });
+  await subscription.unsubscribe();
+}
+
+module.exports = {
+  isPushSupported,
+  getExistingSubscription,
+  subscribeToPush,
+  updatePushCodes,
+  unsubscribeFromPush
+};
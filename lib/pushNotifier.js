@@ -0,0 +1,148 @@
+/**
+ * Push notifications for watched classes
+ *
+ * When the sheet webhook (`/api/clear-cache`) fires, the fresh week is diffed
+ * against the week the previous notification run saw for that campus
+ * (`changesSinceNotified`). That baseline is kept here rather than taken from
+ * `snapshotStore`: any visitor's refetch after the cache TTL records a
+ * snapshot, so by the time the webhook runs the edit would already be "seen".
+ * This sends a browser notification to every subscriber whose watched codes
+ * were touched by a change (room move, time change, cancellation). VAPID keys
+ * come from env:
+ *
+ *   VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY  (generate with `npx web-push generate-vapid-keys`)
+ *   VAPID_SUBJECT                         (mailto: or https: contact, optional)
+ */
+
+const webpush = require('web-push');
+const pushStore = require('./pushStore');
+const { diffWeeks } = require('./scheduleDiff');
+const { getDefaultCampus } = require('./codeGrammar');
+
+// Change types that matter to someone attending the class
+const NOTIFY_TYPES = ['moved', 'rescheduled', 'cancelled', 'added'];
+const DAY_COUNT = 5;
+
+// campus id -> week the last notification run diffed against (warm instances
+// only, like `snapshotStore`)
+const notifiedWeeks = {};
+
+function getVapidConfig() {
+  return {
+    publicKey: process.env.VAPID_PUBLIC_KEY || null,
+    privateKey: process.env.VAPID_PRIVATE_KEY || null,
+    subject: process.env.VAPID_SUBJECT || 'mailto:timetable@example.com'
+  };
+}
+
+function isConfigured() {
+  const vapid = getVapidConfig();
+  return !!(vapid.publicKey && vapid.privateKey);
+}
+
+function describeChange(c) {
+  switch (c.type) {
+    case 'moved': return `${c.class}: room changed ${c.fromRoom} → ${c.toRoom} (${c.day} ${c.time})`;
+    case 'rescheduled': return `${c.class}: time changed ${c.fromTime} → ${c.toTime} on ${c.day} (${c.room})`;
+    case 'cancelled': return `${c.class}: cancelled on ${c.day} ${c.time} (${c.room})`;
+    case 'added': return `${c.class}: new slot ${c.day} ${c.time} in ${c.room}`;
+    default: return c.class;
+  }
+}
+
+/**
+ * Build the notification payload for one subscriber
+ * @param {Array} changes - Changes affecting the subscriber's codes
+ * @returns {Object} { title, body, url, tag }
+ */
+function buildPayload(changes) {
+  const codes = Array.from(new Set(changes.map(c => c.code))).join(', ');
+  const lines = changes.slice(0, 3).map(describeChange);
+  if (changes.length > 3) lines.push(`+${changes.length - 3} more`);
+  return {
+    title: `Timetable change: ${codes}`,
+    body: lines.join('\n'),
+    url: '/?tab=saved',
+    tag: `tt-changes-${codes}`
+  };
+}
+
+/**
+ * Changes since the week the last notification run saw, and make `week` the
+ * new baseline. Without a baseline yet (cold start) `fallbackWeek` is used,
+ * e.g. the latest snapshot from before the webhook's refetch.
+ * @param {string} campusId - Campus id
+ * @param {Object} week - Freshly fetched week (sheet as-is, no booking overlay)
+ * @param {Object} [fallbackWeek] - Week to diff against when there is no baseline
+ * @returns {Array} Output of `diffWeeks`
+ */
+function changesSinceNotified(campusId, week, fallbackWeek) {
+  const previous = notifiedWeeks[campusId] || fallbackWeek || null;
+  // a partial week (a day failed to load) must not become the baseline
+  if (week && Object.keys(week).length === DAY_COUNT) notifiedWeeks[campusId] = week;
+  return previous ? diffWeeks(previous, week) : [];
+}
+
+/**
+ * Notify subscribers of the campus whose watched codes are affected by the given changes
+ * (section codes repeat across campuses, so other campuses' subscribers are skipped)
+ * @param {Array} changes - Output of `diffWeeks`
+ * @param {string} [campusId] - Campus the changes come from (default campus when omitted)
+ * @returns {Promise<{sent: number, failed: number, removed: number}>}
+ */
+async function notifyWatchers(changes, campusId = getDefaultCampus()) {
+  const result = { sent: 0, failed: 0, removed: 0 };
+  const relevant = (changes || []).filter(c => c.code && NOTIFY_TYPES.includes(c.type));
+  if (relevant.length === 0) return result;
+
+  if (!isConfigured()) {
+    console.warn('[pushNotifier] VAPID keys not set — skipping push notifications');
+    return result;
+  }
+  const vapid = getVapidConfig();
+
+  const subscribers = pushStore.list().filter(entry => (entry.campus || getDefaultCampus()) === campusId);
+  const sends = subscribers.map(async (entry) => {
+    const watched = new Set(entry.codes);
+    // name the watched section even when the change came from a combined cell
+    const mine = relevant.map(c => {
+      const code = (c.codes && c.codes.length ? c.codes : [c.code]).find(x => watched.has(String(x).toUpperCase()));
+      return code ? { ...c, code } : null;
+    }).filter(Boolean);
+    if (mine.length === 0) return;
+
+    try {
+      // web-push encrypts and signs; we send the request ourselves so any
+      // endpoint scheme the store accepted (incl. a local stand-in) works
+      const details = webpush.generateRequestDetails(entry.subscription, JSON.stringify(buildPayload(mine)), {
+        TTL: 60 * 60 * 12,
+        vapidDetails: { subject: vapid.subject, publicKey: vapid.publicKey, privateKey: vapid.privateKey }
+      });
+      const response = await fetch(details.endpoint, { method: details.method, headers: details.headers, body: details.body });
+      if (response.ok) {
+        result.sent++;
+      } else if (response.status === 404 || response.status === 410) {
+        // the browser dropped the subscription
+        pushStore.remove(entry.subscription.endpoint);
+        result.removed++;
+      } else {
+        result.failed++;
+        console.warn('[pushNotifier] Push service rejected notification:', response.status);
+      }
+    } catch (err) {
+      result.failed++;
+      console.warn('[pushNotifier] Failed to send push:', err && err.message);
+    }
+  });
+
+  await Promise.all(sends);
+  return result;
+}
+
+module.exports = {
+  changesSinceNotified,
+  notifyWatchers,
+  buildPayload,
+  isConfigured,
+  getVapidConfig
+};
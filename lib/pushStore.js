@@ -0,0 +1,84 @@
+"use strict";
+// Web Push subscription store.
+// Each browser subscription is stored with the class codes it watches
+// (the `tt_watched_classes` list) and the campus they belong to. Kept in memory like `serverCache`; set
+// PUSH_STORE_FILE to a writable JSON path to keep subscriptions across
+// restarts on a normal Node host.
+
+const fs = require('fs');
+
+const STORE_FILE = process.env.PUSH_STORE_FILE || null;
+
+let subscriptions = null; // endpoint -> { subscription, codes, campus, updatedAt }
+
+function _load() {
+  if (subscriptions) return subscriptions;
+  subscriptions = {};
+  if (STORE_FILE) {
+    try {
+      if (fs.existsSync(STORE_FILE)) {
+        subscriptions = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')) || {};
+      }
+    } catch (e) {
+      console.warn('[pushStore] Failed to read PUSH_STORE_FILE, starting empty:', e.message);
+      subscriptions = {};
+    }
+  }
+  return subscriptions;
+}
+
+function _persist() {
+  if (!STORE_FILE) return;
+  try {
+    fs.writeFileSync(STORE_FILE, JSON.stringify(subscriptions, null, 2));
+  } catch (e) {
+    console.warn('[pushStore] Failed to write PUSH_STORE_FILE:', e.message);
+  }
+}
+
+// Real push services are always HTTPS. PUSH_ALLOW_INSECURE_ENDPOINTS=1 lets a
+// local stand-in push service (tests, offline dev) use plain http.
+function isValidSubscription(subscription) {
+  const allowHttp = process.env.PUSH_ALLOW_INSECURE_ENDPOINTS === '1';
+  const pattern = allowHttp ? /^https?:\/\// : /^https:\/\//;
+  return !!(subscription && typeof subscription.endpoint === 'string' && pattern.test(subscription.endpoint) &&
+    subscription.keys && subscription.keys.p256dh && subscription.keys.auth);
+}
+
+// `campus` is a campus id; entries saved without one belong to the default campus
+function upsert(subscription, codes, campus) {
+  const subs = _load();
+  subs[subscription.endpoint] = {
+    subscription: { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } },
+    codes: (codes || []).map(c => String(c).trim().toUpperCase()).filter(Boolean),
+    campus: campus || null,
+    updatedAt: Date.now()
+  };
+  _persist();
+  return subs[subscription.endpoint];
+}
+
+function remove(endpoint) {
+  const subs = _load();
+  const existed = !!subs[endpoint];
+  delete subs[endpoint];
+  if (existed) _persist();
+  return existed;
+}
+
+function list() {
+  return Object.values(_load());
+}
+
+function clear() {
+  subscriptions = {};
+  _persist();
+}
+
+module.exports = {
+  isValidSubscription,
+  upsert,
+  remove,
+  list,
+  clear
+};
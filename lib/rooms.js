@@ -0,0 +1,183 @@
+/**
+ * Room registry
+ *
+ * The sheet only gives a room's name; capacity and block are scraped out of
+ * names like "E-31 Academic Block I (52)" and floor isn't there at all. The
+ * rest comes from an editable metadata file, `data/rooms.json` (or
+ * ROOMS_FILE), keyed by campus and then by room id:
+ *
+ *   { "khi": { "E-31": { "floor": "Ground", "block": "I", "type": "lecture",
+ *                        "projector": true, "ac": true, "capacity": 52 } } }
+ *
+ * The room id is the name without the block and capacity parts ("E-31",
+ * "CS Lab 1", "Seminar Hall"); the full name works as a key too. File values
+ * win over scraped ones. `type` is lecture / lab / hall and is guessed from
+ * the name when the file doesn't say. The file is reread when it changes, so
+ * edits apply without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCampus } = require('./campuses');
+const { roomTypeOf, isOccupiedEntry } = require('./freeRooms');
+const { roomDetails } = require('./sheetParser');
+
+const DEFAULT_FILE = path.join(process.cwd(), 'data', 'rooms.json');
+const ROOM_TYPES = ['lecture', 'lab', 'hall'];
+
+const metadataCache = {
+  file: null,
+  mtimeMs: 0,
+  data: {}
+};
+
+function metadataFile() {
+  return process.env.ROOMS_FILE ? path.resolve(process.env.ROOMS_FILE) : DEFAULT_FILE;
+}
+
+function readMetadataFile() {
+  const file = metadataFile();
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (e) {
+    return {}; // no metadata file: scraped values only
+  }
+  if (metadataCache.file === file && metadataCache.mtimeMs === stat.mtimeMs) return metadataCache.data;
+  try {
+    metadataCache.data = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (e) {
+    console.warn('[rooms] Failed to read room metadata, keeping the last good copy:', e.message);
+    return metadataCache.data;
+  }
+  metadataCache.file = file;
+  metadataCache.mtimeMs = stat.mtimeMs;
+  return metadataCache.data;
+}
+
+/**
+ * Room metadata of one campus, keyed by lower-cased room id (`key` keeps
+ * the id as written in the file)
+ * @param {string} [campusId] - Campus id (default campus when omitted)
+ * @returns {Object}
+ */
+function loadRoomMetadata(campusId) {
+  const campus = getCampus(campusId);
+  const entries = (campus && readMetadataFile()[campus.id]) || {};
+  const byKey = {};
+  Object.keys(entries).forEach(key => {
+    byKey[key.trim().toLowerCase()] = Object.assign({}, entries[key], { key: key.trim() });
+  });
+  return byKey;
+}
+
+/**
+ * Short id of a room: its name without the block and capacity parts
+ * E.g., "E-31 Academic Block I (52)" -> "E-31", "Seminar Hall (120)" -> "Seminar Hall"
+ * @param {string} name - Room name from the sheet
+ * @returns {string}
+ */
+function roomKey(name) {
+  return String(name || '')
+    .replace(/\(\d{1,4}\)\s*$/, '')
+    .replace(/Academic\s+Block\s+[A-Za-z0-9]+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const flag = (v) => (v === undefined || v === null ? null : Boolean(v));
+
+/**
+ * Room attributes from the sheet name plus its metadata entry
+ * @param {string} name - Room name from the sheet
+ * @param {Object} metadata - Output of `loadRoomMetadata`
+ * @returns {{name, id, capacity, block, floor, type, projector, ac}}
+ */
+function describeRoom(name, metadata) {
+  const id = roomKey(name) || String(name || '');
+  const meta = metadata[id.toLowerCase()] || metadata[String(name || '').trim().toLowerCase()] || {};
+  const type = ROOM_TYPES.includes(meta.type) ? meta.type : roomTypeOf({ name });
+  const scraped = roomDetails(name);
+  return {
+    name,
+    id,
+    capacity: meta.capacity !== undefined ? Number(meta.capacity) : scraped.capacity,
+    block: meta.block !== undefined ? String(meta.block) : scraped.block,
+    floor: meta.floor !== undefined ? String(meta.floor) : null,
+    type,
+    projector: flag(meta.projector),
+    ac: flag(meta.ac)
+  };
+}
+
+/**
+ * Merge room attributes into parsed classrooms (in place)
+ * @param {Array} classrooms - `parseSheet` classrooms
+ * @param {string} [campusId] - Campus id
+ * @returns {Array} The same classrooms
+ */
+function applyRoomMetadata(classrooms, campusId) {
+  const metadata = loadRoomMetadata(campusId);
+  classrooms.forEach(room => {
+    const { name, ...attributes } = describeRoom(room.name, metadata);
+    Object.assign(room, attributes);
+  });
+  return classrooms;
+}
+
+/**
+ * Every room of a campus: the rooms in the week's sheet plus rooms only in
+ * the metadata file (`inSheet: false`), with how many slots they are busy
+ * @param {Object} week - `getWeekSchedule` week
+ * @param {string} [campusId] - Campus id
+ * @returns {Array<Object>} Sorted by name
+ */
+function buildRoomDirectory(week, campusId) {
+  const metadata = loadRoomMetadata(campusId);
+  const rooms = {};
+
+  Object.values(week || {}).forEach(day => {
+    (day.classrooms || []).forEach(room => {
+      if (!rooms[room.name]) rooms[room.name] = Object.assign(describeRoom(room.name, metadata), { inSheet: true, busySlots: 0, totalSlots: 0 });
+      const entry = rooms[room.name];
+      (room.schedule || []).forEach(s => {
+        entry.totalSlots++;
+        if (isOccupiedEntry(s)) entry.busySlots++;
+      });
+    });
+  });
+
+  const seen = new Set();
+  Object.values(rooms).forEach(r => { seen.add(r.id.toLowerCase()); seen.add(r.name.toLowerCase()); });
+  Object.keys(metadata).forEach(key => {
+    if (seen.has(key)) return;
+    const name = metadata[key].key;
+    rooms[name] = Object.assign(describeRoom(name, metadata), { inSheet: false, busySlots: 0, totalSlots: 0 });
+  });
+
+  return Object.values(rooms).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * Find a room by id ("E-31") or full name, case-insensitive
+ * @param {Array} directory - Output of `buildRoomDirectory`
+ * @param {string} query - Room id or name
+ * @returns {Object|null}
+ */
+function findRoom(directory, query) {
+  const q = String(query || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (!q) return null;
+  return directory.find(r => r.id.toLowerCase() === q) ||
+    directory.find(r => r.name.toLowerCase() === q) ||
+    null;
+}
+
+module.exports = {
+  ROOM_TYPES,
+  roomKey,
+  loadRoomMetadata,
+  describeRoom,
+  applyRoomMetadata,
+  buildRoomDirectory,
+  findRoom
+};
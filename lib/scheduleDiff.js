@@ -0,0 +1,164 @@
+/**
+ * Structured diff between two parsed week schedules
+ *
+ * Compares the detailed classroom slots of two `getWeekSchedule` results and
+ * describes what happened in words students care about: a class moved to a
+ * different room, moved to a different time, got cancelled, a new class
+ * appeared, or a room got reserved / un-reserved. Consecutive slots with the
+ * same change (a 3-slot lab moving rooms) are reported once with the merged
+ * time range.
+ */
+
+const { isOccupiedEntry } = require('./freeRooms');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+function isReserved(text) {
+  return /\breserved\b/i.test(text || '');
+}
+
+// Flatten a day's detailed classrooms into occupied slots
+function collectSlots(dayData) {
+  if (!dayData) return [];
+  const classrooms = dayData.classroomsDetailed || dayData.classrooms || [];
+  const timeSlots = (dayData.timeSlots || []).slice().sort((a, b) => a.index - b.index);
+  const posByIndex = {};
+  timeSlots.forEach((ts, pos) => { posByIndex[ts.index] = pos; });
+
+  const slots = [];
+  classrooms.forEach(room => {
+    (room.schedule || []).forEach(s => {
+      // "---" fillers are empty cells, not classes
+      if (!isOccupiedEntry(s)) return;
+      const text = String(s.class).trim();
+      slots.push({
+        room: room.name,
+        time: s.time,
+        pos: posByIndex[s.timeIndex] !== undefined ? posByIndex[s.timeIndex] : -1,
+        class: text,
+        code: s.code || '',
+        // combined cells belong to several sections
+        codes: s.codes && s.codes.length ? s.codes : (s.code ? [s.code] : [])
+      });
+    });
+  });
+  return slots;
+}
+
+// Remove one matching item from `list` and return it
+function take(list, predicate) {
+  const idx = list.findIndex(predicate);
+  if (idx === -1) return null;
+  return list.splice(idx, 1)[0];
+}
+
+function diffDay(dayName, prevData, nextData) {
+  const prev = collectSlots(prevData);
+  const next = collectSlots(nextData);
+  const changes = [];
+
+  const same = (a, b) => a.room === b.room && a.time === b.time && a.class === b.class;
+  const removed = prev.filter(p => !next.some(n => same(p, n)));
+  const added = next.filter(n => !prev.some(p => same(p, n)));
+
+  // Same class at the same time in another room -> moved room
+  removed.slice().forEach(r => {
+    const match = take(added, a => a.class === r.class && a.time === r.time && a.room !== r.room);
+    if (!match) return;
+    take(removed, x => x === r);
+    changes.push({ type: 'moved', day: dayName, code: r.code, codes: r.codes, class: r.class, time: r.time, pos: r.pos, fromRoom: r.room, toRoom: match.room, room: match.room });
+  });
+
+  // Same class and room at another time -> rescheduled
+  removed.slice().forEach(r => {
+    if (isReserved(r.class)) return;
+    const match = take(added, a => a.class === r.class && a.room === r.room && a.time !== r.time);
+    if (!match) return;
+    take(removed, x => x === r);
+    changes.push({ type: 'rescheduled', day: dayName, code: r.code, codes: r.codes, class: r.class, time: match.time, pos: match.pos, fromTime: r.time, toTime: match.time, room: r.room });
+  });
+
+  removed.forEach(r => {
+    changes.push({ type: isReserved(r.class) ? 'unreserved' : 'cancelled', day: dayName, code: r.code, codes: r.codes, class: r.class, time: r.time, pos: r.pos, room: r.room });
+  });
+  added.forEach(a => {
+    changes.push({ type: isReserved(a.class) ? 'reserved' : 'added', day: dayName, code: a.code, codes: a.codes, class: a.class, time: a.time, pos: a.pos, room: a.room });
+  });
+
+  return mergeConsecutive(changes);
+}
+
+// Collapse the per-slot changes of merged cells (labs, reservations) into one
+function mergeConsecutive(changes) {
+  const groups = {};
+  changes.forEach(c => {
+    const key = [c.type, c.day, c.class, c.room, c.fromRoom || '', c.toRoom || ''].join('|');
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(c);
+  });
+
+  const out = [];
+  Object.values(groups).forEach(list => {
+    list.sort((a, b) => a.pos - b.pos);
+    let current = null;
+    list.forEach(c => {
+      if (current && c.type !== 'rescheduled' && current.pos >= 0 && c.pos === current.lastPos + 1) {
+        const startPart = String(current.time).split('-')[0].trim();
+        const endPart = (String(c.time).split('-')[1] || c.time).trim();
+        current.time = `${startPart}-${endPart}`;
+        current.lastPos = c.pos;
+        return;
+      }
+      if (current) out.push(current);
+      current = Object.assign({}, c, { lastPos: c.pos });
+    });
+    if (current) out.push(current);
+  });
+
+  return out.map(c => {
+    const clean = Object.assign({}, c);
+    delete clean.pos;
+    delete clean.lastPos;
+    return clean;
+  });
+}
+
+/**
+ * Diff two week schedules
+ * @param {Object|null} prevWeek - Previous week data keyed by day name
+ * @param {Object} nextWeek - Current week data keyed by day name
+ * @returns {Array} Changes ({ type, day, code, codes, class, time, room, fromRoom?, toRoom?, fromTime?, toTime? })
+ *   where type is one of moved | rescheduled | cancelled | added | reserved | unreserved
+ */
+function diffWeeks(prevWeek, nextWeek) {
+  if (!prevWeek || !nextWeek) return [];
+  const changes = [];
+  DAYS.forEach(dayName => {
+    // A day missing from either side is a failed fetch, not a mass cancellation
+    if (!prevWeek[dayName] || !nextWeek[dayName]) return;
+    diffDay(dayName, prevWeek[dayName], nextWeek[dayName]).forEach(c => changes.push(c));
+  });
+  return changes;
+}
+
+/**
+ * Stable fingerprint of a week's occupied slots (ignores fetch timestamps)
+ * @param {Object} week - Week data keyed by day name
+ * @returns {string}
+ */
+function fingerprintWeek(week) {
+  const parts = [];
+  DAYS.forEach(dayName => {
+    if (!week || !week[dayName]) return;
+    collectSlots(week[dayName])
+      .map(s => `${dayName}|${s.room}|${s.time}|${s.class}`)
+      .sort()
+      .forEach(p => parts.push(p));
+  });
+  return parts.join('\n');
+}
+
+module.exports = {
+  diffWeeks,
+  fingerprintWeek
+};
@@ -3,23 +3,36 @@
 // Note: In Vercel serverless, module-scoped memory may be reused for warm
 // invocations but is not guaranteed long-term. This cache is intended for
 // short TTLs (seconds) to reduce immediate duplicate requests.
+// Each campus gets its own namespace (`namespace(campusId)`) so two sheets
+// never share entries; the top-level functions use the 'default' namespace.
 
 const CACHE_TTL_MS = Number(process.env.SERVER_CACHE_TTL_MS) || 30000; // default 30s
 
-const cache = {
-  schedule: {},
-  search: {},
-  week: null,
-  lastFetchTime: {
+function _emptyCache() {
+  return {
     schedule: {},
     search: {},
-    week: 0
-  }
-};
+    week: null,
+    lastFetchTime: {
+      schedule: {},
+      search: {},
+      week: 0
+    }
+  };
+}
+
+const namespaces = {};
 
 function _now() { return Date.now(); }
 
-function isValid(kind, key) {
+function _cache(ns) {
+  const name = ns || 'default';
+  if (!namespaces[name]) namespaces[name] = _emptyCache();
+  return namespaces[name];
+}
+
+function isValid(kind, key, ns) {
+  const cache = _cache(ns);
   const now = _now();
   if (kind === 'week') {
     return cache.week !== null && (now - cache.lastFetchTime.week) < CACHE_TTL_MS;
@@ -29,12 +42,14 @@ function isValid(kind, key) {
   return map[key] && (now - (times[key] || 0)) < CACHE_TTL_MS;
 }
 
-function get(kind, key) {
+function get(kind, key, ns) {
+  const cache = _cache(ns);
   if (kind === 'week') return cache.week;
   return (kind === 'search') ? cache.search[key] : cache.schedule[key];
 }
 
-function set(kind, key, value) {
+function set(kind, key, value, ns) {
+  const cache = _cache(ns);
   const now = _now();
   if (kind === 'week') {
     cache.week = value;
@@ -50,17 +65,30 @@ function set(kind, key, value) {
   cache.lastFetchTime.schedule[key] = now;
 }
 
+function clear(ns) {
+  delete namespaces[ns || 'default'];
+}
+
 function clearAll() {
-  cache.schedule = {};
-  cache.search = {};
-  cache.week = null;
-  cache.lastFetchTime = { schedule: {}, search: {}, week: 0 };
+  Object.keys(namespaces).forEach(name => { delete namespaces[name]; });
+}
+
+// Same API bound to one namespace: serverCache.namespace('isb').get('week')
+function namespace(ns) {
+  return {
+    isValid: (kind, key) => isValid(kind, key, ns),
+    get: (kind, key) => get(kind, key, ns),
+    set: (kind, key, value) => set(kind, key, value, ns),
+    clear: () => clear(ns)
+  };
 }
 
 module.exports = {
   isValid,
   get,
   set,
+  clear,
   clearAll,
+  namespace,
   CACHE_TTL_MS
-};
\ No newline at end of file
+};
@@ -0,0 +1,123 @@
+/**
+ * Sheet config for the schedule pipeline
+ *
+ * The config is the `{ <campus>: { name, url, codes: [{ name, gid }] } }`
+ * shape the README always described: `url` is the GViz URL up to `gid=` and
+ * each code is one day tab. `/api/config` serves the version generated from
+ * the campus registry (env); `getDaySchedule` resolves every day tab through
+ * here instead of reading SHEET_ID / SHEET_DAY_GIDS directly.
+ *
+ * SHEET_CONFIG_URL points at a remote config in the same shape (a gist, a
+ * JSON file on another host). When set, its campuses override the registry
+ * ones, so day tabs can be repointed by editing that file: it is refetched
+ * every SHEET_CONFIG_TTL_MS (60s) or right away on `/api/clear-cache`. If it
+ * can't be fetched the last good copy (or the registry) is used. When it is
+ * another deployment's `/api/config` (which needs that deployment's secret),
+ * SHEET_CONFIG_SECRET is sent as `x-tt-secret`.
+ */
+
+const { fetchConfig } = require('./fetchSheets');
+const { getCampus, listCampuses, DAY_NAMES } = require('./campuses');
+
+const GVIZ_BASE_URL = 'https://docs.google.com/spreadsheets/d';
+const CONFIG_TTL_MS = Number(process.env.SHEET_CONFIG_TTL_MS) || 60000;
+
+const remote = {
+  config: null,
+  fetchedAt: 0,
+  pending: null
+};
+
+function gvizUrl(sheetId) {
+  return `${GVIZ_BASE_URL}/${sheetId}/gviz/tq?tqx=out:json&gid=`;
+}
+
+/**
+ * Config generated from the campus registry (what `/api/config` serves)
+ * Campuses without a sheet id are left out.
+ * @returns {Object} { [campusId]: { name, url, codes: [{ name, gid }] } }
+ */
+function buildConfigFromRegistry() {
+  const config = {};
+  listCampuses().forEach(({ id }) => {
+    const campus = getCampus(id);
+    if (!campus.sheetId) return;
+    config[id] = {
+      name: campus.name,
+      url: gvizUrl(campus.sheetId),
+      codes: DAY_NAMES.map(name => ({ name, gid: String(campus.dayGids[name]) }))
+    };
+  });
+  return config;
+}
+
+async function loadRemoteConfig(url) {
+  if (remote.config && Date.now() - remote.fetchedAt < CONFIG_TTL_MS) return remote.config;
+  if (!remote.pending) {
+    const secret = process.env.SHEET_CONFIG_SECRET;
+    remote.pending = fetchConfig(url, secret ? { 'x-tt-secret': secret } : {})
+      .then(config => {
+        remote.config = config;
+        remote.fetchedAt = Date.now();
+        return config;
+      })
+      .catch(err => {
+        console.warn('[sheetConfig] Failed to load SHEET_CONFIG_URL, using last known config:', err.message);
+        return remote.config;
+      })
+      .finally(() => { remote.pending = null; });
+  }
+  return remote.pending;
+}
+
+/**
+ * The config the pipeline uses: registry config overlaid with SHEET_CONFIG_URL
+ * @returns {Promise<Object>}
+ */
+async function loadSheetConfig() {
+  const config = buildConfigFromRegistry();
+  const url = process.env.SHEET_CONFIG_URL;
+  if (!url) return config;
+  const overrides = await loadRemoteConfig(url);
+  Object.keys(overrides || {}).forEach(key => {
+    config[campusIdForKey(key)] = overrides[key];
+  });
+  return config;
+}
+
+// Config keys are campus ids; the README's older `karachi` style (campus name) also works
+function campusIdForKey(key) {
+  const byName = listCampuses().find(c => c.name.toLowerCase() === String(key).toLowerCase());
+  return byName ? byName.id : key;
+}
+
+/**
+ * GViz URL of one day tab
+ * @param {string} campusId - Campus id (empty for the default campus)
+ * @param {string} dayName - "Monday" ... "Friday"
+ * @returns {Promise<{url: string, gid: string}>}
+ */
+async function getDaySource(campusId, dayName) {
+  const campus = getCampus(campusId);
+  if (!campus) throw new Error(`Unknown campus: ${campusId}`);
+  const region = (await loadSheetConfig())[campus.id];
+  if (!region || !region.url) {
+    throw new Error(`No sheet configured for campus ${campus.id}. Set SHEET_ID, CAMPUSES or SHEET_CONFIG_URL.`);
+  }
+  const code = (region.codes || []).find(c => c.name === dayName);
+  const gid = code ? String(code.gid) : '0';
+  return { url: region.url + gid, gid };
+}
+
+// Forget the remote copy so the next request refetches it (sheet webhook)
+function clearSheetConfigCache() {
+  remote.config = null;
+  remote.fetchedAt = 0;
+}
+
+module.exports = {
+  buildConfigFromRegistry,
+  loadSheetConfig,
+  getDaySource,
+  clearSheetConfigCache
+};
@@ -0,0 +1,370 @@
+/**
+ * Timetable sheet parser
+ *
+ * The one place GViz JSON becomes timetable data. `lib/sheets.js` (the API),
+ * `api/sheets.js` and `lib/fetchSheets.js` all used to carry their own copy
+ * of this and had drifted apart (only one of them knew about capacity, the
+ * lab/reserved lookahead or repeated header rows). Everything now calls
+ * `parseSheet` and gets the same schema:
+ *
+ *   { classrooms: [{ name, capacity, block, floor, classes,
+ *                    schedule: [{ timeIndex, time, class, code, title, codes, instructor }] }],
+ *     timeSlots: [{ index, time, label }] }
+ *
+ * Sheets differ in where the time header sits, so that part is a layout
+ * strategy (`LAYOUTS`): `headerRow(rows)` returns the row holding the times,
+ * room rows follow it. A campus picks one with `layout` in CAMPUSES (or
+ * SHEET_LAYOUT for the single-sheet setup); a strategy object can also be
+ * passed directly.
+ *
+ * Cells expand over explicit colspan metadata. Lab and "Reserved" cells
+ * without it also take the empty cells after them (LAB_LOOKAHEAD /
+ * RESERVED_LOOKAHEAD cap how far; the default is the rest of the row).
+ */
+
+const { matchCodeGroups, extractCode, extractCodes } = require('./codeGrammar');
+const { parseTimeRange } = require('./timeUtils');
+
+const TIME_RANGE = /\d{1,2}:\d{2}\s*-/;
+
+const LAYOUTS = {
+  // The FAST sheet: slot numbers (1, 2, 3 ...) in row 0, "Venues/time" and the times in row 1
+  timetable: {
+    headerRow: () => 1
+  },
+  // Times in the first row, rooms right below
+  'single-header': {
+    headerRow: () => 0
+  },
+  // Unknown sheets: the first of the top four rows that holds a time range
+  auto: {
+    headerRow: (rows) => {
+      for (let i = 0; i < Math.min(4, rows.length); i++) {
+        const r = rows[i];
+        if (r && r.c && r.c.some(cell => cell && cell.v && TIME_RANGE.test(String(cell.v)))) return i;
+      }
+      return 1;
+    }
+  }
+};
+
+const DEFAULT_LAYOUT = 'timetable';
+
+/**
+ * Resolve a layout name or strategy object
+ * @param {string|Object} [layout] - Key of `LAYOUTS` or `{ headerRow(rows) }`
+ * @returns {Object} Strategy
+ */
+function getLayout(layout) {
+  if (layout && typeof layout === 'object' && typeof layout.headerRow === 'function') return layout;
+  const strategy = LAYOUTS[layout || DEFAULT_LAYOUT];
+  if (!strategy) throw new Error(`Unknown sheet layout: ${layout}`);
+  return strategy;
+}
+
+/**
+ * Strip the GViz wrapper and parse the JSON inside
+ * @param {string} buffer - Raw response text
+ * @returns {Object} Parsed JSON
+ */
+function parseGVizText(buffer) {
+  // GViz wraps response like: /*O_o*/google.visualization.Query.setResponse({...});
+  const jsonStart = buffer.indexOf('{');
+  const jsonEnd = buffer.lastIndexOf('}') + 1;
+
+  if (jsonStart === -1 || jsonEnd <= jsonStart) {
+    throw new Error('Invalid GViz response format - could not find JSON');
+  }
+
+  try {
+    return JSON.parse(buffer.substring(jsonStart, jsonEnd));
+  } catch (error) {
+    throw new Error(`Failed to parse GViz response: ${error.message}`);
+  }
+}
+
+const cellText = (cell) => (cell && (cell.v !== null && cell.v !== undefined) ? String(cell.v).trim() : '');
+
+// How many columns a cell covers: explicit colspan, else the lab/reserved lookahead
+// (`by` says which one widened it, for diagnostics)
+function cellSpan(cells, j, classInfo) {
+  const cell = cells[j];
+  // detect colspan metadata if provided by GViz (common keys: colSpan, colspan)
+  let span = 1;
+  if (cell && cell.p) {
+    span = Number(cell.p.colSpan || cell.p.colspan || cell.p.span || 1) || 1;
+  }
+  if (span !== 1) return { span, by: 'colspan' };
+  if (!classInfo) return { span, by: null };
+
+  // Some sheets don't include colspan info for merged cells and leave the
+  // following columns empty instead. Labs and "Reserved for ACM"-style cells
+  // are the ones merged in practice, so only those look ahead.
+  const reserved = /\breserved\b/i.test(classInfo);
+  if (!reserved && !/\blab\b/i.test(classInfo)) return { span, by: null };
+
+  const envLook = Number(reserved ? process.env.RESERVED_LOOKAHEAD : process.env.LAB_LOOKAHEAD);
+  const maxLookahead = !isNaN(envLook) && envLook > 0 ? envLook : Math.max(0, cells.length - j - 1);
+  let extra = 0;
+  for (let la = 1; la <= maxLookahead; la++) {
+    const nextCol = j + la;
+    if (nextCol >= cells.length) break;
+    // If the next cell is empty, assume it's part of the merged cell
+    if (cellText(cells[nextCol])) break;
+    extra++;
+  }
+  return { span: 1 + extra, by: extra > 0 ? (reserved ? 'reserved-lookahead' : 'lab-lookahead') : null };
+}
+
+/**
+ * Capacity and block from names like "E-31 Academic Block I (52)"; the room
+ * registry and the free-room cards read them through this too
+ * @param {string} name - Room name from the sheet
+ * @returns {{capacity: (number|null), block: (string|null), floor: null}}
+ */
+function roomDetails(name) {
+  const capacityMatch = String(name || '').match(/\((\d{1,4})\)\s*$/);
+  const blockMatch = String(name || '').match(/Academic\s+Block\s+([A-Za-z0-9]+)/i);
+  return {
+    capacity: capacityMatch ? Number(capacityMatch[1]) : null,
+    block: blockMatch ? blockMatch[1] : null,
+    // Floor isn't reliably present in the sheet; leave null for UI fallback
+    floor: null
+  };
+}
+
+/**
+ * Detect placeholder/header names exported from sheets (e.g. "CLASSROOMS", "ROOMS", "CLASS LIST")
+ * @param {string} name - Room name
+ * @returns {boolean}
+ */
+function isPlaceholderName(name) {
+  if (!name) return true;
+  const rn = String(name).trim().replace(/\s+/g, ' ');
+  // Common header words
+  if (/^(classrooms?|rooms?|class list|room list|laboratories|labs?)\b/i.test(rn)) return true;
+  // If name contains no digits and is long and mostly uppercase, likely a header
+  if (!/\d/.test(rn) && rn.length > 4 && rn === rn.toUpperCase()) return true;
+  return false;
+}
+
+// The parse itself; `report` (diagnoseSheet) collects what was skipped or expanded
+function parseRows(gvizData, options, report) {
+  const rows = (gvizData && gvizData.table && gvizData.table.rows) || [];
+  const headerRow = getLayout(options.layout).headerRow(rows);
+  const grammar = options.grammar;
+  if (report) report.headerRow = headerRow;
+  if (rows.length < headerRow + 2) {
+    return { classrooms: [], timeSlots: [] };
+  }
+
+  const classrooms = [];
+  const timeSlots = [];
+  const header = rows[headerRow].c || [];
+
+  header.forEach((cell, idx) => {
+    const raw = cellText(cell);
+    // The value should be a time range like "08:00-8:50"
+    if (idx > 0 && raw) timeSlots.push({ index: idx, time: raw, label: raw });
+  });
+
+  const headerLabel = cellText(header[0]);
+  if (report) report.headerLabel = headerLabel;
+
+  for (let i = headerRow + 1; i < rows.length; i++) {
+    const cells = rows[i].c;
+    const name = cells ? cellText(cells[0]) : '';
+    if (!cells || cells.length === 0 || !name) {
+      if (report && cells && cells.some(c => cellText(c))) report.skippedRows.push({ row: i, name, reason: 'no room name' });
+      continue;
+    }
+    // the header row is sometimes repeated above a block ("Venues/time", then times)
+    if (headerLabel && name === headerLabel) {
+      if (report) report.skippedRows.push({ row: i, name, reason: 'repeated header' });
+      continue;
+    }
+
+    const classroom = Object.assign({ name, schedule: [], classes: new Set() }, roomDetails(name));
+
+    for (let j = 1; j < cells.length; j++) {
+      const classInfo = cellText(cells[j]);
+      const { span, by } = cellSpan(cells, j, classInfo);
+
+      // Map the span to consecutive entries of `timeSlots` starting at the
+      // first header at or after column `j` rather than by raw column index
+      // (header cells can be sparse when GViz collapses columns).
+      const startPos = timeSlots.findIndex(ts => ts.index >= j);
+      if (startPos !== -1) {
+        const cellParts = parseClassCell(classInfo, grammar);
+        const code = extractClassCode(classInfo, grammar);
+        const covered = [];
+        for (let s = 0; s < span; s++) {
+          const slotInfo = timeSlots[startPos + s];
+          if (!slotInfo) break;
+          covered.push(slotInfo.time);
+          classroom.schedule.push({
+            timeIndex: slotInfo.index,
+            time: slotInfo.time,
+            class: classInfo,
+            code,
+            title: cellParts.title,
+            codes: cellParts.codes.slice(),
+            instructor: cellParts.instructor
+          });
+        }
+        cellParts.codes.forEach(c => classroom.classes.add(c));
+        if (report && by) report.expandedCells.push({ row: i, column: j, room: name, text: classInfo, span, by, slots: covered });
+      } else if (report && classInfo) {
+        report.droppedCells.push({ row: i, column: j, room: name, text: classInfo, reason: 'no time header at or after this column' });
+      }
+
+      if (span > 1) j += (span - 1);
+    }
+
+    classroom.classes = Array.from(classroom.classes).sort();
+    classrooms.push(classroom);
+  }
+
+  return { classrooms, timeSlots };
+}
+
+/**
+ * Parse one day tab into the normalized schema
+ * @param {Object} gvizData - Parsed GViz JSON
+ * @param {Object} [options]
+ * @param {string|Object} [options.layout] - Layout strategy (default "timetable")
+ * @param {Object} [options.grammar] - Section-code grammar (defaults to the active campus grammar)
+ * @returns {{classrooms: Array, timeSlots: Array}}
+ */
+function parseSheet(gvizData, options = {}) {
+  return parseRows(gvizData, options);
+}
+
+/**
+ * Parse a day tab and report how it was read, for sheet maintainers
+ * (`/api/schedule?action=diagnose`): the header row the layout picked, the
+ * time slots, header cells that aren't a time range, rows skipped or only
+ * kept as placeholders, cells widened by colspan vs by the lookahead, and
+ * cells dropped for having no time header.
+ * @param {Object} gvizData - Parsed GViz JSON
+ * @param {Object} [options] - Same as `parseSheet`
+ * @returns {Object} Report (see `diagnose` in the API docs)
+ */
+function diagnoseSheet(gvizData, options = {}) {
+  const report = { headerRow: null, headerLabel: '', skippedRows: [], expandedCells: [], droppedCells: [] };
+  const { classrooms, timeSlots } = parseRows(gvizData, options, report);
+  const layout = options.layout && typeof options.layout === 'object' ? 'custom' : (options.layout || DEFAULT_LAYOUT);
+
+  // Kept as rooms by the parser, but the free-room views hide them as headers
+  const placeholderRows = classrooms.filter(r => isPlaceholderName(r.name)).map(r => r.name);
+  const unparseableTimeHeaders = timeSlots.filter(ts => !parseTimeRange(ts.time)).map(ts => ({ column: ts.index, text: ts.time }));
+  const count = (by) => report.expandedCells.filter(c => c.by === by).length;
+
+  return {
+    layout,
+    headerRow: report.headerRow,
+    headerLabel: report.headerLabel,
+    timeSlots: timeSlots.map(ts => ({ column: ts.index, time: ts.time })),
+    unparseableTimeHeaders,
+    skippedRows: report.skippedRows,
+    placeholderRows,
+    expandedCells: report.expandedCells,
+    droppedCells: report.droppedCells,
+    summary: {
+      rows: ((gvizData && gvizData.table && gvizData.table.rows) || []).length,
+      rooms: classrooms.length,
+      timeSlots: timeSlots.length,
+      expandedByColspan: count('colspan'),
+      expandedByLabLookahead: count('lab-lookahead'),
+      expandedByReservedLookahead: count('reserved-lookahead'),
+      lookahead: {
+        lab: Number(process.env.LAB_LOOKAHEAD) > 0 ? Number(process.env.LAB_LOOKAHEAD) : 'rest of row',
+        reserved: Number(process.env.RESERVED_LOOKAHEAD) > 0 ? Number(process.env.RESERVED_LOOKAHEAD) : 'rest of row'
+      }
+    }
+  };
+}
+
+/**
+ * Flat list of occupied slots, the `{ val, location, slot, time }` shape
+ * `components/Classes.js` renders
+ * @param {{classrooms: Array}} parsed - Output of `parseSheet`
+ * @returns {Array<{val: string, location: string, slot: string, time: string}>}
+ */
+function toCellList(parsed) {
+  const cells = [];
+  parsed.classrooms.forEach(room => {
+    room.schedule.forEach(s => {
+      if (s.class) cells.push({ val: s.class, location: room.name, slot: s.time, time: s.time });
+    });
+  });
+  return cells;
+}
+
+/**
+ * Extract class code from a class string
+ * E.g., "BCS-1G Database Systems" -> "BCS-1G"
+ * E.g., "FE Lab BCS-1G Qurat ul Ain" -> "BCS-1G"
+ * What counts as a code comes from the campus grammar (lib/codeGrammar.js)
+ * @param {string} classString - Full class description
+ * @param {Object} [grammar] - Defaults to the active campus grammar
+ * @returns {string} Class code or empty string
+ */
+function extractClassCode(classString, grammar) {
+  if (!classString) return '';
+  return extractCode(classString, grammar);
+}
+
+/**
+ * Extract every section code a cell belongs to, in order of appearance
+ * E.g., "OOP BCS-3A/BCS-3B" -> ["BCS-3A", "BCS-3B"]
+ * E.g., "SE BSE-5A + BAI-5A" -> ["BSE-5A", "BAI-5A"]
+ * E.g., "COAL BCS-3A-C"      -> ["BCS-3A", "BCS-3B", "BCS-3C"]
+ * @param {string} classString - Full class description
+ * @param {Object} [grammar] - Defaults to the active campus grammar
+ * @returns {Array<string>} Unique codes (empty when the cell has none)
+ */
+function extractClassCodes(classString, grammar) {
+  return extractCodes(classString, grammar);
+}
+
+/**
+ * Split a cell into course title, section code(s) and instructor.
+ * The sheet uses two layouts:
+ *   "FE Lab BCS-1G Qurat ul Ain" -> title "FE Lab", codes ["BCS-1G"], instructor "Qurat ul Ain"
+ *   "BCS-1G Database Systems"    -> title "Database Systems", codes ["BCS-1G"], no instructor
+ * When the code leads the cell there is nothing before it to call a title, so
+ * the trailing text is the title. Cells without a code ("Reserved for ACM")
+ * are all title.
+ * @param {string} classString - Raw cell text
+ * @param {Object} [grammar] - Defaults to the active campus grammar
+ * @returns {{title: string, codes: Array<string>, instructor: string}}
+ */
+function parseClassCell(classString, grammar) {
+  const text = String(classString || '').replace(/\s+/g, ' ').trim();
+  if (!text) return { title: '', codes: [], instructor: '' };
+
+  const groups = matchCodeGroups(text, grammar);
+  if (groups.length === 0) return { title: text, codes: [], instructor: '' };
+
+  const codes = extractClassCodes(text, grammar);
+  const before = text.slice(0, groups[0].index).replace(/[\s\-–,(/]+$/, '').trim();
+  const after = text.slice(groups[groups.length - 1].end).replace(/^[\s\-–,)/:+&]+/, '').replace(/[()]/g, '').trim();
+
+  if (!before) return { title: after, codes, instructor: '' };
+  return { title: before, codes, instructor: /[a-z]/i.test(after) ? after : '' };
+}
+
+module.exports = {
+  LAYOUTS,
+  getLayout,
+  parseGVizText,
+  parseSheet,
+  diagnoseSheet,
+  toCellList,
+  extractClassCode,
+  extractClassCodes,
+  parseClassCell,
+  roomDetails,
+  isPlaceholderName
+};
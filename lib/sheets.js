@@ -8,62 +8,49 @@
  *
  * Quick notes:
  * - Uses GViz JSON (docs.google.com) via HTTPS GET
+ * - Parsing lives in lib/sheetParser.js (one core for every caller); the
+ *   cell helpers are re-exported from here for existing imports
  * - Reads header row for time slots and remaining rows for classroom data
- * - Expands cells only when explicit `colspan` metadata is present
+ * - Expands cells when explicit `colspan` metadata is present (plus the
+ *   lab/reserved lookahead, see sheetParser)
  */
 
 const https = require('https');
+const { parseGVizText, parseSheet, diagnoseSheet, extractClassCode, extractClassCodes, parseClassCell } = require('./sheetParser');
+const { getCampus, getCampusGrammar } = require('./campuses');
+const { getDaySource } = require('./sheetConfig');
+const { isFixtureMode, readFixture } = require('./gvizFixtures');
+const { applyRoomMetadata } = require('./rooms');
 
 // Configuration for Google Sheets
-// All sensitive data is loaded from .env.local
+// Sheet ids and day GIDs come from the sheet config (lib/sheetConfig.js)
 const SHEET_CONFIG = {
-  SHEET_ID: process.env.SHEET_ID,
-  BASE_URL: 'https://docs.google.com/spreadsheets/d',
   TIMEOUT: 15000,
   
-  // Map day IDs to day names (GID = 0 is the default first sheet)
+  // Map day IDs to day names
   DAYS: {
     0: 'Monday',
     1: 'Tuesday',
     2: 'Wednesday',
     3: 'Thursday',
     4: 'Friday'
-  },
-  
-  // GID values for each day sheet - loaded from SHEET_DAY_GIDS env var (JSON string)
-  // Format: {"Monday":"GIDVALUE","Tuesday":"GIDVALUE",...}
-  DAY_GIDS: {
-    'Monday': '0',
-    'Tuesday': '0',
-    'Wednesday': '0',
-    'Thursday': '0',
-    'Friday': '0'
   }
 };
 
-// Allow overriding DAY_GIDS via environment variable (JSON string)
-// Example: SHEET_DAY_GIDS='{"Monday":"0","Tuesday":"123456789","Wednesday":"987654321"}'
-try {
-  const envGids = process.env.SHEET_DAY_GIDS;
-  if (envGids) {
-    const parsed = JSON.parse(envGids);
-    SHEET_CONFIG.DAY_GIDS = Object.assign({}, SHEET_CONFIG.DAY_GIDS, parsed);
-    console.log('[sheets] Using DAY_GIDS from SHEET_DAY_GIDS env var:', SHEET_CONFIG.DAY_GIDS);
-  }
-} catch (e) {
-  console.warn('[sheets] Failed to parse SHEET_DAY_GIDS, using defaults:', e.message);
-}
-
 /**
  * Fetch raw data from Google Sheets via GViz API
- * @param {string} gid - Sheet GID (tab ID)
+ * With SHEET_FIXTURES set the recorded response for `dayName` is served
+ * instead (lib/gvizFixtures.js) and `url` is ignored.
+ * @param {string} url - GViz URL of the day tab (from `getDaySource`)
+ * @param {string} dayName - Day the tab holds ("Monday" ...)
  * @returns {Promise<Object>} Parsed JSON from Google Sheets
  */
-function fetchGVizData(gid) {
+function fetchGVizData(url, dayName) {
+  if (isFixtureMode()) {
+    return readFixture(dayName).then(parseGVizText);
+  }
+
   return new Promise((resolve, reject) => {
-    // Construct GViz API URL
-    const url = `${SHEET_CONFIG.BASE_URL}/${SHEET_CONFIG.SHEET_ID}/gviz/tq?tqx=out:json&gid=${gid}`;
-    
     https.get(url, { timeout: SHEET_CONFIG.TIMEOUT }, (response) => {
       let buffer = '';
       
@@ -73,21 +60,9 @@ function fetchGVizData(gid) {
       
       response.on('end', () => {
         try {
-          // GViz wraps response like: /*O_o*/google.visualization.Query.setResponse({...});
-          // Remove wrapper to extract pure JSON
-          const jsonStart = buffer.indexOf('{');
-          const jsonEnd = buffer.lastIndexOf('}') + 1;
-          
-          if (jsonStart === -1 || jsonEnd <= jsonStart) {
-            reject(new Error('Invalid GViz response format - could not find JSON'));
-            return;
-          }
-          
-          const jsonString = buffer.substring(jsonStart, jsonEnd);
-          const parsed = JSON.parse(jsonString);
-          resolve(parsed);
+          resolve(parseGVizText(buffer));
         } catch (error) {
-          reject(new Error(`Failed to parse GViz response: ${error.message}`));
+          reject(error);
         }
       });
     }).on('error', (error) => {
@@ -98,181 +73,14 @@ function fetchGVizData(gid) {
 
 /**
  * Extract classroom and schedule information from raw GViz data
+ * (the parsing itself is lib/sheetParser.js, shared by every caller)
  * @param {Object} gvizData - Raw data from GViz API
+ * @param {Object} [grammar] - Section-code grammar (defaults to the active campus grammar)
+ * @param {string|Object} [layout] - Sheet layout strategy (see `LAYOUTS`)
  * @returns {Object} Structured classroom data
  */
-function parseClassroomData(gvizData) {
-  if (!gvizData.table || !gvizData.table.rows || gvizData.table.rows.length < 3) {
-    return { classrooms: [], timeSlots: [] };
-  }
-
-  const rows = gvizData.table.rows;
-  const classrooms = [];
-  const timeSlots = [];
-
-  // Row 0 contains slot numbers (1, 2, 3, ...) - skip
-  // Row 1 contains "Venues/time" and actual times like "08:00-8:50"
-  // Rows 2+ contain classroom data
-
-  if (rows.length > 1 && rows[1].c) {
-    rows[1].c.forEach((cell, idx) => {
-      if (idx > 0 && cell && (cell.v !== null && cell.v !== undefined)) {
-        const raw = String(cell.v).trim();
-        if (!raw) return;
-
-        // The value should be a time range like "08:00-8:50"
-        timeSlots.push({
-          index: idx,
-          time: raw,
-          label: raw
-        });
-      }
-    });
-  }
-
-  // Extract classrooms and their schedules (starting from row 2)
-  for (let i = 2; i < rows.length; i++) {
-    const row = rows[i];
-    if (!row.c || row.c.length === 0) continue;
-
-    const classroomName = row.c[0]?.v;
-    if (!classroomName) continue;
-
-    const classroom = {
-      name: String(classroomName).trim(),
-      schedule: [],
-      classes: new Set()
-    };
-
-    // Try to extract capacity and block information from the classroom name
-    // Example: "E-31 Academic Block I (52)" -> capacity: 52, block: "I"
-    const capacityMatch = String(classroomName).match(/\((\d{1,4})\)\s*$/);
-    if (capacityMatch) {
-      classroom.capacity = Number(capacityMatch[1]);
-    } else {
-      classroom.capacity = null;
-    }
-    // Extract block (e.g., "Academic Block II" -> "II" or numeric)
-    const blockMatch = String(classroomName).match(/Academic\s+Block\s+([A-Za-z0-9]+)/i);
-    if (blockMatch) {
-      classroom.block = blockMatch[1];
-    } else {
-      classroom.block = null;
-    }
-    // Floor isn't reliably present in the sheet; leave null for UI fallback
-    classroom.floor = null;
-
-    // Extract schedule for each time slot column (starting at column 1)
-    for (let j = 1; j < row.c.length; j++) {
-      const cell = row.c[j];
-      const classInfo = cell && (cell.v !== null && cell.v !== undefined) ? String(cell.v).trim() : '';
-
-      // detect colspan metadata if provided by GViz (common keys: colSpan, colspan)
-      let span = 1;
-      try {
-        if (cell && cell.p) {
-          span = cell.p.colSpan || cell.p.colspan || cell.p.span || 1;
-          span = Number(span) || 1;
-        }
-      } catch (e) {      span = 1;
-      }
-
-      // If no explicit colspan metadata is provided, i apply a conservative fallback
-      // only for lab classes: some sheets don't include colspan info and instead
-      // leave the following columns empty. For lab cells we look ahead across a few
-      // columns and expand the span across subsequent empty time columns. This
-      // reduces phantom entries while restoring merged lab durations.
-      // If no explicit colspan is provided, apply a conservative fallback
-      // for certain entries that are commonly merged across multiple slots
-      // in the source sheet. Previously only lab cells were expanded; some
-      // rooms (e.g. "Reserved for ACM") also use merged cells but don't
-      // include colspan metadata. Detect such cases and look ahead across
-      // empty columns to expand the span.
-      if (span === 1 && classInfo && (/\blab\b/i.test(classInfo) || /\breserved\b/i.test(classInfo))) {
-        // look ahead up to next N slots (configurable via env var LAB_LOOKAHEAD)
-        // If no env override is provided, default to scanning until the
-        // end of the row so long merged cells (e.g. 'Reserved for ACM')
-        // without colspan metadata are fully expanded across all empty
-        // subsequent time columns.
-        let MAX_LOOKAHEAD;
-        // Allow separate configuration for reserved cells vs lab cells.
-        if (/\breserved\b/i.test(classInfo)) {
-          const envRes = Number(process.env.RESERVED_LOOKAHEAD);
-          if (!isNaN(envRes) && envRes > 0) {
-            MAX_LOOKAHEAD = envRes;
-          } else {
-            MAX_LOOKAHEAD = Math.max(0, row.c.length - j - 1);
-          }
-        } else {
-          const envLook = Number(process.env.LAB_LOOKAHEAD);
-          if (!isNaN(envLook) && envLook > 0) {
-            MAX_LOOKAHEAD = envLook;
-          } else {
-            MAX_LOOKAHEAD = Math.max(0, row.c.length - j - 1);
-          }
-        }
-        let extra = 0;
-        for (let la = 1; la <= MAX_LOOKAHEAD; la++) {
-          const nextCol = j + la;
-          if (nextCol >= row.c.length) break;
-          const nextCell = row.c[nextCol];
-          const nextVal = nextCell && (nextCell.v !== null && nextCell.v !== undefined) ? String(nextCell.v).trim() : '';
-          // If the next cell is empty, assume it's part of the merged lab
-          if (!nextVal) {
-            extra++;
-            continue;
-          }
-          break;
-        }
-        span = 1 + extra;
-      }
-
-      // Always add entries for the cell across its span.
-      // Instead of matching by raw column index (which can be unreliable
-      // when header cells are sparse or GViz collapses columns), map the
-      // span to consecutive entries in the `timeSlots` array starting from
-      // the first header at or after column `j`.
-      const startPos = timeSlots.findIndex(ts => ts.index >= j);
-      if (startPos !== -1) {
-        for (let s = 0; s < span; s++) {
-          const slotInfo = timeSlots[startPos + s];
-          if (!slotInfo) break;
-
-          classroom.schedule.push({
-            timeIndex: slotInfo.index,
-            time: slotInfo.time,
-            class: classInfo,
-            code: extractClassCode(classInfo)
-          });
-
-          const ccode = extractClassCode(classInfo);
-          if (ccode) classroom.classes.add(ccode);
-        }
-      }
-
-      if (span > 1) j += (span - 1);
-    }
-
-    classroom.classes = Array.from(classroom.classes).sort();
-    classrooms.push(classroom);
-  }
-
-  return { classrooms, timeSlots };
-}
-
-/**
- * Extract class code from a class string
- * E.g., "BCS-1G Database Systems" -> "BCS-1G"
- * E.g., "FE Lab BCS-1G Qurat ul Ain" -> "BCS-1G"
- * @param {string} classString - Full class description
- * @returns {string} Class code or empty string
- */
-function extractClassCode(classString) {
-  if (!classString) return '';
-  // Look for pattern: 2-4 uppercase letters, hyphen, 1-2 digits, optional letter
-  // Can appear anywhere in the string
-  const match = classString.match(/\b([A-Z]{2,4}-\d{1,2}[A-Z]?)\b/);
-  return match ? match[1] : '';
+function parseClassroomData(gvizData, grammar, layout) {
+  return parseSheet(gvizData, { grammar, layout });
 }
 
 /**
@@ -288,13 +96,23 @@ function searchClasses(classrooms, query) {
   
   const searchTerm = query.toLowerCase().trim();
   const resultsMap = {}; // key: classroom-classtext, value: array of slots
+
+  // For a shared cell report the section that was asked for, else the first one
+  const codeFor = (slot) => {
+    const codes = slot.codes || [];
+    return codes.find(c => c.toLowerCase() === searchTerm) ||
+      codes.find(c => c.toLowerCase().includes(searchTerm)) ||
+      slot.code;
+  };
   
   // First pass: collect all matching slots grouped by classroom and class text
   classrooms.forEach(classroom => {
     classroom.schedule.forEach((slot, slotIndex) => {
       // Search in class code and class title
+      // (combined cells like "BCS-3A-C" only spell out the first code, so check the full list)
       if (slot.class.toLowerCase().includes(searchTerm) ||
           slot.code.toLowerCase().includes(searchTerm) ||
+          (slot.codes || []).some(c => c.toLowerCase().includes(searchTerm)) ||
           classroom.name.toLowerCase().includes(searchTerm)) {
         
         const key = `${classroom.name}|${slot.class}`;
@@ -320,12 +138,14 @@ function searchClasses(classrooms, query) {
     if (!isLab) {
       // For non-lab classes: create a separate result for each slot
       slots.forEach(slot => {
+        const code = codeFor(slot);
         results.push({
           classroom: classroomName,
           class: classText,
-          code: slot.code,
+          code,
+          codes: slot.codes || (slot.code ? [slot.code] : []),
           time: slot.time,
-          description: `${slot.code} @ ${classroomName} at ${slot.time}`
+          description: `${code} @ ${classroomName} at ${slot.time}`
         });
       });
     } else {
@@ -359,12 +179,14 @@ function searchClasses(classrooms, query) {
           mergedTime = `${startPart}-${endPart}`;
         }
         
+        const code = codeFor(startSlot);
         results.push({
           classroom: classroomName,
           class: classText,
-          code: startSlot.code,
+          code,
+          codes: startSlot.codes || (startSlot.code ? [startSlot.code] : []),
           time: mergedTime,
-          description: `${startSlot.code} @ ${classroomName} at ${mergedTime}`
+          description: `${code} @ ${classroomName} at ${mergedTime}`
         });
         
         i = j;
@@ -392,6 +214,7 @@ function getAllClasses(classrooms) {
       if (slot.code) {
         classes.add(slot.code);
       }
+      (slot.codes || []).forEach(c => classes.add(c));
     });
   });
   
@@ -401,9 +224,10 @@ function getAllClasses(classrooms) {
 /**
  * Main function to fetch and parse complete day schedule
  * @param {number|string} dayId - Day ID (0=Monday, 1=Tuesday, etc.)
+ * @param {string} [campusId] - Campus from the registry (lib/campuses.js); defaults to the default campus
  * @returns {Promise<Object>} Complete schedule data for the day
  */
-async function getDaySchedule(dayId) {
+async function getDaySchedule(dayId, campusId) {
   try {
     // Validate day ID
     const day = parseInt(dayId);
@@ -411,16 +235,24 @@ async function getDaySchedule(dayId) {
       throw new Error(`Invalid day ID: ${dayId}. Must be 0-4 (Monday-Friday)`);
     }
     
+    const campus = getCampus(campusId);
+    if (!campus) {
+      throw new Error(`Unknown campus: ${campusId}`);
+    }
+
     const dayName = SHEET_CONFIG.DAYS[day];
-    const gid = SHEET_CONFIG.DAY_GIDS[dayName] || '0';
+    // fixture mode needs no sheet config at all
+    const { url, gid } = isFixtureMode() ? { url: null, gid: 'fixture' } : await getDaySource(campus.id, dayName);
     
-    console.log(`[getDaySchedule] Fetching ${dayName} (day=${day}, gid=${gid})`);
+    console.log(`[getDaySchedule] Fetching ${dayName} (campus=${campus.id}, day=${day}, gid=${gid})`);
     
     // Fetch data from Google Sheets
-    const gvizData = await fetchGVizData(gid);
+    const gvizData = await fetchGVizData(url, dayName);
     
     // Parse the data
-    const { classrooms, timeSlots } = parseClassroomData(gvizData);
+    const { classrooms, timeSlots } = parseClassroomData(gvizData, getCampusGrammar(campus), campus.layout);
+    // floor, type, projector etc. from the room metadata file (lib/rooms.js)
+    applyRoomMetadata(classrooms, campus.id);
 
     // Compile results
     const allClasses = getAllClasses(classrooms);
@@ -444,6 +276,7 @@ async function getDaySchedule(dayId) {
 
     return {
       success: true,
+      campus: campus.id,
       day: dayName,
       dayId: day,
       gid: gid,
@@ -471,6 +304,48 @@ async function getDaySchedule(dayId) {
   }
 }
 
+/**
+ * Parser report for one day tab (`action=diagnose`, see `diagnoseSheet`)
+ * Always fetches the sheet; nothing is cached.
+ * @param {number|string} dayId - Day ID (0=Monday ... 4=Friday)
+ * @param {string} [campusId] - Campus from the registry; defaults to the default campus
+ * @returns {Promise<Object>} { success, campus, day, gid, diagnostics }
+ */
+async function diagnoseDaySchedule(dayId, campusId) {
+  try {
+    const day = parseInt(dayId);
+    if (isNaN(day) || day < 0 || day > 4) {
+      throw new Error(`Invalid day ID: ${dayId}. Must be 0-4 (Monday-Friday)`);
+    }
+    const campus = getCampus(campusId);
+    if (!campus) {
+      throw new Error(`Unknown campus: ${campusId}`);
+    }
+
+    const dayName = SHEET_CONFIG.DAYS[day];
+    const { url, gid } = isFixtureMode() ? { url: null, gid: 'fixture' } : await getDaySource(campus.id, dayName);
+    const gvizData = await fetchGVizData(url, dayName);
+    const diagnostics = diagnoseSheet(gvizData, { grammar: getCampusGrammar(campus), layout: campus.layout });
+
+    return {
+      success: true,
+      campus: campus.id,
+      day: dayName,
+      dayId: day,
+      gid,
+      diagnostics,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('[diagnoseDaySchedule] Error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
 /**
  * Search classes across all days
  * @param {string} query - Search query
@@ -479,15 +354,16 @@ async function getDaySchedule(dayId) {
 /**
  * Search classes across days. If `day` is provided (0-4) search only that day.
  * If `day === 'all'` or omitted, search across the whole week.
+ * `campusId` picks the campus sheet (default campus when omitted).
  * Returns an object with results grouped by day name.
  */
-async function searchAcrossAllDays(query, day = null) {
+async function searchAcrossAllDays(query, day = null, campusId) {
   try {
     const allResults = {};
 
     // Helper to run search on a single day
     const runSearchForDay = async (d) => {
-      const result = await getDaySchedule(d);
+      const result = await getDaySchedule(d, campusId);
       if (result.success) {
         const dayName = result.day;
         const sourceClassrooms = result.data.classroomsDetailed || result.data.classrooms || [];
@@ -530,9 +406,13 @@ async function searchAcrossAllDays(query, day = null) {
 
 module.exports = {
   getDaySchedule,
+  diagnoseDaySchedule,
   searchAcrossAllDays,
   searchClasses,
   getAllClasses,
   parseClassroomData,
-  extractClassCode
+  parseGVizText,
+  extractClassCode,
+  extractClassCodes,
+  parseClassCell
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+"use strict";
+// In-memory snapshot history of parsed week schedules.
+// Every fresh week fetch is recorded here; when the sheet content differs
+// from the previous snapshot the structured diff is appended to a change log
+// so `/api/schedule?action=changes&since=<timestamp>` can tell students what
+// moved. Same caveat as `serverCache`: warm serverless instances keep this,
+// cold starts begin with an empty history. Like `serverCache`, each campus
+// has its own history (`namespace(campusId)`); top-level calls use 'default'.
+
+const crypto = require('crypto');
+const { diffWeeks, fingerprintWeek } = require('./scheduleDiff');
+
+const HISTORY_LIMIT = Number(process.env.SNAPSHOT_HISTORY_LIMIT) || 10;
+const CHANGE_LOG_LIMIT = Number(process.env.CHANGE_LOG_LIMIT) || 500;
+
+const stores = {};
+
+function _store(ns) {
+  const name = ns || 'default';
+  if (!stores[name]) {
+    stores[name] = {
+      snapshots: [], // [{ takenAt, hash, week }], oldest first
+      changes: []    // [{ detectedAt, ...change }], oldest first
+    };
+  }
+  return stores[name];
+}
+
+function _hash(week) {
+  return crypto.createHash('sha1').update(fingerprintWeek(week)).digest('hex');
+}
+
+/**
+ * Record a freshly fetched week. No-op when nothing changed since the last snapshot.
+ * @param {Object} week - Week data keyed by day name
+ * @param {number} [takenAt] - Timestamp in ms (defaults to now)
+ * @param {string} [ns] - Namespace (campus id)
+ * @returns {Array} Changes detected against the previous snapshot
+ */
+function record(week, takenAt = Date.now(), ns) {
+  const store = _store(ns);
+  if (!week || Object.keys(week).length === 0) return [];
+  const hash = _hash(week);
+  const latest = store.snapshots[store.snapshots.length - 1];
+  if (latest && latest.hash === hash) return [];
+
+  const changes = latest ? diffWeeks(latest.week, week) : [];
+  changes.forEach(c => store.changes.push(Object.assign({ detectedAt: takenAt }, c)));
+  if (store.changes.length > CHANGE_LOG_LIMIT) {
+    store.changes = store.changes.slice(store.changes.length - CHANGE_LOG_LIMIT);
+  }
+
+  store.snapshots.push({ takenAt, hash, week });
+  if (store.snapshots.length > HISTORY_LIMIT) {
+    store.snapshots = store.snapshots.slice(store.snapshots.length - HISTORY_LIMIT);
+  }
+  return changes;
+}
+
+function getChanges(since = 0, ns) {
+  return _store(ns).changes.filter(c => c.detectedAt > since);
+}
+
+function getLatest(ns) {
+  const store = _store(ns);
+  return store.snapshots[store.snapshots.length - 1] || null;
+}
+
+function getSnapshotTimes(ns) {
+  return _store(ns).snapshots.map(s => s.takenAt);
+}
+
+function clear(ns) {
+  delete stores[ns || 'default'];
+}
+
+// Same API bound to one namespace: snapshotStore.namespace('isb').getChanges(since)
+function namespace(ns) {
+  return {
+    record: (week, takenAt = Date.now()) => record(week, takenAt, ns),
+    getChanges: (since = 0) => getChanges(since, ns),
+    getLatest: () => getLatest(ns),
+    getSnapshotTimes: () => getSnapshotTimes(ns),
+    clear: () => clear(ns)
+  };
+}
+
+module.exports = {
+  record,
+  getChanges,
+  getLatest,
+  getSnapshotTimes,
+  clear,
+  namespace,
+  HISTORY_LIMIT
+};
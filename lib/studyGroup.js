@@ -0,0 +1,147 @@
+/**
+ * Study-group meeting finder
+ *
+ * Two to ten students each give either their section code(s) ("BCS-3A", or
+ * "BCS-5A, BSE-5B" for someone taking electives elsewhere) or a shared
+ * saved-class list, and this finds the windows in the week when all of them
+ * are free, with rooms free for each window. Group projects were being
+ * coordinated by comparing screenshots.
+ *
+ * A saved-class list is shared as plain text, one entry per saved class:
+ * "Mon 08:00-8:50; Wed 10:45-11:35" (`busyListFromSaved`), so it survives
+ * chat apps and can be typed by hand. A section is busy in a slot the same
+ * way `computeFreeRangesForDay` decides it (`isSlotOccupiedByQuery`); rooms
+ * come from `findFreeRooms`, so Reserved cells and bookings count.
+ */
+
+const { parseTimeRange, parseTimeToMinutes } = require('./timeUtils');
+const { isSlotOccupiedByQuery, freeRangesWhere, findFreeRooms } = require('./freeRooms');
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const MIN_MEMBERS = 2;
+const MAX_MEMBERS = 10;
+const ROOM_LIMIT = 5;
+
+const BUSY_ENTRY = /^(mon|tue|wed|thu|fri)[a-z]*\.?\s+(\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2})$/i;
+
+/**
+ * Saved classes as a shareable busy list ("Mon 08:00-8:50; Wed 10:45-11:35")
+ * @param {Array<{day: string, time: string}>} savedClasses - `tt_saved_classes` entries
+ * @returns {string} Sorted by day and time, duplicates dropped
+ */
+function busyListFromSaved(savedClasses) {
+  const seen = new Set();
+  return (savedClasses || [])
+    .filter(s => DAY_NAMES.includes(s.day) && parseTimeRange(s.time))
+    .sort((a, b) => DAY_NAMES.indexOf(a.day) - DAY_NAMES.indexOf(b.day) || parseTimeToMinutes(a.time) - parseTimeToMinutes(b.time))
+    .map(s => `${s.day.slice(0, 3)} ${String(s.time).replace(/\s+/g, '')}`)
+    .filter(entry => (seen.has(entry) ? false : seen.add(entry)))
+    .join('; ');
+}
+
+/**
+ * Read one member line: a busy list or section code(s)
+ * @param {string} text - "BCS-3A", "BCS-5A, BSE-5B" or "Mon 08:00-8:50; Wed 10:45-11:35"
+ * @returns {{label: string, codes: Array<string>, busy: Array<{day, time}>, invalid: Array<string>}|null} null for a blank line
+ */
+function parseMember(text) {
+  const line = String(text || '').trim();
+  if (!line) return null;
+
+  const entries = line.split(/[;\n]+/).map(e => e.trim()).filter(Boolean);
+  if (BUSY_ENTRY.test(entries[0])) {
+    const busy = [];
+    const invalid = [];
+    entries.forEach(entry => {
+      const m = entry.match(BUSY_ENTRY);
+      const day = m && DAY_NAMES.find(d => d.slice(0, 3).toLowerCase() === m[1].toLowerCase());
+      if (day && parseTimeRange(m[2].replace(/\s+/g, ''))) busy.push({ day, time: m[2].replace(/\s+/g, '') });
+      else invalid.push(entry);
+    });
+    return { label: `Saved list (${busy.length} classes)`, codes: [], busy, invalid };
+  }
+
+  const codes = Array.from(new Set(line.split(/[,\s]+/).map(c => c.trim().toUpperCase()).filter(Boolean)));
+  return { label: codes.join(', '), codes, busy: [], invalid: [] };
+}
+
+const timesOverlap = (a, b) => {
+  const ra = parseTimeRange(a);
+  const rb = parseTimeRange(b);
+  return !!(ra && rb && ra.start < rb.end && rb.start < ra.end);
+};
+
+function isMemberBusy(member, dayName, classrooms, slot) {
+  if (member.codes.some(code => isSlotOccupiedByQuery(classrooms, slot.index, code))) return true;
+  return member.busy.some(b => b.day === dayName && timesOverlap(b.time, slot.time));
+}
+
+// Whether any cell of the week mentions the code (to flag typos)
+function weekMentions(week, code) {
+  const q = code.toLowerCase();
+  return Object.values(week || {}).some(day => (day.classrooms || []).some(room => (room.schedule || []).some(s =>
+    String(s.class || '').toLowerCase().includes(q) || (s.codes || []).some(c => String(c).toLowerCase() === q)
+  )));
+}
+
+const slotEnd = (slot) => String(slot.time || '').split('-')[1]?.trim() || slot.time;
+
+/**
+ * Windows in the week when every member is free, with rooms free for them
+ * Rooms are the ones free for the whole window; for a window no room covers,
+ * the rooms free for its first `minSlots` slots are given (`roomsFor` says
+ * which part).
+ * @param {Object} week - `{ [dayName]: dayData }`
+ * @param {Array<string>} memberLines - One entry per student (see `parseMember`)
+ * @param {Object} [options]
+ * @param {number} [options.minSlots=1] - Shortest window worth listing, in slots
+ * @param {Object} [options.filters] - Room filters (see `filterRooms`)
+ * @returns {{members: Array, windows: Array<{day, start, end, slots, rooms, roomsFor}>}}
+ */
+function findStudyWindows(week, memberLines, { minSlots = 1, filters } = {}) {
+  const members = (memberLines || []).map(parseMember).filter(Boolean);
+  const windows = [];
+
+  DAY_NAMES.forEach(dayName => {
+    const dayData = week && week[dayName];
+    if (!dayData) return;
+    const classrooms = dayData.classrooms || [];
+    freeRangesWhere(dayData, slot => members.every(m => !isMemberBusy(m, dayName, classrooms, slot)))
+      .filter(r => r.slots.length >= minSlots)
+      .forEach(r => {
+        let roomsFor = { start: r.start, end: r.end };
+        let rooms = findFreeRooms(dayData, r.start, r.end, filters);
+        if (rooms.length === 0 && r.slots.length > minSlots) {
+          roomsFor = { start: r.start, end: slotEnd(r.slots[minSlots - 1]) };
+          rooms = findFreeRooms(dayData, roomsFor.start, roomsFor.end, filters);
+        }
+        windows.push({
+          day: dayName,
+          start: r.start,
+          end: r.end,
+          slots: r.slots.map(s => s.time),
+          rooms: rooms.slice(0, ROOM_LIMIT).map(({ schedule, ...room }) => room),
+          roomsFor
+        });
+      });
+  });
+
+  return {
+    members: members.map(m => ({
+      label: m.label,
+      codes: m.codes,
+      busy: m.busy,
+      unmatched: m.codes.filter(code => !weekMentions(week, code)),
+      invalid: m.invalid
+    })),
+    windows
+  };
+}
+
+module.exports = {
+  MIN_MEMBERS,
+  MAX_MEMBERS,
+  busyListFromSaved,
+  parseMember,
+  findStudyWindows
+};
@@ -0,0 +1,109 @@
+/**
+ * Teacher index
+ *
+ * The sheet has no instructor column — the name is written into the cell
+ * after the section code ("FE Lab BCS-1G Qurat ul Ain"). `parseClassCell`
+ * pulls it out per slot; this groups the week by instructor so a student can
+ * see a teacher's timetable and, between their classes, which room they were
+ * last in and where they go next.
+ */
+
+const { parseClassCell } = require('./sheets');
+const { parseTimeRange, formatMinutes, mergeLabRuns } = require('./timeUtils');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+// Names are typed by hand, so "Dr. Ali  Khan" and "dr. ali khan" are the same person
+function teacherKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// One day's slots for a teacher, merged into blocks (labs span several slots)
+function buildBlocks(slots) {
+  const sorted = slots.slice().sort((a, b) => a.start - b.start);
+  return mergeLabRuns(sorted, (first, s) => first.room === s.room && first.class === s.class)
+    .map(run => ({ ...run.items[0], end: run.end, time: `${formatMinutes(run.start)}-${formatMinutes(run.end)}` }));
+}
+
+/**
+ * Group a week's slots by instructor
+ * @param {Object} week - Week data keyed by day name (from `getWeekSchedule`)
+ * @returns {Array} Teachers sorted by name:
+ *   { name, key, codes, courses, totalMinutes,
+ *     days: { [dayName]: { classes: [{ time, start, end, room, title, codes, class }],
+ *                          gaps: [{ from, to, lastRoom, nextRoom }] } } }
+ */
+function buildTeacherIndex(week) {
+  const byKey = {};
+
+  DAYS.forEach(dayName => {
+    const dayData = week && week[dayName];
+    if (!dayData) return;
+    const classrooms = dayData.classroomsDetailed || dayData.classrooms || [];
+    classrooms.forEach(room => {
+      (room.schedule || []).forEach(slot => {
+        const text = String(slot.class || '').trim();
+        if (!text) return;
+        // older cached payloads predate the parsed fields
+        const parts = slot.instructor !== undefined ? slot : parseClassCell(text);
+        const key = teacherKey(parts.instructor);
+        if (!key) return;
+        const range = parseTimeRange(slot.time);
+        if (!range) return;
+
+        if (!byKey[key]) byKey[key] = { name: parts.instructor, key, slotsByDay: {} };
+        const entry = byKey[key];
+        if (!entry.slotsByDay[dayName]) entry.slotsByDay[dayName] = [];
+        entry.slotsByDay[dayName].push({
+          start: range.start,
+          end: range.end,
+          room: room.name,
+          title: parts.title || '',
+          codes: parts.codes || [],
+          class: text
+        });
+      });
+    });
+  });
+
+  return Object.values(byKey).map(entry => {
+    const days = {};
+    const codes = new Set();
+    const courses = new Set();
+    let totalMinutes = 0;
+
+    DAYS.forEach(dayName => {
+      const slots = entry.slotsByDay[dayName];
+      if (!slots) return;
+      const classes = buildBlocks(slots);
+      const gaps = [];
+      for (let i = 1; i < classes.length; i++) {
+        const prev = classes[i - 1];
+        const next = classes[i];
+        if (next.start > prev.end) {
+          gaps.push({ from: formatMinutes(prev.end), to: formatMinutes(next.start), lastRoom: prev.room, nextRoom: next.room });
+        }
+      }
+      classes.forEach(c => {
+        totalMinutes += c.end - c.start;
+        c.codes.forEach(code => codes.add(code));
+        if (c.title) courses.add(c.title);
+      });
+      days[dayName] = { classes, gaps };
+    });
+
+    return {
+      name: entry.name,
+      key: entry.key,
+      codes: Array.from(codes).sort(),
+      courses: Array.from(courses).sort(),
+      totalMinutes,
+      days
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  buildTeacherIndex,
+  teacherKey
+};
@@ -0,0 +1,114 @@
+/**
+ * Time helpers shared by the UI and the API
+ *
+ * The sheet writes slot times as loose strings such as "08:00-8:50" or
+ * "1:30-2:20" with no AM/PM marker. These helpers were living inside
+ * `StudentTimetable` — I moved them here so server routes (calendar export
+ * etc.) read the times exactly the way the UI does.
+ */
+
+/**
+ * Parse the start of a time string like "08:00-8:50" into minutes after midnight.
+ * Hours between 1 and 7 are treated as PM since no class starts that early.
+ * @param {string} timeStr - Time or time range string
+ * @returns {number} Minutes after midnight, or 0 when unparseable
+ */
+function parseTimeToMinutes(timeStr) {
+  if (!timeStr) return 0;
+  const match = String(timeStr).trim().match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return 0;
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours >= 1 && hours < 8) hours += 12; // likely PM
+  return hours * 60 + minutes;
+}
+
+/**
+ * Split a slot time like "08:00-8:50" into its start and end strings
+ * @param {string} timeStr - Time range string
+ * @returns {{start: (string|null), end: (string|null)}}
+ */
+function parseStartEnd(timeStr) {
+  if (!timeStr) return { start: null, end: null };
+  const parts = String(timeStr).split('-').map(s => s.trim());
+  return { start: parts[0] || null, end: parts[1] || null };
+}
+
+/**
+ * Parse a time range into start/end minutes
+ * @param {string} timeStr - Time range string like "08:00-10:40"
+ * @returns {{start: number, end: number}|null} null when either side is missing
+ */
+function parseTimeRange(timeStr) {
+  const { start, end } = parseStartEnd(timeStr);
+  if (!start || !end) return null;
+  const s = parseTimeToMinutes(start);
+  const e = parseTimeToMinutes(end);
+  if (!s || !e || e <= s) return null;
+  return { start: s, end: e };
+}
+
+/**
+ * Format minutes after midnight as a 24h "HH:MM" string
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  const pad = (n) => (n < 10 ? '0' + n : '' + n);
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// Slots closer than this (the short breaks between periods) belong to the
+// same lab / block
+const LAB_MERGE_GAP_MINUTES = 15;
+
+/**
+ * Merge consecutive items into runs, the way a lab spans several slots: an
+ * item joins the current run when `sameRun(firstOfRun, item)` holds and it
+ * starts no more than LAB_MERGE_GAP_MINUTES after the run ends. Items must
+ * already be in order (by start, within whatever grouping the caller uses).
+ * @param {Array<{start: number, end: number}>} items - Times in minutes
+ * @param {function(Object, Object): boolean} [sameRun] - Whether an item may continue a run
+ * @returns {Array<{start: number, end: number, items: Array}>}
+ */
+function mergeLabRuns(items, sameRun = () => true) {
+  const runs = [];
+  (items || []).forEach(item => {
+    const run = runs[runs.length - 1];
+    if (run && sameRun(run.items[0], item) && item.start >= run.start && item.start - run.end <= LAB_MERGE_GAP_MINUTES) {
+      run.end = Math.max(run.end, item.end);
+      run.items.push(item);
+      return;
+    }
+    runs.push({ start: item.start, end: item.end, items: [item] });
+  });
+  return runs;
+}
+
+/**
+ * Pick the slot running at the given time, or the next one to start
+ * @param {Array<string>} slots - Slot time strings like "08:00-8:50"
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @returns {string|null} null when the day's last slot has already ended
+ */
+function findCurrentSlot(slots, now = new Date()) {
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  let next = null;
+  for (const slot of slots || []) {
+    const range = parseTimeRange(slot);
+    if (!range) continue;
+    if (range.start <= nowMinutes && nowMinutes < range.end) return slot;
+    if (range.start > nowMinutes && (!next || range.start < next.start)) next = { slot, start: range.start };
+  }
+  return next ? next.slot : null;
+}
+
+module.exports = {
+  parseTimeToMinutes,
+  parseStartEnd,
+  parseTimeRange,
+  formatMinutes,
+  findCurrentSlot,
+  LAB_MERGE_GAP_MINUTES,
+  mergeLabRuns
+};
@@ -0,0 +1,77 @@
+/**
+ * Query-string view state for StudentTimetable
+ *
+ * Keeps the shareable part of the UI in the URL so a link like
+ * `/?tab=search&q=BCS-5B&day=3` or `/?tab=schedule&slot=10:00-10:50` opens
+ * the same view. Only `tab`, `q`, `day` and `slot` are used; what `q` and
+ * `day` mean depends on the tab (see StudentTimetable's view mapping).
+ */
+
+const TABS = ['schedule', 'search', 'saved', 'planner', 'now', 'teachers', 'group'];
+const DEFAULT_TAB = 'search';
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Parse a `day` param
+ * @param {string} value - "0"-"4", "today" or "all"
+ * @param {number} today - Day index `today` resolves to
+ * @returns {number|'all'|undefined} undefined when missing or invalid
+ */
+function parseDay(value, today) {
+  if (value === 'all') return 'all';
+  if (value === 'today') return today;
+  if (/^[0-4]$/.test(value || '')) return Number(value);
+  return undefined;
+}
+
+/**
+ * Read the view from a query object (e.g. `router.query`)
+ * @param {Object} query - Query params
+ * @param {Object} [options] - { today: day index used for `day=today` }
+ * @returns {{tab: string, q: string, day: (number|'all'|undefined), slot: (string|undefined)}}
+ */
+function parseViewParams(query, { today = 0 } = {}) {
+  const q = query || {};
+  const tab = firstValue(q.tab);
+  const slot = firstValue(q.slot);
+  return {
+    tab: TABS.includes(tab) ? tab : DEFAULT_TAB,
+    q: String(firstValue(q.q) || '').trim(),
+    day: parseDay(firstValue(q.day), today),
+    slot: slot ? String(slot) : undefined
+  };
+}
+
+/**
+ * Build the query object for a view, leaving out defaults so the home view stays at "/"
+ * @param {Object} view - { tab, q, day, slot }
+ * @returns {Object} Query params in a stable order
+ */
+function buildViewQuery(view) {
+  const query = {};
+  if (view.tab && view.tab !== DEFAULT_TAB) query.tab = view.tab;
+  if (view.q) query.q = view.q;
+  if (view.day !== undefined && view.day !== null) query.day = String(view.day);
+  if (view.slot) query.slot = view.slot;
+  return query;
+}
+
+/**
+ * Canonical string for a query object, used to tell our own URL updates from back/forward
+ * @param {Object} query - Query params
+ * @returns {string}
+ */
+function toQueryString(query) {
+  return new URLSearchParams(query).toString();
+}
+
+module.exports = {
+  TABS,
+  DEFAULT_TAB,
+  parseViewParams,
+  buildViewQuery,
+  toQueryString
+};
@@ -0,0 +1,63 @@
+/**
+ * Full-week loader
+ *
+ * Several routes need all five days at once (the `fetch&day=all` action,
+ * calendar export). This wraps `getDaySchedule` for Monday-Friday and goes
+ * through the same `serverCache` week entry so they share one sheet fetch.
+ * Fresh fetches are also recorded in `snapshotStore` for change detection.
+ * Both are namespaced by campus, so each campus sheet has its own entry.
+ * Approved room bookings (lib/bookings.js) are laid over the week on the way
+ * out; the cache and the snapshots keep the sheet as it is.
+ */
+
+const { getDaySchedule } = require('./sheets');
+const { getCampus } = require('./campuses');
+const serverCache = require('./serverCache');
+const snapshotStore = require('./snapshotStore');
+const bookingStore = require('./bookingStore');
+const { overlayBookings } = require('./bookings');
+
+/**
+ * Week data with the campus's approved bookings of the coming week as "Reserved" cells
+ * @param {Object} week - `{ [dayName]: dayData }` (not modified)
+ * @param {string} campusId - Campus id
+ * @returns {Object}
+ */
+function withBookings(week, campusId) {
+  return overlayBookings(week, bookingStore.list({ campus: campusId, status: 'approved' }));
+}
+
+/**
+ * Get parsed schedule data for the whole week, keyed by day name
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Skip the cache and refetch from the sheet
+ * @param {string} [options.campus] - Campus id (default campus when omitted)
+ * @param {boolean} [options.bookings=true] - Lay approved bookings over the week
+ * @returns {Promise<{week: Object, cached: boolean, changes?: Array}>} `changes` lists what
+ *   differs from the previous snapshot (only present on a fresh fetch)
+ */
+async function getWeekSchedule({ fresh = false, campus, bookings = true } = {}) {
+  const entry = getCampus(campus);
+  if (!entry) throw new Error(`Unknown campus: ${campus}`);
+  const cache = serverCache.namespace(entry.id);
+
+  if (!fresh && cache.isValid('week')) {
+    const week = cache.get('week');
+    return { week: bookings ? withBookings(week, entry.id) : week, cached: true };
+  }
+
+  const week = {};
+  for (let d = 0; d < 5; d++) {
+    const r = await getDaySchedule(d, entry.id);
+    if (r.success) week[r.day] = r.data;
+  }
+  cache.set('week', 'all', week);
+  // Keep a snapshot for change detection; partial weeks (a day failed) would look like mass cancellations
+  const changes = Object.keys(week).length === 5 ? snapshotStore.namespace(entry.id).record(week) : [];
+  return { week: bookings ? withBookings(week, entry.id) : week, cached: false, changes };
+}
+
+module.exports = {
+  getWeekSchedule,
+  withBookings
+};
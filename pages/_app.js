@@ -1,5 +1,5 @@
 import '../styles/globals.css'
-import React from 'react'
+import React, { useEffect } from 'react'
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -31,6 +31,25 @@ class ErrorBoundary extends React.Component {
 
 export default function App({ Component, pageProps }) {
   console.log('[_app.js] App mounted, Component:', Component.name);
+
+  // Service worker precaches the app shell for offline visits. Skipped in dev
+  // because dev chunks are not content-hashed and would be served stale.
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js')
+      .then(() => navigator.serviceWorker.ready)
+      .then(registration => {
+        // chunks of this visit were fetched before the worker was in control; hand them over for caching
+        const urls = performance.getEntriesByType('resource')
+          .map(entry => entry.name)
+          .filter(url => url.startsWith(`${window.location.origin}/_next/static/`));
+        if (registration.active && urls.length > 0) registration.active.postMessage({ type: 'CACHE_URLS', urls });
+      })
+      .catch(err => {
+        console.warn('[_app.js] Service worker registration failed:', err);
+      });
+  }, []);
+
   return (
     <ErrorBoundary>
       <Component {...pageProps} />
@@ -0,0 +1,63 @@
+"use strict";
+// One room booking.
+// GET    -> status of a booking (anyone with its id; no requester details)
+// POST   -> moderators only (x-tt-secret; 503 until CLEAR_CACHE_SECRET is set): { action: 'approve' | 'reject', note? }.
+//           Approving re-checks the room against the sheet and the other
+//           approved bookings; approved bookings show as "Reserved" cells.
+// DELETE -> moderators only: drop the booking (frees the room again)
+
+const { getWeekSchedule } = require('../../../lib/weekSchedule');
+const { checkBookingSlot, publicBooking } = require('../../../lib/bookings');
+const bookingStore = require('../../../lib/bookingStore');
+const { adminSecretError } = require('../../../lib/adminSecret');
+
+export default async function handler(req, res) {
+  const booking = bookingStore.get(String(req.query.id || ''));
+
+  if (req.method === 'GET') {
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+    return res.status(200).json({ success: true, booking: publicBooking(booking) });
+  }
+
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    return res.status(405).json({ success: false, error: 'Method not allowed. Use GET, POST or DELETE.' });
+  }
+  const denied = adminSecretError(req, 'bookings');
+  if (denied) {
+    return res.status(denied.status).json({ success: false, error: denied.error });
+  }
+  if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+
+  if (req.method === 'DELETE') {
+    bookingStore.remove(booking.id);
+    console.log(`[bookings] Removed ${booking.id}`);
+    return res.status(200).json({ success: true, removed: true });
+  }
+
+  const body = (req.body && typeof req.body === 'object') ? req.body : {};
+  const note = typeof body.note === 'string' ? body.note.trim().slice(0, 200) : '';
+
+  try {
+    if (body.action === 'reject') {
+      const updated = bookingStore.setStatus(booking.id, 'rejected', note);
+      return res.status(200).json({ success: true, booking: updated });
+    }
+    if (body.action !== 'approve') {
+      return res.status(400).json({ success: false, error: "Missing or invalid action ('approve' or 'reject')" });
+    }
+
+    // the sheet or another approval may have taken the room since the request came in
+    const { week } = await getWeekSchedule({ campus: booking.campus, bookings: false });
+    const approved = bookingStore.list({ campus: booking.campus, status: 'approved' });
+    const slot = checkBookingSlot(booking, week[booking.day], approved);
+    if (slot.error) {
+      return res.status(409).json({ success: false, error: slot.error });
+    }
+    const updated = bookingStore.setStatus(booking.id, 'approved', note);
+    console.log(`[bookings] Approved ${booking.id}: ${booking.room} ${booking.date} ${booking.start}-${booking.end}`);
+    return res.status(200).json({ success: true, booking: updated });
+  } catch (error) {
+    console.error('[api/bookings] Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
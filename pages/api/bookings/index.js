@@ -0,0 +1,64 @@
+"use strict";
+// Room booking requests (lib/bookings.js).
+// POST -> { room, date, start, end, purpose, requester, contact? } ask for a
+//         room the finder shows as free; stored as `pending` until a
+//         moderator decides (/api/bookings/<id>). Keep the returned id to
+//         check the status.
+// GET  -> moderators only (x-tt-secret = CLEAR_CACHE_SECRET; unlike
+//         /api/clear-cache there is no open mode, 503 until it is set):
+//         every booking with requester details;
+//         `status=pending|approved|rejected` narrows the list.
+// Both take `campus=<id>` (query or body); default campus when omitted.
+
+const { getWeekSchedule } = require('../../../lib/weekSchedule');
+const { getCampus } = require('../../../lib/campuses');
+const { validateBookingRequest, checkBookingSlot, publicBooking, BOOKING_STATUSES } = require('../../../lib/bookings');
+const bookingStore = require('../../../lib/bookingStore');
+const { adminSecretError } = require('../../../lib/adminSecret');
+
+export default async function handler(req, res) {
+  const body = (req.body && typeof req.body === 'object') ? req.body : {};
+  const campusId = req.query.campus || body.campus;
+  const campus = getCampus(campusId);
+  if (!campus) {
+    return res.status(400).json({ success: false, error: `Unknown campus: ${campusId}` });
+  }
+
+  if (req.method === 'GET') {
+    const denied = adminSecretError(req, 'bookings');
+    if (denied) {
+      return res.status(denied.status).json({ success: false, error: denied.error });
+    }
+    const status = req.query.status ? String(req.query.status) : undefined;
+    if (status && !BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Invalid status (${BOOKING_STATUSES.join(', ')})` });
+    }
+    const bookings = bookingStore.list({ campus: campus.id, status });
+    return res.status(200).json({ success: true, campus: campus.id, bookings, count: bookings.length, timestamp: new Date().toISOString() });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed. Use GET or POST.' });
+  }
+
+  const request = validateBookingRequest(body);
+  if (request.error) {
+    return res.status(400).json({ success: false, error: request.error });
+  }
+
+  try {
+    // checked against the sheet itself, not the week with bookings laid over it
+    const { week } = await getWeekSchedule({ campus: campus.id, bookings: false });
+    const approved = bookingStore.list({ campus: campus.id, status: 'approved' });
+    const slot = checkBookingSlot(request.value, week[request.value.day], approved);
+    if (slot.error) {
+      return res.status(409).json({ success: false, error: slot.error });
+    }
+    const booking = bookingStore.create(Object.assign({}, request.value, { campus: campus.id, room: slot.room, slots: slot.slots }));
+    console.log(`[bookings] New request ${booking.id}: ${booking.room} ${booking.date} ${booking.start}-${booking.end}`);
+    return res.status(201).json({ success: true, booking: publicBooking(booking) });
+  } catch (error) {
+    console.error('[api/bookings] Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Subscribable calendar feed per section code
+ *
+ * `/api/calendar/BCS-3A.ics` is rebuilt on the fly from the week schedule
+ * (all five days via `getDaySchedule`, shared with the `serverCache` week
+ * entry), so calendar apps that subscribe pick up sheet changes on their
+ * next poll. Slots are matched on their extracted class code exactly like
+ * the watchlist sync in the UI does.
+ *
+ * `?campus=<id>` subscribes to another campus's sheet (codes are checked
+ * against that campus's grammar).
+ *
+ * Calendar clients poll aggressively, so the response carries an ETag and
+ * Last-Modified and answers conditional requests with 304.
+ */
+
+import { extractClassCode } from '../../../lib/sheets';
+import { eventsFromCodes, buildICS, feedVersion, isNotModified } from '../../../lib/calendar';
+import { getWeekSchedule } from '../../../lib/weekSchedule';
+import { getCampus, getCampusGrammar } from '../../../lib/campuses';
+const serverCache = require('../../../lib/serverCache');
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ success: false, error: 'Method not allowed. Use GET.' });
+  }
+
+  const raw = String(req.query.code || '').replace(/\.ics$/i, '').trim().toUpperCase();
+  const campus = getCampus(req.query.campus);
+  if (!campus) {
+    return res.status(400).json({ success: false, error: `Unknown campus: ${req.query.campus}` });
+  }
+  const code = extractClassCode(raw, getCampusGrammar(campus));
+  if (!code || code !== raw) {
+    return res.status(400).json({ success: false, error: `Invalid section code: ${raw || '(empty)'}` });
+  }
+
+  try {
+    const { week } = await getWeekSchedule({ campus: campus.id });
+    const events = eventsFromCodes(week, [code]);
+
+    const { etag, lastModified } = feedVersion(`${campus.id}:${code}`, events);
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+    res.setHeader('Cache-Control', `public, max-age=${Math.round(serverCache.CACHE_TTL_MS / 1000)}`);
+
+    if (isNotModified(req.headers, { etag, lastModified })) {
+      return res.status(304).end();
+    }
+
+    // Use the last change time as DTSTAMP so the body stays identical for a given ETag
+    const ics = buildICS(events, { name: `${code} Timetable`, now: lastModified });
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${code}.ics"`);
+    if (req.method === 'HEAD') return res.status(200).end();
+    return res.status(200).send(ics);
+  } catch (error) {
+    console.error('[calendar] Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -1,33 +1,60 @@
 "use strict";
 // Secure endpoint to clear the server-side in-memory cache.
 // Intended to be called by a Google Apps Script webhook when the sheet updates.
+// Since this is the moment we know the sheet changed, it also refetches the
+// week, diffs it against the week the previous webhook run notified about
+// (`pushNotifier.changesSinceNotified`) and pushes notifications to
+// subscribers watching an affected class code.
+// `?campus=<id>` (the webhook of that campus's sheet) clears and refetches
+// only that campus; without it every campus cache is cleared and the default
+// campus is refetched.
 
 const serverCache = require('../../lib/serverCache');
+const { getWeekSchedule } = require('../../lib/weekSchedule');
+const { getCampus } = require('../../lib/campuses');
+const snapshotStore = require('../../lib/snapshotStore');
+const { clearSheetConfigCache } = require('../../lib/sheetConfig');
+const pushNotifier = require('../../lib/pushNotifier');
+const { hasAdminSecret } = require('../../lib/adminSecret');
 
-export default function handler(req, res) {
+export default async function handler(req, res) {
   // Only allow POST for safety
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, error: 'Method not allowed. Use POST.' });
   }
 
-  const secret = process.env.CLEAR_CACHE_SECRET || null;
-  const provided = req.headers['x-tt-secret'] || req.headers['x-tt-secret'.toLowerCase()];
+  if (!hasAdminSecret(req, 'clear-cache')) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
 
-  if (secret) {
-    if (!provided || provided !== secret) {
-      console.warn('[clear-cache] Unauthorized attempt to clear cache');
-      return res.status(401).json({ success: false, error: 'Unauthorized' });
-    }
-  } else {
-    console.warn('[clear-cache] CLEAR_CACHE_SECRET not set — allowing clear-cache without secret');
+  const campus = getCampus(req.query.campus);
+  if (!campus) {
+    return res.status(400).json({ success: false, error: `Unknown campus: ${req.query.campus}` });
   }
 
   try {
-    serverCache.clearAll();
-    console.log('[clear-cache] Cleared server cache via API');
-    return res.status(200).json({ success: true, message: 'Cache cleared' });
+    if (req.query.campus) serverCache.clear(campus.id);
+    else serverCache.clearAll();
+    // a repointed day tab in SHEET_CONFIG_URL should apply to the refetch below
+    clearSheetConfigCache();
+    console.log(`[clear-cache] Cleared server cache via API (${req.query.campus ? campus.id : 'all campuses'})`);
   } catch (err) {
     console.error('[clear-cache] Error clearing cache', err);
     return res.status(500).json({ success: false, error: 'Failed to clear cache' });
   }
+
+  // Cache is already cleared; a failure below must not turn this into an error for the webhook
+  let changes = [];
+  let push = null;
+  try {
+    const before = snapshotStore.namespace(campus.id).getLatest();
+    const fresh = await getWeekSchedule({ fresh: true, campus: campus.id, bookings: false });
+    changes = pushNotifier.changesSinceNotified(campus.id, fresh.week, before && before.week);
+    push = await pushNotifier.notifyWatchers(changes, campus.id);
+    if (changes.length > 0) console.log(`[clear-cache] ${changes.length} change(s) detected, push:`, push);
+  } catch (err) {
+    console.error('[clear-cache] Error computing changes / sending push', err);
+  }
+
+  return res.status(200).json({ success: true, message: 'Cache cleared', campus: campus.id, changes: changes.length, push });
 }
@@ -0,0 +1,27 @@
+/**
+ * Sheet config endpoint
+ *
+ * Shows the sheet config the server resolves day tabs with: the
+ * `{ <campus>: { name, url, codes: [{ name, gid }] } }` config generated
+ * from the campus registry (SHEET_ID / SHEET_DAY_GIDS / CAMPUSES), i.e. the
+ * same shape `SHEET_CONFIG_URL` and `public/demo-config.json` use. It never
+ * includes the SHEET_CONFIG_URL overrides so pointing SHEET_CONFIG_URL at this
+ * route can't loop.
+ *
+ * Sheet ids are kept out of every public response (see `listCampuses`), so
+ * this is maintainer-only: CLEAR_CACHE_SECRET in `x-tt-secret`, and closed
+ * (503) while no secret is set.
+ */
+
+import { buildConfigFromRegistry } from '../../lib/sheetConfig';
+import { adminSecretError } from '../../lib/adminSecret';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ success: false, error: 'Method not allowed. Use GET.' });
+  }
+  const denied = adminSecretError(req, 'config');
+  if (denied) return res.status(denied.status).json({ success: false, error: denied.error });
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).json(buildConfigFromRegistry());
+}
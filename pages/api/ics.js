@@ -0,0 +1,60 @@
+/**
+ * API route for iCalendar export
+ *
+ * Returns a weekly recurring .ics calendar for the student's saved classes
+ * and/or watched class codes so it can be imported into Google/Outlook.
+ *
+ * - POST { saved: [...tt_saved_classes], codes: ['BCS-3A'] }
+ * - GET  /api/ics?codes=BCS-3A,BCS-3B
+ * - `campus` (body or query) picks the campus sheet codes are resolved against
+ *
+ * Codes are resolved against the cached week data; saved entries are used
+ * as stored (they already carry day/time/room).
+ */
+
+import { eventsFromSaved, eventsFromCodes, buildICS } from '../../lib/calendar';
+import { getWeekSchedule } from '../../lib/weekSchedule';
+import { getCampus } from '../../lib/campuses';
+
+function parseCodes(raw) {
+  if (!raw) return [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(',');
+  return list.map(c => String(c).trim().toUpperCase()).filter(Boolean);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed. Use GET or POST.' });
+  }
+
+  const body = (req.method === 'POST' && req.body && typeof req.body === 'object') ? req.body : {};
+  const saved = Array.isArray(body.saved) ? body.saved : [];
+  const codes = parseCodes(body.codes || req.query.codes);
+  const campus = getCampus(body.campus || req.query.campus);
+
+  if (!campus) {
+    return res.status(400).json({ success: false, error: `Unknown campus: ${body.campus || req.query.campus}` });
+  }
+
+  if (saved.length === 0 && codes.length === 0) {
+    return res.status(400).json({ success: false, error: 'Provide saved classes (POST body) or a list of codes' });
+  }
+
+  try {
+    let events = eventsFromSaved(saved);
+    if (codes.length > 0) {
+      const { week } = await getWeekSchedule({ campus: campus.id });
+      events = events.concat(eventsFromCodes(week, codes));
+    }
+
+    const name = codes.length === 1 && saved.length === 0 ? `${codes[0]} Timetable` : 'My FAST Timetable';
+    const ics = buildICS(events, { name });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="timetable.ics"');
+    return res.status(200).send(ics);
+  } catch (error) {
+    console.error('[ics] Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
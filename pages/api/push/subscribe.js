@@ -0,0 +1,45 @@
+"use strict";
+// Web Push subscription endpoint.
+// GET    -> VAPID public key the browser needs for `pushManager.subscribe`
+// POST   -> { subscription, codes } store/refresh a subscription and its watched
+//           codes; `?campus=<id>` says which campus's sheet they are in
+// DELETE -> { endpoint } drop a subscription
+
+const pushStore = require('../../../lib/pushStore');
+const pushNotifier = require('../../../lib/pushNotifier');
+const { getCampus } = require('../../../lib/campuses');
+
+export default function handler(req, res) {
+  if (req.method === 'GET') {
+    const { publicKey } = pushNotifier.getVapidConfig();
+    if (!publicKey) {
+      return res.status(503).json({ success: false, error: 'Push notifications are not configured on this server' });
+    }
+    return res.status(200).json({ success: true, publicKey });
+  }
+
+  const body = (req.body && typeof req.body === 'object') ? req.body : {};
+
+  if (req.method === 'POST') {
+    if (!pushStore.isValidSubscription(body.subscription)) {
+      return res.status(400).json({ success: false, error: 'Invalid push subscription' });
+    }
+    const campus = getCampus(req.query.campus);
+    if (!campus) {
+      return res.status(400).json({ success: false, error: `Unknown campus: ${req.query.campus}` });
+    }
+    const codes = Array.isArray(body.codes) ? body.codes : [];
+    const entry = pushStore.upsert(body.subscription, codes, campus.id);
+    return res.status(200).json({ success: true, codes: entry.codes, campus: entry.campus });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!body.endpoint) {
+      return res.status(400).json({ success: false, error: 'Missing endpoint' });
+    }
+    const removed = pushStore.remove(body.endpoint);
+    return res.status(200).json({ success: true, removed });
+  }
+
+  return res.status(405).json({ success: false, error: 'Method not allowed. Use GET, POST or DELETE.' });
+}
@@ -0,0 +1,45 @@
+/**
+ * One room
+ *
+ * `/api/rooms/E-31` (room id or the full sheet name, URL-encoded) returns the
+ * room's attributes from the directory plus its week: every slot of every day
+ * with the class in it, or `free: true`. Takes `campus=<id>`.
+ */
+
+import { getWeekSchedule } from '../../../lib/weekSchedule';
+import { getCampus } from '../../../lib/campuses';
+import { buildRoomDirectory, findRoom } from '../../../lib/rooms';
+import { isOccupiedEntry } from '../../../lib/freeRooms';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ success: false, error: 'Method not allowed. Use GET.' });
+  }
+
+  const campus = getCampus(req.query.campus);
+  if (!campus) {
+    return res.status(400).json({ success: false, error: `Unknown campus: ${req.query.campus}` });
+  }
+
+  try {
+    const { week, cached } = await getWeekSchedule({ campus: campus.id });
+    const room = findRoom(buildRoomDirectory(week, campus.id), req.query.name);
+    if (!room) {
+      return res.status(404).json({ success: false, error: `Unknown room: ${req.query.name}` });
+    }
+
+    const schedule = {};
+    Object.entries(week).forEach(([dayName, day]) => {
+      const entry = (day.classrooms || []).find(c => c.name === room.name);
+      schedule[dayName] = (entry ? entry.schedule : []).map(s => {
+        const busy = isOccupiedEntry(s);
+        return { timeIndex: s.timeIndex, time: s.time, free: !busy, class: busy ? s.class : null, codes: busy ? (s.codes || []) : [] };
+      });
+    });
+
+    return res.status(200).json({ success: true, campus: campus.id, room, schedule, cached, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[api/rooms] Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
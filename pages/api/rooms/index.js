@@ -0,0 +1,43 @@
+/**
+ * Room directory
+ *
+ * `/api/rooms` lists every room of a campus with its attributes: capacity and
+ * block scraped from the sheet name, overridden/extended by the room
+ * metadata file (floor, type, projector, AC; see lib/rooms.js), plus how many
+ * of the week's slots it is busy. Rooms only in the metadata file are listed
+ * with `inSheet: false`.
+ *
+ * Optional filters: `type=lecture|lab|hall`, `block=<block>`, `floor=<floor>`,
+ * `minCapacity=<n>` (same rules as the free-room finder, lib/freeRooms.js;
+ * with a minimum capacity the best fit comes first). Takes `campus=<id>` like
+ * the schedule API.
+ */
+
+import { getWeekSchedule } from '../../../lib/weekSchedule';
+import { getCampus } from '../../../lib/campuses';
+import { buildRoomDirectory } from '../../../lib/rooms';
+import { filterRooms, sortRoomsByFit, roomFiltersFromQuery } from '../../../lib/freeRooms';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ success: false, error: 'Method not allowed. Use GET.' });
+  }
+
+  const campus = getCampus(req.query.campus);
+  if (!campus) {
+    return res.status(400).json({ success: false, error: `Unknown campus: ${req.query.campus}` });
+  }
+
+  try {
+    const { week, cached } = await getWeekSchedule({ campus: campus.id });
+    let rooms = buildRoomDirectory(week, campus.id);
+
+    const filters = roomFiltersFromQuery(req.query);
+    rooms = sortRoomsByFit(filterRooms(rooms, filters), filters.minCapacity);
+
+    return res.status(200).json({ success: true, campus: campus.id, rooms, count: rooms.length, cached, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[api/rooms] Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
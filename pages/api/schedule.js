@@ -4,14 +4,32 @@
  * I implemented this endpoint to return parsed schedule data and to support
  * search across days. It uses helpers from `lib/sheets.js` to fetch and
  * structure the data. The endpoint accepts `action` queries: `fetch`,
- * `search`, and `days`.
+ * `search`, `days`, `plan` (semester planner), `changes` (sheet diff history),
+ * `teachers` (instructor index parsed from cell text), `courses` (catalog),
+ * `campuses` (registry for the campus switcher), `free` / `freeRanges`
+ * (free rooms for a time range and free ranges of a room or class, computed
+ * here with the same lib/freeRooms code the browser runs), `studyGroup`
+ * (windows when several students are all free, lib/studyGroup.js) and `diagnose`
+ * (parser report for sheet maintainers, needs the clear-cache secret). Every action takes
+ * `campus=<id>` (lib/campuses.js); without it the default campus is used.
  * 
  * Cache: Responses from Google Sheets are cached for 30 seconds to speed up
  * repeated searches and schedule fetches. Cache is invalidated after TTL.
+ * Each campus has its own cache namespace.
  */
 
-import { getDaySchedule, searchAcrossAllDays } from '../../lib/sheets';
+import { getDaySchedule, diagnoseDaySchedule, searchAcrossAllDays } from '../../lib/sheets';
+import { getWeekSchedule, withBookings } from '../../lib/weekSchedule';
+import { planSemester, PLANNER_CONFIG } from '../../lib/planner';
+import { buildTeacherIndex, teacherKey } from '../../lib/teachers';
+import { buildCourseCatalog, filterCatalog } from '../../lib/catalog';
+import { getCampus, listCampuses } from '../../lib/campuses';
+import { parseTimeRange } from '../../lib/timeUtils';
+import { findStudyWindows, MIN_MEMBERS, MAX_MEMBERS } from '../../lib/studyGroup';
+import { findFreeRooms, slotsInRange, matchRoom, computeFreeRangesForRoom, findFreeScheduleForQuery, roomFiltersFromQuery, roomInfo } from '../../lib/freeRooms';
 const serverCache = require('../../lib/serverCache');
+const snapshotStore = require('../../lib/snapshotStore');
+const { hasAdminSecret } = require('../../lib/adminSecret');
 
 function getCacheKey(action, params) {
   if (action === 'search') {
@@ -20,6 +38,14 @@ function getCacheKey(action, params) {
   return String(params.day);
 }
 
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+// Single-day result with approved bookings laid over it (the cache keeps the sheet as-is)
+function dayWithBookings(result, campusId) {
+  if (!result.success || !result.data) return result;
+  return { ...result, data: withBookings({ [result.day]: result.data }, campusId)[result.day] };
+}
+
 function normalizeDayParam(dayParam) {
   if (dayParam === undefined || dayParam === null) return undefined;
   const s = String(dayParam).toLowerCase();
@@ -42,6 +68,17 @@ export default async function handler(req, res) {
   const rawDay = req.query.day;
   const query = req.query.query;
 
+  if (action === 'campuses') {
+    return res.status(200).json({ success: true, campuses: listCampuses() });
+  }
+
+  const campus = getCampus(req.query.campus);
+  if (!campus) {
+    return res.status(400).json({ success: false, error: `Unknown campus: ${req.query.campus}` });
+  }
+  const cache = serverCache.namespace(campus.id);
+  const snapshots = snapshotStore.namespace(campus.id);
+
   try {
     if (action === 'fetch') {
       const dayParam = normalizeDayParam(rawDay);
@@ -50,34 +87,24 @@ export default async function handler(req, res) {
       }
 
       if (dayParam === 'all') {
-        // Check cache first
-        if (serverCache.isValid('week')) {
-          return res.status(200).json({ success: true, week: serverCache.get('week'), cached: true, timestamp: new Date().toISOString() });
-        }
-
-        // return the full week schedules grouped by day
-        const week = {};
-        for (let d = 0; d < 5; d++) {
-          const r = await getDaySchedule(d);
-          if (r.success) week[r.day] = r.data;
-        }
-        serverCache.set('week', 'all', week);
-        return res.status(200).json({ success: true, week, cached: false, timestamp: new Date().toISOString() });
+        // return the full week schedules grouped by day (served from cache when fresh)
+        const { week, cached } = await getWeekSchedule({ campus: campus.id });
+        return res.status(200).json({ success: true, campus: campus.id, week, cached, timestamp: new Date().toISOString() });
       }
 
           // Check cache for single day
       const cacheKey = String(dayParam);
-          if (serverCache.isValid('schedule', cacheKey)) {
-            const cached = serverCache.get('schedule', cacheKey);
-            return res.status(200).json({ ...cached, cached: true });
+          if (cache.isValid('schedule', cacheKey)) {
+            const cached = cache.get('schedule', cacheKey);
+            return res.status(200).json({ ...dayWithBookings(cached, campus.id), cached: true });
           }
 
       // numeric day fetch
-      const result = await getDaySchedule(dayParam);
+      const result = await getDaySchedule(dayParam, campus.id);
       if (result.success) {
-            serverCache.set('schedule', cacheKey, result);
+            cache.set('schedule', cacheKey, result);
       }
-      return res.status(result.success ? 200 : 400).json({ ...result, cached: false });
+      return res.status(result.success ? 200 : 400).json({ ...dayWithBookings(result, campus.id), cached: false });
     }
 
     if (action === 'search' && query) {
@@ -85,22 +112,164 @@ export default async function handler(req, res) {
       const cacheKey = getCacheKey('search', { query, day: dayParam || 'all' });
 
       // Check cache first - instant response
-          if (serverCache.isValid('search', cacheKey)) {
-            const cached = serverCache.get('search', cacheKey);
+          if (cache.isValid('search', cacheKey)) {
+            const cached = cache.get('search', cacheKey);
             return res.status(200).json({ ...cached, cached: true });
           }
 
       // Fetch fresh data
       let result;
       if (dayParam === 'all' || dayParam === undefined) {
-        result = await searchAcrossAllDays(query, 'all');
+        result = await searchAcrossAllDays(query, 'all', campus.id);
       } else {
-        result = await searchAcrossAllDays(query, dayParam);
+        result = await searchAcrossAllDays(query, dayParam, campus.id);
       }
-          serverCache.set('search', cacheKey, result);
+          cache.set('search', cacheKey, result);
       return res.status(result.success ? 200 : 400).json({ ...result, cached: false });
     }
 
+    if (action === 'plan') {
+      // courses=Database Systems,COAL -> ranked clash-free section combinations
+      const courses = String(req.query.courses || '').split(',').map(c => c.trim()).filter(Boolean);
+      if (courses.length === 0) {
+        return res.status(400).json({ success: false, error: 'Missing courses parameter' });
+      }
+      if (courses.length > PLANNER_CONFIG.MAX_COURSES) {
+        return res.status(400).json({ success: false, error: `Too many courses (max ${PLANNER_CONFIG.MAX_COURSES})` });
+      }
+      const noEarly = req.query.noEarly === '1' || req.query.noEarly === 'true';
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+      const { week, cached } = await getWeekSchedule({ campus: campus.id });
+      const plan = planSemester(week, courses, { noEarly, limit });
+      return res.status(200).json({ success: true, ...plan, cached, timestamp: new Date().toISOString() });
+    }
+
+    if (action === 'teachers') {
+      // optional name=<part of a name> narrows the list (case/punctuation-insensitive)
+      const { week, cached } = await getWeekSchedule({ campus: campus.id });
+      const nameFilter = teacherKey(req.query.name);
+      let teachers = buildTeacherIndex(week);
+      if (nameFilter) teachers = teachers.filter(t => t.key.includes(nameFilter));
+      return res.status(200).json({ success: true, teachers, count: teachers.length, cached, timestamp: new Date().toISOString() });
+    }
+
+    if (action === 'courses') {
+      // optional q=<title or section code> narrows the catalog
+      const { week, cached } = await getWeekSchedule({ campus: campus.id });
+      const courses = filterCatalog(buildCourseCatalog(week), req.query.q);
+      return res.status(200).json({ success: true, courses, count: courses.length, cached, timestamp: new Date().toISOString() });
+    }
+
+    if (action === 'changes') {
+      // since=<ms timestamp or ISO date>; defaults to everything still in memory
+      const rawSince = req.query.since;
+      let since = 0;
+      if (rawSince !== undefined && rawSince !== '') {
+        since = /^\d+$/.test(String(rawSince)) ? Number(rawSince) : Date.parse(rawSince);
+        if (isNaN(since)) {
+          return res.status(400).json({ success: false, error: 'Invalid since parameter' });
+        }
+      }
+      // Make sure the latest sheet state has been looked at (records a snapshot when the cache is stale)
+      await getWeekSchedule({ campus: campus.id });
+      const latest = snapshots.getLatest();
+      return res.status(200).json({
+        success: true,
+        since,
+        changes: snapshots.getChanges(since),
+        latestSnapshotAt: latest ? latest.takenAt : null,
+        snapshots: snapshots.getSnapshotTimes(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (action === 'free') {
+      // rooms free for the whole of start-end; a slot the range only partly covers still counts
+      const dayParam = normalizeDayParam(rawDay);
+      if (dayParam === undefined || dayParam === 'all' || !DAY_NAMES[dayParam]) {
+        return res.status(400).json({ success: false, error: 'Missing or invalid day parameter (0-4 or today)' });
+      }
+      const { start, end } = req.query;
+      if (!start || !end || !parseTimeRange(`${start}-${end}`)) {
+        return res.status(400).json({ success: false, error: 'Missing or invalid start/end (HH:MM, end after start)' });
+      }
+      const { week, cached } = await getWeekSchedule({ campus: campus.id });
+      const dayName = DAY_NAMES[dayParam];
+      const dayData = week[dayName];
+      const rooms = findFreeRooms(dayData, start, end, roomFiltersFromQuery(req.query)).map(roomInfo);
+      return res.status(200).json({
+        success: true,
+        campus: campus.id,
+        day: dayName,
+        start,
+        end,
+        slots: slotsInRange(dayData, start, end).map(s => s.time),
+        rooms,
+        count: rooms.length,
+        cached,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (action === 'freeRanges') {
+      // room=<id or name> -> when that room is free; query=<class> -> when that class has no lecture
+      const room = String(req.query.room || '').trim();
+      const classQuery = String(query || '').trim();
+      if (!room && !classQuery) {
+        return res.status(400).json({ success: false, error: 'Missing room or query parameter' });
+      }
+      const dayParam = rawDay === undefined ? 'all' : normalizeDayParam(rawDay);
+      if (dayParam === undefined || (dayParam !== 'all' && !DAY_NAMES[dayParam])) {
+        return res.status(400).json({ success: false, error: 'Invalid day parameter (0-4, today or all)' });
+      }
+      const { week, cached } = await getWeekSchedule({ campus: campus.id });
+      const days = {};
+
+      if (room) {
+        let target = null;
+        DAY_NAMES.forEach((dayName, i) => {
+          const dayData = week[dayName];
+          if (!dayData || (dayParam !== 'all' && dayParam !== i)) return;
+          const match = matchRoom(dayData.classrooms, room);
+          if (!match) return;
+          target = target || match;
+          days[dayName] = computeFreeRangesForRoom(dayData, room).map(r => ({ start: r.start, end: r.end }));
+        });
+        if (!target) {
+          return res.status(404).json({ success: false, error: `Room not found: ${room}` });
+        }
+        return res.status(200).json({ success: true, campus: campus.id, room: roomInfo(target), days, cached, timestamp: new Date().toISOString() });
+      }
+
+      const ranges = findFreeScheduleForQuery({ week }, classQuery, dayParam);
+      return res.status(200).json({ success: true, campus: campus.id, query: classQuery, days: ranges, cached, timestamp: new Date().toISOString() });
+    }
+
+    if (action === 'studyGroup') {
+      // member=<code(s) or busy list>, one per student; windows when all of them are free
+      const members = [].concat(req.query.member || []).map(m => String(m).trim()).filter(Boolean);
+      if (members.length < MIN_MEMBERS || members.length > MAX_MEMBERS) {
+        return res.status(400).json({ success: false, error: `Give ${MIN_MEMBERS} to ${MAX_MEMBERS} member parameters` });
+      }
+      const minSlots = Math.min(Math.max(parseInt(req.query.minSlots, 10) || 1, 1), 6);
+      const { week, cached } = await getWeekSchedule({ campus: campus.id });
+      const group = findStudyWindows(week, members, { minSlots, filters: roomFiltersFromQuery(req.query) });
+      return res.status(200).json({ success: true, campus: campus.id, minSlots, ...group, count: group.windows.length, cached, timestamp: new Date().toISOString() });
+    }
+
+    if (action === 'diagnose') {
+      // for sheet maintainers: how the parser read a day tab (same secret as /api/clear-cache)
+      if (!hasAdminSecret(req, 'diagnose')) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+      }
+      const dayParam = normalizeDayParam(rawDay);
+      if (dayParam === undefined || dayParam === 'all') {
+        return res.status(400).json({ success: false, error: 'Missing or invalid day parameter (0-4 or today)' });
+      }
+      const result = await diagnoseDaySchedule(dayParam, campus.id);
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+
     if (action === 'days') {
       return res.status(200).json({
         success: true,
@@ -121,12 +290,24 @@ export default async function handler(req, res) {
       endpoints: {
         'GET /api/schedule?action=fetch&day=<0-4>|today|all': 'Fetch schedule for a specific day or full week',
         'GET /api/schedule?action=search&query=<classCode>&day=<0-4|today|all>': 'Search for classes (optionally constrained to a day)',
-        'GET /api/schedule?action=days': 'Get list of available days'
+        'GET /api/schedule?action=days': 'Get list of available days',
+        'GET /api/schedule?action=plan&courses=<name>,<name>&noEarly=1&limit=<n>': 'Clash-free section combinations for up to 10 courses, best first (partial=true: the search hit its limit and ranked only what it found)',
+        'GET /api/schedule?action=changes&since=<timestamp>': 'Room moves, cancellations and reservations detected since a timestamp (ms or ISO)',
+        'GET /api/schedule?action=teachers&name=<optional>': 'Instructors parsed from cell text with their weekly classes and gaps between them',
+        'GET /api/schedule?action=courses&q=<optional>': 'Course catalog: sections of each course with meeting slots, rooms and weekly contact hours',
+        'GET /api/schedule?action=campuses': 'Campuses in the registry; add campus=<id> to any other action to use that campus sheet',
+        'GET /api/schedule?action=free&day=<0-4|today>&start=<HH:MM>&end=<HH:MM>&minCapacity=<n>&block=&floor=&type=': 'Rooms free for a time range (partly covered slots count; Reserved cells are occupied), best fit first with minCapacity',
+        'GET /api/schedule?action=freeRanges&room=<id>|query=<classCode>&day=<0-4|today|all>': 'Free time ranges of a room, or gaps in a class schedule with rooms free then',
+        'GET /api/schedule?action=studyGroup&member=<code(s)>&member=<Mon 08:00-8:50; ...>&minSlots=<n>': 'Windows when 2-10 students (section codes or shared saved-class lists) are all free, with rooms free then',
+        'GET /api/schedule?action=diagnose&day=<0-4>': 'Parser report for a day tab: header row, time slots, skipped rows, expanded cells, unparseable headers (x-tt-secret header required)'
       },
       example: {
         search: '/api/schedule?action=search&query=BCS-1G&day=2',
         fetch: '/api/schedule?action=fetch&day=0',
-        fetchWeek: '/api/schedule?action=fetch&day=all'
+        fetchWeek: '/api/schedule?action=fetch&day=all',
+        fetchCampus: '/api/schedule?action=fetch&day=0&campus=isb',
+        free: '/api/schedule?action=free&day=2&start=10:00&end=11:50',
+        freeRanges: '/api/schedule?action=freeRanges&room=E-31'
       }
     });
   } catch (error) {
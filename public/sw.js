@@ -0,0 +1,122 @@
+// Service worker for FAST Timetable.
+// - Precaches the app shell so the page opens with no connection; the week
+//   data itself is kept in IndexedDB by the page (lib/offlineStore.js).
+//   The hashed `/_next/static` chunks of the first visit load before this
+//   worker controls the page, so the page posts their URLs here after
+//   registering (CACHE_URLS message) and they are cached then.
+// - Shows push notifications sent by the server when a watched class changes
+//   (see lib/pushNotifier.js) and focuses/opens the app when one is clicked.
+
+const SHELL_CACHE = 'tt-shell-v3';
+const SHELL_URLS = ['/', '/favicon.ico', '/manifest.json', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith('tt-shell-') && k !== SHELL_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // API responses are never served from here; the page falls back to IndexedDB
+  if (url.pathname.startsWith('/api/')) return;
+
+  // Page navigations: network first, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          // only a real page replaces the offline shell (not a 404/500 or a redirect)
+          if (response.ok && response.type === 'basic' && !response.redirected) {
+            const copy = response.clone();
+            caches.open(SHELL_CACHE).then((cache) => cache.put('/', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('/'))
+    );
+    return;
+  }
+
+  // Build assets are content-hashed, so cache first is safe
+  if (url.pathname.startsWith('/_next/static/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(request).then((cached) => {
+        if (cached) return cached;
+        return fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        });
+      })
+    );
+  }
+});
+
+// Build assets the page loaded before this worker took control
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type !== 'CACHE_URLS' || !Array.isArray(data.urls)) return;
+  const urls = data.urls
+    .map((u) => { try { return new URL(u, self.location.origin); } catch (e) { return null; } })
+    .filter((u) => u && u.origin === self.location.origin && u.pathname.startsWith('/_next/static/'))
+    .map((u) => u.pathname);
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => Promise.all(urls.map((url) =>
+      cache.match(url).then((cached) => cached || fetch(url).then((response) => {
+        if (response.ok) return cache.put(url, response);
+      }).catch(() => {}))
+    )))
+  );
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { title: 'Timetable update', body: event.data ? event.data.text() : '' };
+  }
+
+  const title = data.title || 'Timetable update';
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: data.body || 'Your watched classes changed.',
+      tag: data.tag || 'tt-changes',
+      icon: '/favicon.ico',
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+      for (const client of clientList) {
+        if ('focus' in client) {
+          client.navigate(url);
+          return client.focus();
+        }
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
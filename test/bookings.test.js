@@ -0,0 +1,106 @@
+// Room bookings: request checks, the Reserved overlay, the JSON file store
+// and the moderator secret.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateBookingRequest, checkBookingSlot, overlayBookings, nextDateForDay, publicBooking } = require('../lib/bookings');
+const { findFreeRooms } = require('../lib/freeRooms');
+const bookingStore = require('../lib/bookingStore');
+const { adminSecretError } = require('../lib/adminSecret');
+
+// Thursday 2026-10-15, mid-morning
+const now = new Date(2026, 9, 15, 10, 0);
+const slot = (timeIndex, time, cls = '') => ({ timeIndex, time, class: cls });
+const times = ['09:50-10:40', '10:45-11:35', '11:40-12:30'];
+const day = () => ({
+  timeSlots: times.map((time, i) => ({ index: i + 1, time })),
+  classrooms: [
+    { name: 'E-31 Academic Block I (52)', schedule: times.map((t, i) => slot(i + 1, t, i === 0 ? 'OOP BCS-3A' : '')) },
+    { name: 'E-32 Academic Block I (52)', schedule: times.map((t, i) => slot(i + 1, t)) }
+  ],
+  classroomsSimple: [
+    { name: 'E-31 Academic Block I (52)', schedule: ['OOP BCS-3A', '', ''] },
+    { name: 'E-32 Academic Block I (52)', schedule: ['', '', ''] }
+  ]
+});
+const request = (over) => Object.assign({ room: 'E-32', date: '2026-10-19', start: '10:45', end: '12:30', purpose: 'ACM meetup', requester: 'Hira' }, over);
+
+test('requests need a weekday within two weeks, a time range, purpose and name', () => {
+  const ok = validateBookingRequest(request(), now);
+  assert.strictEqual(ok.value.day, 'Monday');
+  assert.match(validateBookingRequest(request({ date: '2026-10-17' }), now).error, /weekdays/);
+  assert.match(validateBookingRequest(request({ date: '2026-10-14' }), now).error, /past/);
+  assert.match(validateBookingRequest(request({ date: '2026-11-02' }), now).error, /days ahead/);
+  assert.match(validateBookingRequest(request({ end: '10:00' }), now).error, /start\/end/);
+  assert.match(validateBookingRequest(request({ purpose: '' }), now).error, /purpose/);
+  assert.strictEqual(nextDateForDay('Monday', now), '2026-10-19');
+  assert.strictEqual(nextDateForDay('Thursday', now), '2026-10-15');
+});
+
+test('only rooms free in the sheet and not already booked can be requested', () => {
+  const value = validateBookingRequest(request(), now).value;
+  assert.deepStrictEqual(checkBookingSlot(value, day(), []), { room: 'E-32 Academic Block I (52)', slots: ['10:45-11:35', '11:40-12:30'] });
+  assert.match(checkBookingSlot(Object.assign({}, value, { room: 'E-31', start: '10:00' }), day(), []).error, /not free/);
+  assert.match(checkBookingSlot(Object.assign({}, value, { room: 'Z-99' }), day(), []).error, /not in the Monday sheet/);
+  const taken = { id: 'a', room: 'E-32 Academic Block I (52)', date: '2026-10-19', start: '11:40', end: '12:30' };
+  assert.match(checkBookingSlot(value, day(), [taken]).error, /already booked 11:40-12:30/);
+  assert.ok(checkBookingSlot(Object.assign({}, value, { date: '2026-10-26' }), day(), [taken]).room);
+});
+
+test('approved bookings of the coming week show as Reserved and leave the input alone', () => {
+  const week = { Monday: day(), Tuesday: day() };
+  const before = JSON.stringify(week);
+  const approved = { id: 'b1', status: 'approved', room: 'E-32 Academic Block I (52)', day: 'Monday', date: '2026-10-19', start: '10:45', end: '11:35', purpose: 'ACM meetup' };
+
+  const out = overlayBookings(week, [approved, Object.assign({}, approved, { id: 'b2', status: 'pending', day: 'Tuesday', date: '2026-10-20' })], now);
+  assert.strictEqual(JSON.stringify(week), before);
+  assert.strictEqual(out.Tuesday, week.Tuesday);
+  const cell = out.Monday.classrooms[1].schedule[1];
+  assert.strictEqual(cell.class, 'Reserved for ACM meetup');
+  assert.strictEqual(cell.booking, 'b1');
+  assert.deepStrictEqual(out.Monday.classroomsSimple[1].schedule, ['', 'Reserved for ACM meetup', '']);
+  assert.deepStrictEqual(findFreeRooms(out.Monday, '10:45', '11:35').map(r => r.name), ['E-31 Academic Block I (52)']);
+
+  // a week later, or already past: the sheet as-is
+  assert.strictEqual(overlayBookings(week, [Object.assign({}, approved, { date: '2026-10-26' })], now), week);
+  assert.strictEqual(overlayBookings(week, [approved], new Date(2026, 9, 20)), week);
+});
+
+test('the JSON file store keeps bookings across reloads', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tt-bookings-')), 'bookings.json');
+  bookingStore.setBackend(bookingStore.jsonFileBackend(file));
+  const created = bookingStore.create(Object.assign(request(), { campus: 'khi', day: 'Monday', contact: 'hira@example.com' }));
+  assert.strictEqual(created.status, 'pending');
+  bookingStore.setStatus(created.id, 'approved', 'ok');
+
+  bookingStore.setBackend(bookingStore.jsonFileBackend(file));
+  assert.strictEqual(bookingStore.get(created.id).status, 'approved');
+  assert.strictEqual(bookingStore.list({ campus: 'khi', status: 'approved' }).length, 1);
+  assert.strictEqual(bookingStore.list({ campus: 'isb' }).length, 0);
+  assert.strictEqual(publicBooking(bookingStore.get(created.id)).contact, undefined);
+  assert.throws(() => bookingStore.setStatus(created.id, 'maybe'), /Unknown booking status/);
+  assert.strictEqual(bookingStore.remove(created.id), true);
+  bookingStore.setBackend(bookingStore.memoryBackend());
+});
+
+test('moderator routes need a configured secret', () => {
+  const saved = process.env.CLEAR_CACHE_SECRET;
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    delete process.env.CLEAR_CACHE_SECRET;
+    assert.strictEqual(adminSecretError({ headers: {} }, 'bookings').status, 503);
+    assert.strictEqual(adminSecretError({ headers: { 'x-tt-secret': '' } }, 'bookings').status, 503);
+    process.env.CLEAR_CACHE_SECRET = 's3cret';
+    assert.strictEqual(adminSecretError({ headers: {} }, 'bookings').status, 401);
+    assert.strictEqual(adminSecretError({ headers: { 'x-tt-secret': 'nope' } }, 'bookings').status, 401);
+    assert.strictEqual(adminSecretError({ headers: { 'x-tt-secret': 's3cret' } }, 'bookings'), null);
+  } finally {
+    console.warn = warn;
+    if (saved === undefined) delete process.env.CLEAR_CACHE_SECRET;
+    else process.env.CLEAR_CACHE_SECRET = saved;
+  }
+});
@@ -0,0 +1,86 @@
+// iCalendar export: events, line folding, escaping and the feed's conditional requests.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { eventsFromSaved, buildICS, feedVersion, isNotModified, CALENDAR_CONFIG } = require('../lib/calendar');
+
+// a Monday in PKT
+const now = new Date('2026-10-19T05:00:00Z');
+const saved = (day, time, classroom, className) => ({ day, time, classroom, code: 'BCS-3A', className });
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const lines = (ics) => ics.split('\r\n');
+
+test('each saved class becomes one weekly recurring event', () => {
+  const ics = buildICS(eventsFromSaved([saved('Wednesday', '09:00-9:50', 'E-31', 'DS')]), { now });
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  const body = lines(ics);
+  assert.strictEqual(body.filter(l => l === 'BEGIN:VEVENT').length, 1);
+  assert.ok(body.includes('DTSTART;TZID=Asia/Karachi:20261021T090000'));
+  assert.ok(body.includes('DTEND;TZID=Asia/Karachi:20261021T095000'));
+  assert.ok(body.includes('RRULE:FREQ=WEEKLY;BYDAY=WE'));
+  assert.ok(body.includes('SUMMARY:BCS-3A DS'));
+});
+
+test('the recurrence stops at SEMESTER_END when one is set', () => {
+  const savedEnd = CALENDAR_CONFIG.SEMESTER_END;
+  CALENDAR_CONFIG.SEMESTER_END = '2026-12-31';
+  try {
+    const ics = buildICS(eventsFromSaved([saved('Friday', '08:00-8:50', 'E-31', 'DS')]), { now });
+    assert.ok(lines(ics).includes('RRULE:FREQ=WEEKLY;BYDAY=FR;UNTIL=20261231T235959Z'));
+  } finally {
+    CALENDAR_CONFIG.SEMESTER_END = savedEnd;
+  }
+});
+
+test('a lab saved slot by slot is one event; other classes stay separate', () => {
+  const events = eventsFromSaved([
+    saved('Monday', '08:00-8:50', 'Lab-1', 'COAL Lab'),
+    saved('Monday', '08:55-9:45', 'Lab-1', 'COAL Lab'),
+    saved('Monday', '09:50-10:40', 'Lab-1', 'COAL Lab'),
+    saved('Monday', '08:00-8:50', 'E-31', 'DS'),
+    saved('Monday', '08:55-9:45', 'E-31', 'DS')
+  ]);
+  assert.deepStrictEqual(events.map(e => [e.location, e.start, e.end]), [
+    ['Lab-1', 480, 640],
+    ['E-31', 480, 530],
+    ['E-31', 535, 585]
+  ]);
+  const ics = buildICS(events, { now });
+  assert.strictEqual(lines(ics).filter(l => l === 'BEGIN:VEVENT').length, 3);
+  assert.ok(lines(ics).includes('DTEND;TZID=Asia/Karachi:20261019T104000'));
+});
+
+test('text values escape commas, semicolons and backslashes', () => {
+  const ics = unfold(buildICS(eventsFromSaved([saved('Monday', '08:00-8:50', 'Lab-1; Block B', 'DS, Section\\A')]), { now }));
+  assert.ok(lines(ics).includes('SUMMARY:BCS-3A DS\\, Section\\\\A'));
+  assert.ok(lines(ics).includes('LOCATION:Lab-1\\; Block B'));
+});
+
+test('long lines fold at 75 octets without splitting a character', () => {
+  const title = 'Introduction to Information and Communication Technologies — Lab Sessión';
+  const ics = buildICS(eventsFromSaved([saved('Monday', '08:00-8:50', 'E-31', title)]), { now });
+  lines(ics).forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(lines(ics).some(line => line.startsWith(' ')));
+  assert.ok(lines(unfold(ics)).includes(`SUMMARY:BCS-3A ${title}`));
+});
+
+test('the feed answers a repeat request with 304 until its events change', () => {
+  const events = eventsFromSaved([saved('Monday', '08:00-8:50', 'E-31', 'DS')]);
+  const first = feedVersion('test:BCS-3A', events, 1000500);
+  assert.strictEqual(first.lastModified.getTime(), 1000000);
+  // a later poll of the same events keeps the validators
+  const again = feedVersion('test:BCS-3A', JSON.parse(JSON.stringify(events)), 5000000);
+  assert.deepStrictEqual(again, first);
+
+  assert.strictEqual(isNotModified({ 'if-none-match': first.etag }, again), true);
+  assert.strictEqual(isNotModified({ 'if-none-match': `"stale", ${first.etag}` }, again), true);
+  assert.strictEqual(isNotModified({ 'if-modified-since': first.lastModified.toUTCString() }, again), true);
+  assert.strictEqual(isNotModified({}, again), false);
+
+  const moved = feedVersion('test:BCS-3A', eventsFromSaved([saved('Monday', '08:00-8:50', 'E-32', 'DS')]), 9000000);
+  assert.notStrictEqual(moved.etag, first.etag);
+  assert.strictEqual(moved.lastModified.getTime(), 9000000);
+  assert.strictEqual(isNotModified({ 'if-none-match': first.etag }, moved), false);
+  assert.strictEqual(isNotModified({ 'if-modified-since': first.lastModified.toUTCString() }, moved), false);
+});
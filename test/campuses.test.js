@@ -0,0 +1,45 @@
+// Campus registry and per-campus cache namespaces.
+
+process.env.CAMPUSES = JSON.stringify({
+  isb: { name: 'Islamabad', sheetId: 'isb-sheet', dayGids: { Monday: '11' } }
+});
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getCampus, getCampusGrammar, listCampuses } = require('../lib/campuses');
+const serverCache = require('../lib/serverCache');
+const snapshotStore = require('../lib/snapshotStore');
+const { extractCode } = require('../lib/codeGrammar');
+
+test('registry keeps the single-sheet default campus next to configured ones', () => {
+  assert.strictEqual(getCampus().id, 'khi');
+  assert.strictEqual(getCampus('').id, 'khi');
+  assert.strictEqual(getCampus('khi').sheetId, null);
+  assert.deepStrictEqual(getCampus('ISB').dayGids, { Monday: '11', Tuesday: '0', Wednesday: '0', Thursday: '0', Friday: '0' });
+  assert.strictEqual(getCampus('nowhere'), null);
+  assert.deepStrictEqual(listCampuses().map(c => [c.id, c.isDefault]), [['isb', false], ['khi', true]]);
+  // the public list never exposes sheet ids
+  assert.ok(listCampuses().every(c => !('sheetId' in c)));
+});
+
+test('each campus reads codes with its own grammar', () => {
+  assert.strictEqual(extractCode('PF BS(CS)-3A', getCampusGrammar(getCampus('isb'))), 'BS(CS)-3A');
+  assert.strictEqual(extractCode('PF BS(CS)-3A', getCampusGrammar(getCampus('khi'))), '');
+});
+
+test('cache and snapshot namespaces do not leak between campuses', () => {
+  serverCache.namespace('khi').set('week', 'all', { Monday: 'khi' });
+  assert.deepStrictEqual(serverCache.namespace('khi').get('week'), { Monday: 'khi' });
+  assert.strictEqual(serverCache.namespace('isb').isValid('week'), false);
+
+  serverCache.namespace('isb').set('schedule', '0', 'isb-monday');
+  serverCache.namespace('isb').clear();
+  assert.strictEqual(serverCache.namespace('isb').get('schedule', '0'), undefined);
+  assert.ok(serverCache.namespace('khi').isValid('week'));
+  serverCache.clearAll();
+  assert.strictEqual(serverCache.namespace('khi').isValid('week'), false);
+
+  snapshotStore.namespace('isb').record({ Monday: { classrooms: [] } }, 1000);
+  assert.deepStrictEqual(snapshotStore.namespace('isb').getSnapshotTimes(), [1000]);
+  assert.deepStrictEqual(snapshotStore.namespace('khi').getSnapshotTimes(), []);
+});
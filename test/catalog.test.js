@@ -0,0 +1,54 @@
+// Course catalog aggregation and autocomplete suggestions.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseClassCell } = require('../lib/sheets');
+const { buildCourseCatalog, filterCatalog } = require('../lib/catalog');
+const { suggestFromCatalog } = require('../lib/catalogClient');
+
+const slot = (timeIndex, time, text) => ({ timeIndex, time, class: text, code: '', ...parseClassCell(text) });
+
+const week = {
+  Monday: {
+    classrooms: [
+      { name: 'E-31', schedule: [slot(1, '08:00-8:50', 'Data Structures BCS-3A Ali'), slot(2, '09:00-9:50', 'Data Structures BCS-3B Sara')] },
+      { name: 'Lab-1', schedule: [slot(3, '10:00-10:50', 'DS Lab BCS-3A Ali'), slot(4, '11:00-11:50', 'DS Lab BCS-3A Ali')] }
+    ]
+  },
+  Wednesday: {
+    classrooms: [
+      { name: 'E-32', schedule: [slot(1, '08:00-8:50', 'Data Structures BCS-3A Ali'), slot(2, '09:00-9:50', 'Reserved for ACM')] }
+    ]
+  }
+};
+
+test('groups sections under their course with meetings and weekly hours', () => {
+  const catalog = buildCourseCatalog(week);
+  assert.deepStrictEqual(catalog.map(c => c.title), ['Data Structures', 'DS Lab']);
+
+  const ds = catalog[0];
+  assert.deepStrictEqual(ds.sections.map(s => s.code), ['BCS-3A', 'BCS-3B']);
+  assert.deepStrictEqual(ds.sections[0].meetings, [
+    { day: 'Monday', time: '08:00-08:50', room: 'E-31' },
+    { day: 'Wednesday', time: '08:00-08:50', room: 'E-32' }
+  ]);
+  assert.strictEqual(ds.sections[0].weeklyMinutes, 100);
+
+  const lab = catalog[1];
+  assert.deepStrictEqual(lab.sections[0].meetings, [{ day: 'Monday', time: '10:00-11:50', room: 'Lab-1' }]);
+  assert.strictEqual(lab.weeklyHours, 1.83);
+});
+
+test('filters by title or section code', () => {
+  const catalog = buildCourseCatalog(week);
+  assert.strictEqual(filterCatalog(catalog, 'lab').length, 1);
+  assert.strictEqual(filterCatalog(catalog, 'bcs-3b').length, 1);
+  assert.strictEqual(filterCatalog(catalog, '').length, 2);
+});
+
+test('suggests course titles before section codes', () => {
+  const catalog = buildCourseCatalog(week);
+  const suggestions = suggestFromCatalog(catalog, 'data');
+  assert.deepStrictEqual(suggestions.map(s => s.value), ['Data Structures']);
+  assert.deepStrictEqual(suggestFromCatalog(catalog, 'bcs-3').map(s => s.value), ['BCS-3A', 'BCS-3B']);
+});
@@ -0,0 +1,40 @@
+// Clash detection for saved classes, with labs saved slot by slot.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findClashes, getClashingIds } = require('../lib/clashes');
+
+const saved = (id, day, time, classroom, className) => ({ id, day, time, classroom, code: 'BCS-3A', className });
+
+test('a lab saved slot by slot clashes once, with its full span', () => {
+  const entries = [
+    saved('lab1', 'Monday', '08:00-8:50', 'Lab-1', 'COAL Lab BCS-3A'),
+    saved('lab2', 'Monday', '08:55-9:45', 'Lab-1', 'COAL Lab BCS-3A'),
+    saved('lab3', 'Monday', '09:50-10:40', 'Lab-1', 'COAL Lab BCS-3A'),
+    saved('ds', 'Monday', '09:00-9:50', 'E-31', 'DS BCS-3B'),
+    saved('pf', 'Tuesday', '09:00-9:50', 'E-31', 'PF BCS-1A'),
+    { id: 'free', day: 'Monday', time: '08:00-8:50', code: 'FREE' }
+  ];
+  const clashes = findClashes(entries);
+  assert.strictEqual(clashes.length, 1);
+  const [clash] = clashes;
+  assert.strictEqual(clash.day, 'Monday');
+  assert.deepStrictEqual([clash.a.start, clash.a.end], [480, 640]);
+  assert.deepStrictEqual(clash.a.entries.map(e => e.id), ['lab1', 'lab2', 'lab3']);
+  assert.deepStrictEqual(clash.b.entries.map(e => e.id), ['ds']);
+  assert.deepStrictEqual([clash.start, clash.end], [540, 590]);
+  assert.deepStrictEqual(Array.from(getClashingIds(clashes)).sort(), ['ds', 'lab1', 'lab2', 'lab3']);
+});
+
+test('lab slots further apart than a break, or in another room, stay separate', () => {
+  const entries = [
+    saved('a1', 'Monday', '08:00-8:50', 'Lab-1', 'COAL Lab BCS-3A'),
+    saved('a2', 'Monday', '11:40-12:30', 'Lab-1', 'COAL Lab BCS-3A'),
+    saved('b1', 'Monday', '08:55-9:45', 'Lab-2', 'COAL Lab BCS-3A'),
+    saved('c1', 'Monday', '12:00-12:50', 'E-31', 'DS BCS-3B')
+  ];
+  const clashes = findClashes(entries);
+  assert.deepStrictEqual(clashes.map(c => c.id), ['a2|c1']);
+  assert.deepStrictEqual([clashes[0].a.start, clashes[0].a.end], [700, 750]);
+  assert.deepStrictEqual(findClashes([]), []);
+});
@@ -0,0 +1,47 @@
+// Per-campus section-code grammars.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getCodeGrammar, extractCode, extractCodes } = require('../lib/codeGrammar');
+const { parseClassCell } = require('../lib/sheets');
+
+const isb = getCodeGrammar('isb');
+
+test('reads programme-in-brackets codes with the isb grammar', () => {
+  assert.strictEqual(extractCode('PF BS(CS)-3A Dr Ali', isb), 'BS(CS)-3A');
+  assert.deepStrictEqual(extractCodes('OOP BS(CS)-3A/B', isb), ['BS(CS)-3A', 'BS(CS)-3B']);
+  assert.deepStrictEqual(parseClassCell('PF BS(CS)-3A Dr Ali', isb), { title: 'PF', codes: ['BS(CS)-3A'], instructor: 'Dr Ali' });
+  // karachi codes are not isb codes
+  assert.strictEqual(extractCode('PF BCS-3A', isb), '');
+});
+
+test('karachi grammar is the default and keeps lab-group digits', () => {
+  assert.strictEqual(extractCode('DB BCS-1G'), 'BCS-1G');
+  assert.strictEqual(extractCode('TBW BSBA-3A1 Ms. Name'), 'BSBA-3A1');
+  assert.strictEqual(extractCode('PF BS(CS)-3A'), '');
+});
+
+test('writes codes back with the first separator', () => {
+  const grammar = { prefix: '[A-Z]{2,4}', separators: ['-', ' '], semester: true, section: true };
+  assert.deepStrictEqual(extractCodes('OS BCS 5A/B', grammar), ['BCS-5A', 'BCS-5B']);
+});
+
+test('grammar without semester or section matches the bare programme list', () => {
+  const grammar = { prefixes: ['MBA', 'EMBA'], semester: false, section: false };
+  assert.deepStrictEqual(extractCodes('Finance EMBA Dr X', grammar), ['EMBA']);
+});
+
+test('the env override is parsed once and reused', () => {
+  const saved = process.env.NEXT_PUBLIC_SECTION_CODE_GRAMMAR;
+  process.env.NEXT_PUBLIC_SECTION_CODE_GRAMMAR = JSON.stringify({ separators: ['-', ' '] });
+  try {
+    const first = getCodeGrammar();
+    assert.strictEqual(getCodeGrammar(), first);
+    assert.deepStrictEqual(first.separators, ['-', ' ']);
+    assert.strictEqual(extractCode('OS BCS 5A'), 'BCS-5A');
+  } finally {
+    if (saved === undefined) delete process.env.NEXT_PUBLIC_SECTION_CODE_GRAMMAR;
+    else process.env.NEXT_PUBLIC_SECTION_CODE_GRAMMAR = saved;
+  }
+  assert.strictEqual(getCodeGrammar(), getCodeGrammar('khi'));
+});
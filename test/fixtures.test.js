@@ -0,0 +1,43 @@
+// Offline sheet simulator: the bundled week parses end to end with no network.
+
+process.env.SHEET_FIXTURES = '1';
+delete process.env.SHEET_ID;
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getDaySchedule, searchAcrossAllDays } = require('../lib/sheets');
+const { getWeekSchedule } = require('../lib/weekSchedule');
+
+const room = (day, prefix) => day.data.classrooms.find(c => c.name.startsWith(prefix));
+
+test('serves all five days without a sheet config', async () => {
+  const { week } = await getWeekSchedule({ fresh: true });
+  assert.deepStrictEqual(Object.keys(week), ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']);
+  Object.values(week).forEach(day => {
+    assert.strictEqual(day.timeHeaders.length, 9);
+    assert.strictEqual(day.classrooms.length, 12);
+  });
+});
+
+test('merged labs and reserved cells cover every slot they span', async () => {
+  const monday = await getDaySchedule(0);
+  const hall = room(monday, 'Seminar Hall').schedule.map(s => s.class);
+  assert.deepStrictEqual(hall.slice(2, 6), Array(4).fill('Reserved for ACM'));
+  const lab = room(monday, 'CS Lab 1').schedule.map(s => s.class.split(' ')[0] || '-');
+  // colspan 3, free slot, no colspan (empty cells after it), colspan 2
+  assert.deepStrictEqual(lab, ['DB', 'DB', 'DB', '-', 'OOP', 'OOP', 'OOP', 'PF', 'PF']);
+
+  const thursday = await getDaySchedule(3);
+  assert.strictEqual(room(thursday, 'Seminar Hall').schedule.filter(s => /^Reserved/.test(s.class)).length, 4);
+});
+
+test('a repeated header row is not a room', async () => {
+  const friday = await getDaySchedule(4);
+  assert.ok(!friday.data.classrooms.some(c => /venues/i.test(c.name)));
+});
+
+test('search works against the fixtures', async () => {
+  const result = await searchAcrossAllDays('BCS-3B', 'all');
+  assert.ok(result.success);
+  assert.ok(result.results.Monday.some(r => r.classroom.startsWith('Seminar Hall')));
+});
@@ -0,0 +1,79 @@
+// Free-room finder filters and best-fit ordering.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { filterRooms, sortRoomsByFit, roomFiltersFromQuery, findFreeRooms, slotsInRange, computeFreeRangesForRoom, isSlotOccupiedByQuery, mergeAdjacentFreeSlots, computeFreeRangesForDay } = require('../lib/freeRooms');
+
+const rooms = [
+  { name: 'Seminar Hall (120)', capacity: 120, block: 'I', floor: 'Ground', type: 'hall' },
+  { name: 'E-31 (52)', capacity: 52, block: 'I', floor: 'Ground', type: 'lecture' },
+  { name: 'C-301 (60)', capacity: 60, block: 'II', floor: '3rd', type: 'lecture' },
+  { name: 'CS Lab 1 (40)', capacity: 40, block: 'II', floor: '2nd' },
+  { name: 'Old Room', capacity: '?', block: '?', floor: '?' }
+];
+const names = (list) => list.map(r => r.name);
+
+test('filters by capacity, block, floor and type', () => {
+  assert.deepStrictEqual(names(filterRooms(rooms, { minCapacity: 55 })), ['Seminar Hall (120)', 'C-301 (60)']);
+  assert.deepStrictEqual(names(filterRooms(rooms, { block: 'ii' })), ['C-301 (60)', 'CS Lab 1 (40)']);
+  assert.deepStrictEqual(names(filterRooms(rooms, { floor: 'ground floor' })), ['Seminar Hall (120)', 'E-31 (52)']);
+  // no registry type: guessed from the name
+  assert.deepStrictEqual(names(filterRooms(rooms, { type: 'lab' })), ['CS Lab 1 (40)']);
+  assert.strictEqual(filterRooms(rooms, {}).length, rooms.length);
+});
+
+test('best fit puts the smallest room that seats everyone first', () => {
+  assert.deepStrictEqual(names(sortRoomsByFit(rooms, 50)), ['E-31 (52)', 'C-301 (60)', 'Seminar Hall (120)', 'CS Lab 1 (40)', 'Old Room']);
+  assert.deepStrictEqual(names(sortRoomsByFit(rooms)), names(rooms));
+});
+
+test('query params become filters', () => {
+  assert.deepStrictEqual(roomFiltersFromQuery({ minCapacity: '60', type: 'Lab' }), { minCapacity: 60, block: '', floor: '', type: 'lab' });
+});
+
+test('findFreeRooms applies filters and sorts by fit', () => {
+  const slot = (timeIndex, cls = '') => ({ timeIndex, time: '', class: cls });
+  const day = {
+    timeSlots: [{ index: 1, time: '08:00-8:50' }, { index: 2, time: '08:55-9:45' }],
+    classrooms: rooms.map((r, i) => Object.assign({}, r, { schedule: [slot(1, i === 2 ? 'OOP BCS-3A' : ''), slot(2)] }))
+  };
+  const free = findFreeRooms(day, '08:00', '09:45', { minCapacity: 50 });
+  assert.deepStrictEqual(names(free), ['E-31 (52)', 'Seminar Hall (120)']);
+  assert.strictEqual(findFreeRooms(day, '08:00', '09:45').length, 4);
+});
+
+test('a range takes every slot it overlaps and Reserved cells are occupied', () => {
+  const slot = (timeIndex, cls = '') => ({ timeIndex, time: '', class: cls });
+  const day = {
+    timeSlots: [{ index: 1, time: '09:50-10:40' }, { index: 2, time: '10:45-11:35' }, { index: 3, time: '11:40-12:30' }],
+    classrooms: [
+      { name: 'E-31 (52)', schedule: [slot(1, 'OOP BCS-3A'), slot(2), slot(3)] },
+      { name: 'E-32 (52)', schedule: [slot(1), slot(2), slot(3, 'Reserved')] },
+      { name: 'E-33 (52)', schedule: [slot(1, '---'), slot(2), slot(3)] }
+    ]
+  };
+  assert.deepStrictEqual(slotsInRange(day, '10:00', '11:50').map(s => s.index), [1, 2, 3]);
+  assert.deepStrictEqual(names(findFreeRooms(day, '10:00', '11:50')), ['E-33 (52)']);
+  assert.deepStrictEqual(names(findFreeRooms(day, '10:45', '11:35')), ['E-31 (52)', 'E-32 (52)', 'E-33 (52)']);
+  assert.deepStrictEqual(findFreeRooms(day, '11:50', '10:00'), []);
+  assert.deepStrictEqual(computeFreeRangesForRoom(day, 'E-32').map(r => [r.start, r.end]), [['09:50', '11:35']]);
+});
+
+test('a "---" filler cell is free on every path', () => {
+  const times = ['08:00-08:50', '08:55-09:45', '09:50-10:40'];
+  const day = {
+    timeSlots: times.map((time, i) => ({ index: i + 1, time })),
+    classrooms: [{ name: 'E-31 (52)', schedule: ['OOP BCS-3A', '---', ''].map((text, i) => ({ timeIndex: i + 1, time: times[i], class: text, code: '' })) }]
+  };
+  const room = day.classrooms[0];
+
+  assert.deepStrictEqual(names(findFreeRooms(day, '08:55', '09:45')), ['E-31 (52)']);
+  assert.deepStrictEqual(computeFreeRangesForRoom(day, 'E-31').map(r => `${r.start}-${r.end}`), ['08:55-10:40']);
+  // room mode of the query path (`freeRanges&query=E-31`)
+  assert.strictEqual(isSlotOccupiedByQuery(day.classrooms, 1, 'E-31'), true);
+  assert.strictEqual(isSlotOccupiedByQuery(day.classrooms, 2, 'E-31'), false);
+  assert.strictEqual(isSlotOccupiedByQuery(day.classrooms, 2, '-'), false);
+  assert.deepStrictEqual(computeFreeRangesForDay(day, 'E-31').map(r => `${r.start}-${r.end}`), ['08:55-10:40']);
+  // the room's blocks in the Free Rooms tab
+  assert.deepStrictEqual(mergeAdjacentFreeSlots(room.schedule).map(b => `${b.kind} ${b.start}-${b.end}`), ['class 08:00-08:50', 'free 08:55-10:40']);
+});
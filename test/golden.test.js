@@ -0,0 +1,67 @@
+// Golden-file tests: the recorded week in fixtures/gviz goes through the
+// parsers, search and free-room helpers, and a normalized view of the output
+// is compared with test/golden/<Day>.json. After an intended behaviour change,
+// regenerate with `UPDATE_GOLDEN=1 npm test` and review the JSON diff.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseGVizText, parseClassroomData, searchClasses } = require('../lib/sheets');
+const { parseSheetRows } = require('../lib/fetchSheets');
+const { mergeAdjacentFreeSlots, findFreeRooms, computeFreeRangesForDay, computeFreeRangesForRoom } = require('../lib/freeRooms');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'gviz');
+const GOLDEN = path.join(__dirname, 'golden');
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+function readDay(dayName) {
+  return parseGVizText(fs.readFileSync(path.join(FIXTURES, `${dayName}.txt`), 'utf8'));
+}
+
+const cellLine = (s) => `${s.timeIndex} ${s.class}${s.codes.length ? ` [${s.codes.join(', ')}]` : ''}`;
+const rangeLine = (r) => `${r.start}-${r.end}: ${r.availableRooms.map(a => a.name).join(' | ')}`;
+
+function normalizeDay(json) {
+  const day = parseClassroomData(json);
+  const rooms = {};
+  day.classrooms.forEach(room => {
+    rooms[room.name] = room.schedule.filter(s => s.class).map(cellLine);
+  });
+  const blocks = {};
+  day.classrooms.filter(room => /lab|hall/i.test(room.name)).forEach(room => {
+    blocks[room.name] = mergeAdjacentFreeSlots(room.schedule).map(b => `${b.kind} ${b.start}-${b.end}`);
+  });
+
+  return {
+    timeSlots: day.timeSlots.map(ts => `${ts.index} ${ts.time}`),
+    rooms,
+    blocks,
+    search: {
+      'BCS-3A': searchClasses(day.classrooms, 'BCS-3A').map(r => r.description),
+      'lab': searchClasses(day.classrooms, 'lab').map(r => r.description)
+    },
+    freeRooms: {
+      '08:00-09:45': findFreeRooms(day, '08:00', '09:45').map(r => r.name),
+      '12:35-2:20': findFreeRooms(day, '12:35', '2:20').map(r => r.name)
+    },
+    freeRanges: {
+      'BCS-3A': computeFreeRangesForDay(day, 'BCS-3A').map(rangeLine),
+      'C-301': computeFreeRangesForRoom(day, 'C-301').map(rangeLine)
+    },
+    sheetRows: parseSheetRows(json).map(r => `${r.location} | ${r.slot} | ${r.val}`)
+  };
+}
+
+DAYS.forEach(dayName => {
+  test(`${dayName} matches its golden file`, () => {
+    const actual = JSON.parse(JSON.stringify(normalizeDay(readDay(dayName))));
+    const file = path.join(GOLDEN, `${dayName}.json`);
+    if (process.env.UPDATE_GOLDEN) {
+      fs.mkdirSync(GOLDEN, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(actual, null, 2) + '\n');
+      return;
+    }
+    assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(file, 'utf8')));
+  });
+});
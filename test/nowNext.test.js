@@ -0,0 +1,55 @@
+// "Now and next" dashboard helpers against a fixed clock.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getSlotAt, buildDayBlocks, getNowAndNext, formatCountdown } = require('../lib/nowNext');
+
+const at = (h, m) => new Date(2026, 9, 19, h, m);
+const headers = ['08:00-8:50', '09:00-9:50', '10:00-10:50', '11:00-11:50', '12:00-12:50', '1:00-1:50'];
+
+test('finds the running slot and the next one', () => {
+  const { current, next } = getSlotAt(headers, at(9, 15));
+  assert.strictEqual(current.time, '09:00-9:50');
+  assert.strictEqual(next.time, '10:00-10:50');
+});
+
+test('reports only the next slot during a break and nothing after the last slot', () => {
+  const brk = getSlotAt(headers, at(9, 55));
+  assert.strictEqual(brk.current, null);
+  assert.strictEqual(brk.next.time, '10:00-10:50');
+  const late = getSlotAt(headers, at(14, 0));
+  assert.deepStrictEqual(late, { current: null, next: null });
+});
+
+test('merges consecutive lab slots in the same room into one block', () => {
+  const blocks = buildDayBlocks([
+    { code: 'BCS-3A', className: 'COAL Lab BCS-3A', classroom: 'Lab-1', time: '11:00-11:50' },
+    { code: 'BCS-3A', className: 'COAL Lab BCS-3A', classroom: 'Lab-1', time: '12:00-12:50' },
+    { code: 'BCS-3A', className: 'DS BCS-3A', classroom: 'E-31', time: '08:00-8:50' }
+  ]);
+  assert.deepStrictEqual(blocks.map(b => b.time), ['08:00-08:50', '11:00-12:50']);
+});
+
+test('keeps back-to-back lectures of the same class as separate blocks', () => {
+  const blocks = buildDayBlocks([
+    { code: 'BCS-3A', className: 'DS BCS-3A', classroom: 'E-31', time: '08:00-8:50' },
+    { code: 'BCS-3A', className: 'DS BCS-3A', classroom: 'E-31', time: '09:00-9:50' }
+  ]);
+  assert.deepStrictEqual(blocks.map(b => b.time), ['08:00-08:50', '09:00-09:50']);
+});
+
+test('gives the current class, the next one and both countdowns', () => {
+  const entries = [
+    { code: 'BCS-3A', className: 'DS', classroom: 'E-31', time: '08:00-8:50' },
+    { code: 'BCS-3A', className: 'OOP', classroom: 'E-32', time: '10:00-10:50' },
+    { code: 'BCS-3A', className: 'PF', classroom: 'E-33', time: '1:00-1:50' }
+  ];
+  const result = getNowAndNext(entries, at(8, 20));
+  assert.strictEqual(result.current.classroom, 'E-31');
+  assert.strictEqual(result.minutesLeft, 30);
+  assert.strictEqual(result.next.classroom, 'E-32');
+  assert.strictEqual(result.minutesUntilNext, 100);
+  assert.strictEqual(result.remaining.length, 2);
+  assert.strictEqual(formatCountdown(result.minutesUntilNext), '1h 40m');
+  assert.strictEqual(formatCountdown(30), '30 min');
+});
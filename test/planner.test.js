@@ -0,0 +1,78 @@
+// Semester planner: clash-free section combinations and their ranking.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseClassCell } = require('../lib/sheets');
+const { planSemester, PLANNER_CONFIG } = require('../lib/planner');
+
+const slot = (timeIndex, time, text) => {
+  const { codes } = parseClassCell(text);
+  return { timeIndex, time, class: text, code: codes[0] || '', codes };
+};
+
+// COAL: BCS-3A Mon 8am, BCS-3B Tue 10am. DS: BCS-3A Mon 9am, BCS-3C Mon 8am
+const week = {
+  Monday: {
+    classrooms: [
+      { name: 'E-31', schedule: [slot(1, '08:00-08:50', 'COAL BCS-3A'), slot(2, '09:00-09:50', 'DS BCS-3A')] },
+      { name: 'E-32', schedule: [slot(1, '08:00-08:50', 'DS BCS-3C'), slot(2, '09:00-09:50', '')] }
+    ]
+  },
+  Tuesday: {
+    classrooms: [
+      { name: 'E-31', schedule: [slot(3, '10:00-10:50', 'COAL BCS-3B')] }
+    ]
+  }
+};
+
+const picks = (result) => result.combinations.map(c => c.sections.map(s => `${s.course} ${s.code}`).join(' + '));
+
+test('clash-free combinations ranked by days, early classes and gaps', () => {
+  const result = planSemester(week, ['COAL', 'DS']);
+  assert.deepStrictEqual(result.missing, []);
+  assert.deepStrictEqual(result.courses, [
+    { query: 'COAL', sections: ['BCS-3A', 'BCS-3B'] },
+    { query: 'DS', sections: ['BCS-3A', 'BCS-3C'] }
+  ]);
+  // COAL BCS-3A + DS BCS-3C clash on Monday 8am
+  assert.deepStrictEqual(picks(result), ['COAL BCS-3A + DS BCS-3A', 'COAL BCS-3B + DS BCS-3A', 'COAL BCS-3B + DS BCS-3C']);
+  assert.deepStrictEqual(result.combinations.map(c => c.score), [145, 200, 240]);
+  assert.deepStrictEqual(result.combinations[0].metrics, { days: 1, earlyClasses: 1, gapMinutes: 10 });
+  assert.strictEqual(result.totalCombinations, 3);
+  assert.strictEqual(result.partial, false);
+  assert.deepStrictEqual(picks(planSemester(week, ['COAL', 'DS'], { limit: 1 })), ['COAL BCS-3A + DS BCS-3A']);
+});
+
+test('noEarly drops sections with classes before 9:00', () => {
+  assert.deepStrictEqual(picks(planSemester(week, ['COAL', 'DS'], { noEarly: true })), ['COAL BCS-3B + DS BCS-3A']);
+});
+
+test('unknown courses are reported instead of planned around', () => {
+  const result = planSemester(week, ['COAL', 'Calculus']);
+  assert.deepStrictEqual(result.missing, ['Calculus']);
+  assert.deepStrictEqual(result.combinations, []);
+});
+
+test('the search stops at MAX_COMBINATIONS and marks the result partial', () => {
+  const saved = PLANNER_CONFIG.MAX_COMBINATIONS;
+  PLANNER_CONFIG.MAX_COMBINATIONS = 2;
+  try {
+    const result = planSemester(week, ['COAL', 'DS']);
+    assert.strictEqual(result.partial, true);
+    assert.strictEqual(result.totalCombinations, 2);
+  } finally {
+    PLANNER_CONFIG.MAX_COMBINATIONS = saved;
+  }
+});
+
+test('the search stops at MAX_NODES even before any combination is found', () => {
+  const saved = PLANNER_CONFIG.MAX_NODES;
+  PLANNER_CONFIG.MAX_NODES = 2;
+  try {
+    const result = planSemester(week, ['COAL', 'DS']);
+    assert.strictEqual(result.partial, true);
+    assert.strictEqual(result.totalCombinations, 0);
+  } finally {
+    PLANNER_CONFIG.MAX_NODES = saved;
+  }
+});
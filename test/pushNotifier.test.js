@@ -0,0 +1,172 @@
+// Push notifications against a local stand-in push service: a plain HTTP
+// server playing the role of FCM/Mozilla autopush so no network is needed.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const webpush = require('web-push');
+
+const vapid = webpush.generateVAPIDKeys();
+process.env.VAPID_PUBLIC_KEY = vapid.publicKey;
+process.env.VAPID_PRIVATE_KEY = vapid.privateKey;
+process.env.VAPID_SUBJECT = 'mailto:test@example.com';
+process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = '1';
+
+const pushStore = require('../lib/pushStore');
+const { notifyWatchers, buildPayload, changesSinceNotified } = require('../lib/pushNotifier');
+const snapshotStore = require('../lib/snapshotStore');
+
+let server;
+let baseUrl;
+let received;
+
+function makeSubscription(path) {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    endpoint: `${baseUrl}${path}`,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: crypto.randomBytes(16).toString('base64url')
+    }
+  };
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      // "/gone" behaves like an expired subscription
+      res.statusCode = req.url.startsWith('/gone') ? 410 : 201;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  pushStore.clear();
+});
+
+const roomMove = { type: 'moved', day: 'Monday', code: 'BCS-3A', class: 'BCS-3A COAL', time: '08:00-8:50', fromRoom: 'E-31', toRoom: 'E-32', room: 'E-32' };
+
+test('sends an encrypted push only to subscribers watching the changed code', async () => {
+  pushStore.upsert(makeSubscription('/sub/watcher'), ['bcs-3a']);
+  pushStore.upsert(makeSubscription('/sub/other'), ['BCS-5B']);
+
+  const result = await notifyWatchers([roomMove]);
+
+  assert.deepStrictEqual(result, { sent: 1, failed: 0, removed: 0 });
+  assert.strictEqual(received.length, 1);
+  const req = received[0];
+  assert.strictEqual(req.method, 'POST');
+  assert.strictEqual(req.url, '/sub/watcher');
+  assert.strictEqual(req.headers['content-encoding'], 'aes128gcm');
+  assert.ok(Number(req.headers.ttl) > 0);
+  assert.match(req.headers.authorization, /^vapid t=.+, k=.+/);
+  assert.ok(req.body.length > 0);
+});
+
+test('drops subscriptions the push service reports as gone', async () => {
+  pushStore.upsert(makeSubscription('/gone/1'), ['BCS-3A']);
+
+  const result = await notifyWatchers([roomMove]);
+
+  assert.deepStrictEqual(result, { sent: 0, failed: 0, removed: 1 });
+  assert.strictEqual(pushStore.list().length, 0);
+});
+
+test('ignores changes that do not concern attendees', async () => {
+  pushStore.upsert(makeSubscription('/sub/watcher'), ['BCS-3A']);
+
+  const result = await notifyWatchers([{ type: 'reserved', day: 'Monday', code: '', class: 'Reserved for ACM', time: '08:00-8:50', room: 'E-31' }]);
+
+  assert.deepStrictEqual(result, { sent: 0, failed: 0, removed: 0 });
+  assert.strictEqual(received.length, 0);
+});
+
+test('rejects plain http endpoints unless explicitly allowed', () => {
+  const sub = makeSubscription('/sub/x');
+  assert.strictEqual(pushStore.isValidSubscription(sub), true);
+  process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = '0';
+  try {
+    assert.strictEqual(pushStore.isValidSubscription(sub), false);
+  } finally {
+    process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = '1';
+  }
+});
+
+test('payload names the codes and describes the change', () => {
+  const payload = buildPayload([roomMove]);
+  assert.strictEqual(payload.title, 'Timetable change: BCS-3A');
+  assert.match(payload.body, /E-31 → E-32/);
+  assert.strictEqual(payload.url, '/?tab=saved');
+});
+
+test('notifies watchers of any section in a combined cell', async () => {
+  pushStore.upsert(makeSubscription('/sub/3b'), ['BCS-3B']);
+
+  const result = await notifyWatchers([{ ...roomMove, class: 'COAL BCS-3A-C', codes: ['BCS-3A', 'BCS-3B', 'BCS-3C'] }]);
+
+  assert.deepStrictEqual(result, { sent: 1, failed: 0, removed: 0 });
+  assert.strictEqual(received[0].url, '/sub/3b');
+});
+
+// Five-day week with one COAL slot in `room` on Monday
+const weekWith = (room) => {
+  const week = {};
+  ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'].forEach(day => {
+    week[day] = {
+      timeSlots: [{ index: 1, time: '08:00-8:50' }],
+      classrooms: ['E-31', 'E-32'].map(name => ({
+        name,
+        schedule: [{ timeIndex: 1, time: '08:00-8:50', class: day === 'Monday' && name === room ? 'COAL BCS-3A' : '', code: 'BCS-3A' }]
+      }))
+    };
+  });
+  return week;
+};
+
+test('the webhook diffs against what it last notified, not whatever fetch recorded first', () => {
+  const snapshots = snapshotStore.namespace('notify-test');
+  try {
+    // nothing to compare on the first run; with a snapshot from before the refetch, that is the baseline
+    assert.deepStrictEqual(changesSinceNotified('notify-test', weekWith('E-31'), null), []);
+    assert.strictEqual(changesSinceNotified('notify-cold', weekWith('E-32'), weekWith('E-31')).length, 1);
+    // the sheet is edited and a visitor's refetch records it first
+    snapshots.record(weekWith('E-31'), 1000);
+    assert.strictEqual(snapshots.record(weekWith('E-32'), 2000).length, 1);
+    // the webhook still sees the move, once
+    const changes = changesSinceNotified('notify-test', weekWith('E-32'), snapshots.getLatest().week);
+    assert.deepStrictEqual(changes.map(c => [c.type, c.fromRoom, c.toRoom]), [['moved', 'E-31', 'E-32']]);
+    assert.deepStrictEqual(changesSinceNotified('notify-test', weekWith('E-32')), []);
+    // a partial week is diffed but does not replace the baseline
+    const partial = weekWith('E-31');
+    delete partial.Friday;
+    assert.strictEqual(changesSinceNotified('notify-test', partial).length, 1);
+    assert.strictEqual(changesSinceNotified('notify-test', weekWith('E-31')).length, 1);
+  } finally {
+    snapshots.clear();
+  }
+});
+
+test('changes of one campus only reach that campus\'s subscribers', async () => {
+  pushStore.upsert(makeSubscription('/sub/khi'), ['BCS-3A'], 'khi');
+  pushStore.upsert(makeSubscription('/sub/isb'), ['BCS-3A'], 'isb');
+  // saved before subscriptions had a campus: the default campus
+  pushStore.upsert(makeSubscription('/sub/legacy'), ['BCS-3A']);
+
+  assert.deepStrictEqual(await notifyWatchers([roomMove], 'isb'), { sent: 1, failed: 0, removed: 0 });
+  assert.deepStrictEqual(received.map(r => r.url), ['/sub/isb']);
+
+  received = [];
+  assert.deepStrictEqual(await notifyWatchers([roomMove], 'khi'), { sent: 2, failed: 0, removed: 0 });
+  assert.deepStrictEqual(received.map(r => r.url).sort(), ['/sub/khi', '/sub/legacy']);
+});
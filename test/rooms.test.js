@@ -0,0 +1,64 @@
+// Room registry: sheet names merged with the editable metadata file.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const roomsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tt-rooms-')), 'rooms.json');
+fs.writeFileSync(roomsFile, JSON.stringify({
+  khi: {
+    'E-31': { floor: 'Ground', type: 'lecture', projector: true, ac: false },
+    'Seminar Hall': { capacity: 150, block: 'I' },
+    'B-201': { floor: '2nd', type: 'lecture' }
+  }
+}));
+process.env.ROOMS_FILE = roomsFile;
+process.env.SHEET_FIXTURES = '1';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { roomKey, describeRoom, loadRoomMetadata, buildRoomDirectory, findRoom } = require('../lib/rooms');
+const { findFreeRooms } = require('../lib/freeRooms');
+const { getWeekSchedule } = require('../lib/weekSchedule');
+
+test('room ids drop the block and capacity parts', () => {
+  assert.strictEqual(roomKey('E-31 Academic Block I (52)'), 'E-31');
+  assert.strictEqual(roomKey('CS Lab 1 Academic Block II (40)'), 'CS Lab 1');
+  assert.strictEqual(roomKey('Seminar Hall (120)'), 'Seminar Hall');
+});
+
+test('metadata wins over scraped values and type is guessed when missing', () => {
+  const metadata = loadRoomMetadata('khi');
+  assert.deepStrictEqual(describeRoom('E-31 Academic Block I (52)', metadata), {
+    name: 'E-31 Academic Block I (52)', id: 'E-31', capacity: 52, block: 'I', floor: 'Ground', type: 'lecture', projector: true, ac: false
+  });
+  const hall = describeRoom('Seminar Hall (120)', metadata);
+  assert.strictEqual(hall.capacity, 150);
+  assert.strictEqual(hall.type, 'hall');
+  assert.strictEqual(describeRoom('Physics Lab (30)', metadata).type, 'lab');
+  assert.strictEqual(describeRoom('Physics Lab (30)', metadata).floor, null);
+});
+
+test('directory covers sheet rooms and metadata-only rooms', async () => {
+  const { week } = await getWeekSchedule({ fresh: true });
+  const rooms = buildRoomDirectory(week, 'khi');
+  assert.strictEqual(rooms.filter(r => r.inSheet).length, 12);
+  assert.deepStrictEqual(findRoom(rooms, 'b-201'), Object.assign(describeRoom('B-201', loadRoomMetadata('khi')), { inSheet: false, busySlots: 0, totalSlots: 0 }));
+  assert.strictEqual(findRoom(rooms, 'E-31 Academic Block I (52)').id, 'E-31');
+  assert.strictEqual(findRoom(rooms, 'E-3'), null);
+  const e31 = findRoom(rooms, 'e-31');
+  assert.strictEqual(e31.totalSlots, 45);
+  assert.ok(e31.busySlots > 0 && e31.busySlots < 45);
+
+  // the week carries the attributes, so the free-room finder shows them
+  const free = findFreeRooms(week.Monday, '08:00', '08:50').find(r => r.name.startsWith('E-31'));
+  assert.strictEqual(free.floor, 'Ground');
+  assert.strictEqual(free.capacity, 52);
+  assert.strictEqual(free.projector, true);
+});
+
+test('dash filler cells count as free, like in the free-room finder', () => {
+  const schedule = ['OOP BCS-3A', '---', '', 'Reserved for ACM'].map((text, i) => ({ timeIndex: i + 1, time: `${8 + i}:00-${8 + i}:50`, class: text }));
+  const [room] = buildRoomDirectory({ Monday: { classrooms: [{ name: 'Z-9 (30)', schedule }] } }, 'khi').filter(r => r.inSheet);
+  assert.deepStrictEqual([room.busySlots, room.totalSlots], [2, 4]);
+});
@@ -0,0 +1,79 @@
+// Week-to-week schedule diff and the snapshot change log.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffWeeks } = require('../lib/scheduleDiff');
+const snapshotStore = require('../lib/snapshotStore');
+
+const times = ['08:00-08:50', '08:55-09:45', '09:50-10:40'];
+// rooms: { name: [slot1, slot2, slot3] } cell texts
+const day = (rooms) => ({
+  timeSlots: times.map((time, i) => ({ index: i + 1, time })),
+  classrooms: Object.entries(rooms).map(([name, cells]) => ({
+    name,
+    schedule: cells.map((text, i) => ({ timeIndex: i + 1, time: times[i], class: text, code: '' }))
+  }))
+});
+
+const before = {
+  Monday: day({
+    'E-31': ['COAL BCS-3A', 'DS BCS-3B', ''],
+    'E-32': ['', '', ''],
+    'E-33': ['PF BCS-1A', '', ''],
+    'E-34': ['', '', ''],
+    'E-35': ['', '', 'Reserved for IEEE']
+  })
+};
+const after = {
+  Monday: day({
+    'E-31': ['', '', 'DS BCS-3B'],
+    'E-32': ['COAL BCS-3A', '', ''],
+    'E-33': ['', '', 'AI BCS-7A'],
+    'E-34': ['Reserved for ACM', 'Reserved for ACM', ''],
+    'E-35': ['', '', '']
+  }),
+  Tuesday: day({ 'E-31': ['', '', ''] })
+};
+
+test('each kind of change is described once', () => {
+  const changes = diffWeeks(before, after);
+  const byType = Object.fromEntries(changes.map(c => [c.type, c]));
+  assert.strictEqual(changes.length, 6);
+
+  assert.deepStrictEqual([byType.moved.class, byType.moved.fromRoom, byType.moved.toRoom, byType.moved.time], ['COAL BCS-3A', 'E-31', 'E-32', '08:00-08:50']);
+  assert.deepStrictEqual([byType.rescheduled.class, byType.rescheduled.room, byType.rescheduled.fromTime, byType.rescheduled.toTime], ['DS BCS-3B', 'E-31', '08:55-09:45', '09:50-10:40']);
+  assert.deepStrictEqual([byType.cancelled.class, byType.cancelled.room, byType.cancelled.time], ['PF BCS-1A', 'E-33', '08:00-08:50']);
+  assert.deepStrictEqual([byType.added.class, byType.added.room, byType.added.time], ['AI BCS-7A', 'E-33', '09:50-10:40']);
+  // the two reserved slots are one reservation
+  assert.deepStrictEqual([byType.reserved.class, byType.reserved.room, byType.reserved.time], ['Reserved for ACM', 'E-34', '08:00-09:45']);
+  assert.deepStrictEqual([byType.unreserved.class, byType.unreserved.room], ['Reserved for IEEE', 'E-35']);
+
+  // Tuesday is only on one side: a failed fetch, not a change
+  assert.ok(changes.every(c => c.day === 'Monday'));
+  assert.deepStrictEqual(diffWeeks(null, after), []);
+});
+
+test('snapshots log changes only when the sheet content changes', () => {
+  const store = snapshotStore.namespace('diff-test');
+  try {
+    assert.deepStrictEqual(store.record(before, 1000), []);
+    assert.deepStrictEqual(store.record(JSON.parse(JSON.stringify(before)), 1500), []);
+    assert.strictEqual(store.record(after, 2000).length, 6);
+
+    assert.deepStrictEqual(store.getSnapshotTimes(), [1000, 2000]);
+    assert.strictEqual(store.getLatest().takenAt, 2000);
+    assert.ok(store.getChanges(1000).every(c => c.detectedAt === 2000));
+    assert.strictEqual(store.getChanges(1000).length, 6);
+    assert.deepStrictEqual(store.getChanges(2000), []);
+  } finally {
+    store.clear();
+  }
+});
+
+test('"---" fillers are empty cells, not classes', () => {
+  const blank = { Monday: day({ 'E-31': ['', 'DS BCS-3B', ''] }) };
+  const dashed = { Monday: day({ 'E-31': ['---', 'DS BCS-3B', '---'] }) };
+  assert.deepStrictEqual(diffWeeks(blank, dashed), []);
+  const cancelled = diffWeeks(dashed, { Monday: day({ 'E-31': ['---', '---', '---'] }) });
+  assert.deepStrictEqual(cancelled.map(c => [c.type, c.class]), [['cancelled', 'DS BCS-3B']]);
+});
@@ -0,0 +1,58 @@
+// Sheet config: registry-generated config and SHEET_CONFIG_URL overrides,
+// served by a local HTTP server so no network is needed.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.SHEET_ID = 'khi-sheet';
+process.env.SHEET_DAY_GIDS = JSON.stringify({ Tuesday: '22' });
+
+let server;
+let remoteConfig;
+let lastHeaders;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    lastHeaders = req.headers;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(remoteConfig));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('registry config has one code per day with missing GIDs on the first tab', () => {
+  delete process.env.SHEET_CONFIG_URL;
+  const { buildConfigFromRegistry } = require('../lib/sheetConfig');
+  const config = buildConfigFromRegistry();
+  assert.deepStrictEqual(Object.keys(config), ['khi']);
+  assert.strictEqual(config.khi.url, 'https://docs.google.com/spreadsheets/d/khi-sheet/gviz/tq?tqx=out:json&gid=');
+  assert.deepStrictEqual(config.khi.codes.map(c => c.gid), ['0', '22', '0', '0', '0']);
+});
+
+test('SHEET_CONFIG_URL repoints day tabs without touching the registry', async () => {
+  const { getDaySource, clearSheetConfigCache } = require('../lib/sheetConfig');
+  assert.strictEqual((await getDaySource('', 'Tuesday')).gid, '22');
+
+  // the README's older key (campus name) is accepted too
+  remoteConfig = { karachi: { url: 'https://example.test/gviz?gid=', codes: [{ name: 'Tuesday', gid: '99' }] } };
+  process.env.SHEET_CONFIG_URL = `http://127.0.0.1:${server.address().port}/config`;
+  process.env.SHEET_CONFIG_SECRET = 'other-deployment';
+  clearSheetConfigCache();
+  assert.deepStrictEqual(await getDaySource('khi', 'Tuesday'), { url: 'https://example.test/gviz?gid=99', gid: '99' });
+  // another deployment's /api/config needs its secret
+  assert.strictEqual(lastHeaders['x-tt-secret'], 'other-deployment');
+  delete process.env.SHEET_CONFIG_SECRET;
+
+  // a broken remote keeps the last good copy
+  remoteConfig = undefined;
+  assert.strictEqual((await getDaySource('khi', 'Tuesday')).gid, '99');
+  delete process.env.SHEET_CONFIG_URL;
+});
+
+test('unknown campus is an error', async () => {
+  const { getDaySource } = require('../lib/sheetConfig');
+  await assert.rejects(getDaySource('nowhere', 'Monday'), /Unknown campus/);
+});
@@ -0,0 +1,69 @@
+// Shared sheet parser: layout strategies, every caller on the same core, diagnostics.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSheet, diagnoseSheet, getLayout } = require('../lib/sheetParser');
+const { parseSheetRows } = require('../lib/fetchSheets');
+const apiSheets = require('../api/sheets');
+
+const row = (...values) => ({ c: values.map(v => (v === null ? null : { v })) });
+const times = row('Venues/time', '08:00-8:50', '08:55-9:45', '09:50-10:40');
+const rooms = [
+  row('E-31 Academic Block I (52)', 'OOP BCS-3A Dr. Farah Naz', null, null),
+  row('CS Lab 1 (40)', 'DB Lab BCS-3B Mr. Saad Iqbal', null, null)
+];
+const table = (...rows) => ({ table: { rows } });
+
+test('the timetable layout reads times from the second row', () => {
+  const day = parseSheet(table(row('', '1', '2', '3'), times, ...rooms));
+  assert.deepStrictEqual(day.timeSlots.map(t => t.time), ['08:00-8:50', '08:55-9:45', '09:50-10:40']);
+  assert.deepStrictEqual(day.classrooms.map(r => [r.name, r.capacity, r.block]), [
+    ['E-31 Academic Block I (52)', 52, 'I'],
+    ['CS Lab 1 (40)', 40, null]
+  ]);
+  assert.deepStrictEqual(day.classrooms[1].schedule.map(s => s.code), ['BCS-3B', 'BCS-3B', 'BCS-3B']);
+});
+
+test('single-header and auto layouts find the times in the first row', () => {
+  const single = parseSheet(table(times, ...rooms), { layout: 'single-header' });
+  const auto = parseSheet(table(times, ...rooms), { layout: 'auto' });
+  assert.deepStrictEqual(single, auto);
+  assert.strictEqual(auto.classrooms.length, 2);
+  assert.strictEqual(auto.timeSlots.length, 3);
+});
+
+test('takes a custom layout strategy and rejects unknown names', () => {
+  const day = parseSheet(table(row('Week 3'), row('notes'), times, ...rooms), { layout: { headerRow: () => 2 } });
+  assert.strictEqual(day.classrooms.length, 2);
+  assert.throws(() => getLayout('sideways'), /Unknown sheet layout/);
+});
+
+test('the flat cell list gets the same lab spans as the schedule API', () => {
+  const json = table(row('', '1', '2', '3'), times, ...rooms);
+  const cells = parseSheetRows(json).filter(c => c.location === 'CS Lab 1 (40)');
+  assert.deepStrictEqual(cells.map(c => c.slot), ['08:00-8:50', '08:55-9:45', '09:50-10:40']);
+  assert.deepStrictEqual(apiSheets.parseClassroomData(json), parseSheet(json));
+});
+
+test('diagnose reports skipped rows, expansions and bad time headers', () => {
+  const json = table(
+    row('', '1', '2', '3'),
+    row('Venues/time', '08:00-8:50', 'Lunch', '09:50-10:40'),
+    row('CLASSROOMS', null, null, null),
+    row('Venues/time', '08:00-8:50', 'Lunch', '09:50-10:40'),
+    row(null, 'stray note', null, null),
+    { c: [{ v: 'E-31 (52)' }, { v: 'OOP BCS-3A', p: { colSpan: 2 } }, null, { v: 'Reserved' }] },
+    row('CS Lab 1 (40)', 'DB Lab BCS-3B', null, null)
+  );
+  const report = diagnoseSheet(json);
+  assert.strictEqual(report.headerRow, 1);
+  assert.deepStrictEqual(report.unparseableTimeHeaders, [{ column: 2, text: 'Lunch' }]);
+  assert.deepStrictEqual(report.skippedRows.map(r => [r.row, r.reason]), [[3, 'repeated header'], [4, 'no room name']]);
+  assert.deepStrictEqual(report.placeholderRows, ['CLASSROOMS']);
+  assert.deepStrictEqual(report.expandedCells.map(c => [c.room, c.span, c.by]), [
+    ['E-31 (52)', 2, 'colspan'],
+    ['CS Lab 1 (40)', 3, 'lab-lookahead']
+  ]);
+  assert.strictEqual(report.summary.expandedByColspan, 1);
+  assert.strictEqual(report.summary.expandedByLabLookahead, 1);
+});
@@ -0,0 +1,41 @@
+// Section codes in shared cells: every listed section must be found.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractClassCode, extractClassCodes, parseClassCell, searchClasses } = require('../lib/sheets');
+
+test('lists every code in slash, comma and plus separated cells', () => {
+  assert.deepStrictEqual(extractClassCodes('OOP BCS-3A/BCS-3B'), ['BCS-3A', 'BCS-3B']);
+  assert.deepStrictEqual(extractClassCodes('SE BSE-5A + BAI-5A Dr X'), ['BSE-5A', 'BAI-5A']);
+  assert.deepStrictEqual(extractClassCodes('AI BAI-5A,BDS-5A'), ['BAI-5A', 'BDS-5A']);
+  assert.deepStrictEqual(extractClassCodes('DS BCS-3A/B, D Sara'), ['BCS-3A', 'BCS-3B']);
+  assert.deepStrictEqual(extractClassCodes('DS BCS-3A, B'), ['BCS-3A', 'BCS-3B']);
+  assert.deepStrictEqual(extractClassCodes('DS BCS-3A, B, BSE-3A'), ['BCS-3A', 'BCS-3B', 'BSE-3A']);
+});
+
+test('an initial after a comma is the instructor, not a section', () => {
+  assert.deepStrictEqual(parseClassCell('DS BCS-3A/B, D Sara'), { title: 'DS', codes: ['BCS-3A', 'BCS-3B'], instructor: 'D Sara' });
+});
+
+test('expands section ranges', () => {
+  assert.deepStrictEqual(extractClassCodes('COAL BCS-3A-C Ali'), ['BCS-3A', 'BCS-3B', 'BCS-3C']);
+  // a dash before a name is not a range
+  assert.deepStrictEqual(extractClassCodes('COAL BCS-3A - Dr Ali'), ['BCS-3A']);
+  assert.strictEqual(extractClassCode('COAL BCS-3A-C Ali'), 'BCS-3A');
+});
+
+test('keeps the instructor after a code range', () => {
+  assert.deepStrictEqual(parseClassCell('COAL BCS-3A-C Ali Khan'), { title: 'COAL', codes: ['BCS-3A', 'BCS-3B', 'BCS-3C'], instructor: 'Ali Khan' });
+});
+
+test('search by any section of a shared cell finds the slot under that code', () => {
+  const text = 'COAL BCS-3A-C Ali';
+  const classrooms = [{
+    name: 'E-31',
+    schedule: [{ timeIndex: 1, time: '08:00-8:50', class: text, code: extractClassCode(text), codes: extractClassCodes(text) }]
+  }];
+  const results = searchClasses(classrooms, 'bcs-3b');
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].code, 'BCS-3B');
+  assert.deepStrictEqual(results[0].codes, ['BCS-3A', 'BCS-3B', 'BCS-3C']);
+});
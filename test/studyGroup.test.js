@@ -0,0 +1,51 @@
+// Study-group finder: member lines, shared saved lists and common free windows.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseMember, busyListFromSaved, findStudyWindows } = require('../lib/studyGroup');
+
+const times = ['08:00-8:50', '08:55-9:45', '09:50-10:40', '10:45-11:35'];
+const cell = (timeIndex, cls = '', codes = []) => ({ timeIndex, time: times[timeIndex - 1], class: cls, codes });
+const monday = {
+  timeSlots: times.map((time, i) => ({ index: i + 1, time })),
+  classrooms: [
+    { name: 'E-31 (52)', capacity: 52, schedule: [cell(1, 'OOP BCS-3A', ['BCS-3A']), cell(2), cell(3), cell(4, 'DB BCS-3B', ['BCS-3B'])] },
+    { name: 'E-32 (40)', capacity: 40, schedule: [cell(1), cell(2, 'Reserved'), cell(3), cell(4)] }
+  ]
+};
+
+test('a member line is section codes or a shared saved-class list', () => {
+  assert.deepStrictEqual(parseMember('bcs-5a, BSE-5B bcs-5a'), { label: 'BCS-5A, BSE-5B', codes: ['BCS-5A', 'BSE-5B'], busy: [], invalid: [] });
+  assert.deepStrictEqual(parseMember('Mon 08:55-9:45; Wed 10:45 - 11:35; Sat 9:00-9:50'), {
+    label: 'Saved list (2 classes)',
+    codes: [],
+    busy: [{ day: 'Monday', time: '08:55-9:45' }, { day: 'Wednesday', time: '10:45-11:35' }],
+    invalid: ['Sat 9:00-9:50']
+  });
+  assert.strictEqual(parseMember('  '), null);
+  assert.strictEqual(busyListFromSaved([
+    { day: 'Wednesday', time: '10:45-11:35' },
+    { day: 'Monday', time: '1:30-2:20' },
+    { day: 'Monday', time: '08:55-9:45' },
+    { day: 'Monday', time: '08:55-9:45' }
+  ]), 'Mon 08:55-9:45; Mon 1:30-2:20; Wed 10:45-11:35');
+});
+
+test('windows are the slots everyone is free, with rooms free for them', () => {
+  const { members, windows } = findStudyWindows({ Monday: monday }, ['BCS-3A', 'BCS-3B', 'Mon 08:55-9:45', 'BCS-9Z']);
+  assert.deepStrictEqual(members.map(m => m.unmatched), [[], [], [], ['BCS-9Z']]);
+  assert.deepStrictEqual(windows.map(w => [w.day, w.start, w.end, w.rooms.map(r => r.name)]), [
+    ['Monday', '09:50', '10:40', ['E-31 (52)', 'E-32 (40)']]
+  ]);
+  assert.strictEqual(windows[0].rooms[0].schedule, undefined);
+});
+
+test('long windows fall back to rooms free for their first minSlots slots', () => {
+  // free 08:55-11:35, but E-32 is Reserved at 08:55 and E-31 taken at 10:45
+  const { windows } = findStudyWindows({ Monday: monday }, ['BCS-3A', 'Mon 08:00-8:50'], { minSlots: 2 });
+  assert.deepStrictEqual(windows.map(w => [w.start, w.end, w.slots.length]), [['08:55', '11:35', 3]]);
+  assert.deepStrictEqual(windows[0].roomsFor, { start: '08:55', end: '10:40' });
+  assert.deepStrictEqual(windows[0].rooms.map(r => r.name), ['E-31 (52)']);
+  assert.deepStrictEqual(findStudyWindows({ Monday: monday }, ['BCS-3A', 'BCS-3B'], { minSlots: 2, filters: { minCapacity: 60 } }).windows[0].rooms, []);
+  assert.deepStrictEqual(findStudyWindows({ Monday: monday }, ['BCS-3A', 'BCS-3B'], { minSlots: 3 }).windows, []);
+});
@@ -0,0 +1,38 @@
+// Instructor parsing from cell text and the per-teacher week index.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseClassCell } = require('../lib/sheets');
+const { buildTeacherIndex } = require('../lib/teachers');
+
+test('splits title, section code and instructor', () => {
+  assert.deepStrictEqual(parseClassCell('FE Lab BCS-1G Qurat ul Ain'), { title: 'FE Lab', codes: ['BCS-1G'], instructor: 'Qurat ul Ain' });
+  assert.deepStrictEqual(parseClassCell('COAL BCS-3A (Dr. Ali Khan)'), { title: 'COAL', codes: ['BCS-3A'], instructor: 'Dr. Ali Khan' });
+});
+
+test('a leading code means the rest is the title', () => {
+  assert.deepStrictEqual(parseClassCell('BCS-1G Database Systems'), { title: 'Database Systems', codes: ['BCS-1G'], instructor: '' });
+  assert.deepStrictEqual(parseClassCell('Reserved for ACM'), { title: 'Reserved for ACM', codes: [], instructor: '' });
+});
+
+const slot = (timeIndex, time, text) => ({ timeIndex, time, class: text, code: '', ...parseClassCell(text) });
+
+test('groups a teacher across rooms, merges labs and reports gaps', () => {
+  const week = {
+    Monday: {
+      classrooms: [
+        { name: 'E-31', schedule: [slot(1, '08:00-8:50', 'COAL BCS-3A Ali Khan'), slot(2, '09:00-9:50', '')] },
+        { name: 'Lab-2', schedule: [slot(4, '11:00-11:50', 'COAL Lab BCS-3B Ali  Khan'), slot(5, '12:00-12:50', 'COAL Lab BCS-3B Ali  Khan')] },
+        { name: 'E-32', schedule: [slot(1, '08:00-8:50', 'DS BCS-2A Sara')] }
+      ]
+    }
+  };
+  const teachers = buildTeacherIndex(week);
+  assert.deepStrictEqual(teachers.map(t => t.name), ['Ali Khan', 'Sara']);
+
+  const ali = teachers[0];
+  assert.deepStrictEqual(ali.codes, ['BCS-3A', 'BCS-3B']);
+  assert.deepStrictEqual(ali.days.Monday.classes.map(c => `${c.room} ${c.time}`), ['E-31 08:00-08:50', 'Lab-2 11:00-12:50']);
+  assert.deepStrictEqual(ali.days.Monday.gaps, [{ from: '08:50', to: '11:00', lastRoom: 'E-31', nextRoom: 'Lab-2' }]);
+  assert.strictEqual(ali.totalMinutes, 50 + 110);
+});
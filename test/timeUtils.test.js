@@ -0,0 +1,20 @@
+// Shared time helpers: ranges and the lab-merge rule every module uses.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTimeRange, mergeLabRuns, LAB_MERGE_GAP_MINUTES } = require('../lib/timeUtils');
+
+test('time ranges read 1-7 as afternoon and reject empty or backwards ranges', () => {
+  assert.deepStrictEqual(parseTimeRange('12:35-1:25'), { start: 755, end: 805 });
+  assert.strictEqual(parseTimeRange('10:00'), null);
+  assert.strictEqual(parseTimeRange('11:00-10:00'), null);
+});
+
+test('lab runs join slots across the short breaks only when they belong together', () => {
+  const slot = (time, room) => Object.assign({ room }, parseTimeRange(time));
+  const items = [slot('08:00-8:50', 'Lab 1'), slot('08:55-9:45', 'Lab 1'), slot('09:50-10:40', 'Lab 2'), slot('11:40-12:30', 'Lab 2')];
+  const runs = mergeLabRuns(items, (first, s) => first.room === s.room);
+  assert.deepStrictEqual(runs.map(r => [r.start, r.end, r.items.length]), [[480, 585, 2], [590, 640, 1], [700, 750, 1]]);
+  assert.strictEqual(LAB_MERGE_GAP_MINUTES, 15);
+  assert.strictEqual(mergeLabRuns(items).length, 2);
+});
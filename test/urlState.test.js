@@ -0,0 +1,34 @@
+// Query-string view state: parsing shared links and writing them back.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseViewParams, buildViewQuery, toQueryString } = require('../lib/urlState');
+
+test('parses a shared search link', () => {
+  const view = parseViewParams({ tab: 'search', q: ' BCS-5B ', day: '3' });
+  assert.deepStrictEqual(view, { tab: 'search', q: 'BCS-5B', day: 3, slot: undefined });
+});
+
+test('resolves day=today and keeps slot text as-is', () => {
+  const view = parseViewParams({ tab: 'schedule', day: 'today', slot: '10:00-10:50' }, { today: 2 });
+  assert.strictEqual(view.day, 2);
+  assert.strictEqual(view.slot, '10:00-10:50');
+});
+
+test('falls back to the default tab and drops invalid days', () => {
+  const view = parseViewParams({ tab: 'admin', day: '6' });
+  assert.strictEqual(view.tab, 'search');
+  assert.strictEqual(view.day, undefined);
+  assert.strictEqual(parseViewParams({ day: 'all' }).day, 'all');
+});
+
+test('omits defaults so the home view stays at "/"', () => {
+  assert.strictEqual(toQueryString(buildViewQuery({ tab: 'search', q: '' })), '');
+  assert.deepStrictEqual(buildViewQuery({ tab: 'saved', day: 0 }), { tab: 'saved', day: '0' });
+});
+
+test('round-trips a view through the query string', () => {
+  const view = { tab: 'schedule', q: 'E-31', day: 4, slot: '10:00-10:50' };
+  const query = Object.fromEntries(new URLSearchParams(toQueryString(buildViewQuery(view))));
+  assert.deepStrictEqual(parseViewParams(query), view);
+});